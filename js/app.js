@@ -4,11 +4,24 @@ class ImageSegmentationApp {
     constructor() {
         // Initialize components
         this.segmentation = new ImageSegmentation();
+        this.promptSegmentation = new PromptSegmentation();
+        this.exporter = new MaskExporter();
+        this.importer = new MaskImporter();
+        this.projectFile = new ProjectFile();
+        this.matteFilters = new MatteFilters();
+        this.morphology = new MaskMorphology();
+        this.grabCut = new GrabCut();
+        this.superpixelSegmenter = new SuperpixelSegmenter();
+        this.instanceSeparator = new InstanceSeparator();
         this.maskTools = null;
         
         // DOM elements
         this.uploadArea = document.getElementById('uploadArea');
         this.imageInput = document.getElementById('imageInput');
+        this.folderBtn = document.getElementById('folderBtn');
+        this.openProjectBtn = document.getElementById('openProjectBtn');
+        this.projectInput = document.getElementById('projectInput');
+        this.folderInput = document.getElementById('folderInput');
         this.canvasSection = document.getElementById('canvasSection');
         this.loadingOverlay = document.getElementById('loadingOverlay');
         
@@ -19,30 +32,129 @@ class ImageSegmentationApp {
         this.canvasContainer = document.querySelector('.canvas-container');
         this.canvasInfo = document.getElementById('canvasInfo');
         
+        // Zoom and pan
+        this.viewport = new Viewport(
+            this.canvasContainer,
+            [this.imageCanvas, this.maskCanvas, this.overlayCanvas],
+            document.getElementById('minimapCanvas')
+        );
+        this.zoomValue = document.getElementById('zoomValue');
+        this.viewport.onChange = (zoom) => {
+            this.zoomValue.textContent = `${Math.round(zoom * 100)}%`;
+        };
+        this.progressIndicator = document.getElementById('progressIndicator');
+        this.progressFill = document.getElementById('progressFill');
+        this.progressText = document.getElementById('progressText');
+        this.progressCancelBtn = document.getElementById('progressCancelBtn');
+        
         // Tool controls
         this.toolButtons = document.querySelectorAll('.tool-btn');
         this.brushSizeSlider = document.getElementById('brushSize');
         this.brushSizeValue = document.getElementById('brushSizeValue');
         this.brushSizeGroup = document.getElementById('brushSizeGroup');
+        this.brushHardnessSlider = document.getElementById('brushHardness');
+        this.brushHardnessValue = document.getElementById('brushHardnessValue');
+        this.brushOpacitySlider = document.getElementById('brushOpacity');
+        this.brushOpacityValue = document.getElementById('brushOpacityValue');
+        this.selectionFeatherSlider = document.getElementById('selectionFeather');
+        this.selectionFeatherValue = document.getElementById('selectionFeatherValue');
+        this.clickGroup = document.getElementById('clickGroup');
+        this.instanceModeCheckbox = document.getElementById('instanceMode');
+        this.wandGroup = document.getElementById('wandGroup');
+        this.lassoGroup = document.getElementById('lassoGroup');
+        this.lassoMagneticCheckbox = document.getElementById('lassoMagnetic');
+        this.wandToleranceSlider = document.getElementById('wandTolerance');
+        this.wandToleranceValue = document.getElementById('wandToleranceValue');
+        this.wandContiguousCheckbox = document.getElementById('wandContiguous');
+        this.superpixelGroup = document.getElementById('superpixelGroup');
+        this.superpixelSizeSlider = document.getElementById('superpixelSize');
+        this.superpixelSizeValue = document.getElementById('superpixelSizeValue');
+        this.modelSelect = document.getElementById('modelSelect');
+        this.modelFolderInput = document.getElementById('modelFolderInput');
+        this.tilingSelect = document.getElementById('tilingSelect');
         
         // Action buttons
         this.undoBtn = document.getElementById('undoBtn');
         this.redoBtn = document.getElementById('redoBtn');
         this.clearBtn = document.getElementById('clearBtn');
         this.refineBtn = document.getElementById('refineBtn');
+        this.grabCutBtn = document.getElementById('grabCutBtn');
         this.invertBtn = document.getElementById('invertBtn');
         this.downloadBtn = document.getElementById('downloadBtn');
+        this.exportFormatSelect = document.getElementById('exportFormatSelect');
+        this.importBtn = document.getElementById('importBtn');
+        this.importInput = document.getElementById('importInput');
+        this.saveProjectBtn = document.getElementById('saveProjectBtn');
+        this.maskTypeSelect = document.getElementById('maskTypeSelect');
+        this.morphologyRadiusSlider = document.getElementById('morphologyRadius');
+        this.morphologyRadiusValue = document.getElementById('morphologyRadiusValue');
+        this.minIslandAreaInput = document.getElementById('minIslandArea');
+        this.maskOperationButtons = document.querySelectorAll('#maskOperations [data-operation]');
+        this.featherRadiusSlider = document.getElementById('featherRadius');
+        this.featherRadiusValue = document.getElementById('featherRadiusValue');
+        this.cutoutCropCheckbox = document.getElementById('cutoutCrop');
+        this.cutoutFormatSelect = document.getElementById('cutoutFormatSelect');
+        this.cutoutBtn = document.getElementById('cutoutBtn');
+        
+        // Layer panel
+        this.layerPanel = new LayerPanel(
+            document.getElementById('layerList'),
+            document.getElementById('addLayerBtn')
+        );
+        this.layerPanel.onChange = () => {
+            this.updateToolButtons();
+            this.scheduleAutosave();
+        };
+        
+        // Detected classes panel
+        this.classPanel = new ClassPanel(document.getElementById('classList'));
+        this.classPanel.onSelectClass = (classIndex, options) => this.handleClassSelect(classIndex, options);
+        this.classPanel.render();
+        
+        // Edit history panel
+        this.historyPanel = new HistoryPanel(document.getElementById('historyList'));
+        this.historyPanel.render();
+        
+        // Autosaved sessions
+        this.sessionStore = new SessionStore();
+        this.sessionPanel = new SessionPanel(
+            document.getElementById('sessionPanel'),
+            document.getElementById('sessionList')
+        );
+        this.sessionPanel.onRestore = (id) => this.restoreSession(id);
+        this.sessionPanel.onDelete = (id) => this.deleteSession(id);
+        
+        // Batch queue
+        this.batchQueue = new BatchQueue(
+            document.getElementById('filmstrip'),
+            document.getElementById('filmstripItems'),
+            document.getElementById('filmstripCounter')
+        );
+        this.batchQueue.onSelect = (index) => this.selectBatchItem(index);
+        this.prevImageBtn = document.getElementById('prevImageBtn');
+        this.nextImageBtn = document.getElementById('nextImageBtn');
+        this.downloadAllBtn = document.getElementById('downloadAllBtn');
         
         // App state
         this.currentImage = null;
+        this.currentFileName = null;
+        this.currentBatchItem = null; // Queue item shown in the editor
         this.isProcessing = false;
         this.modelLoaded = false;
         this.previewMask = null;
         this.isShowingPreview = false;
         this.cachedSegmentation = null;
+        this.cachedSuperpixels = null; // SLIC over-segmentation for the superpixel tool
+        this.segmentationPromise = null; // In-flight whole-image segmentation
+        this.segmentationAbort = null; // AbortController for running AI analysis
+        this.regionAbort = null; // AbortController for running box analysis
         this.previewTimeout = null;
         this.isCtrlPressed = false;
         this.clickCount = 0; // Track number of AI selections made
+        this.promptMask = null; // Current point-prompt prediction
+        this.autosaveTimeout = null;
+        this.autosaveDelay = 500; // Batch quick edits (e.g. several brush strokes) into one write
+        this.autosaveQueue = Promise.resolve(); // Session writes run one at a time
         
         // Bind methods to preserve context
         this.handleFileSelect = this.handleFileSelect.bind(this);
@@ -51,6 +163,8 @@ class ImageSegmentationApp {
         this.handleCanvasClick = this.handleCanvasClick.bind(this);
         this.handleKeyDown = this.handleKeyDown.bind(this);
         this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handleModelChange = this.handleModelChange.bind(this);
+        this.handleModelFolderSelect = this.handleModelFolderSelect.bind(this);
         
         this.initializeApp();
     }
@@ -58,6 +172,7 @@ class ImageSegmentationApp {
     async initializeApp() {
         try {
             this.setupEventListeners();
+            this.refreshSessions();
             this.updateCanvasInfo('Initializing enhanced AI model...');
             
             // Load AI model
@@ -78,6 +193,22 @@ class ImageSegmentationApp {
         // File upload events
         this.uploadArea.addEventListener('click', () => this.imageInput.click());
         this.imageInput.addEventListener('change', this.handleFileSelect);
+        this.folderInput.addEventListener('change', this.handleFileSelect);
+        this.folderBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.folderInput.click();
+        });
+        this.openProjectBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.projectInput.click();
+        });
+        this.projectInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.handleOpenProject(file);
+            }
+        });
         
         // Drag and drop events
         this.uploadArea.addEventListener('dragover', this.handleDragEvents);
@@ -90,6 +221,12 @@ class ImageSegmentationApp {
             btn.addEventListener('click', this.handleToolChange);
         });
         
+        // The tool and its settings are saved with the session
+        this.toolButtons.forEach(btn => btn.addEventListener('click', () => this.scheduleAutosave()));
+        Object.values(this.getSettingControls()).forEach(control => {
+            control.addEventListener('change', () => this.scheduleAutosave());
+        });
+        
         // Brush size control
         this.brushSizeSlider.addEventListener('input', (e) => {
             const size = parseInt(e.target.value);
@@ -98,14 +235,92 @@ class ImageSegmentationApp {
                 this.maskTools.setBrushSize(size);
             }
         });
+        this.brushHardnessSlider.addEventListener('input', (e) => {
+            const hardness = parseInt(e.target.value);
+            this.brushHardnessValue.textContent = `${hardness}%`;
+            if (this.maskTools) {
+                this.maskTools.setBrushHardness(hardness);
+            }
+        });
+        this.brushOpacitySlider.addEventListener('input', (e) => {
+            const opacity = parseInt(e.target.value);
+            this.brushOpacityValue.textContent = `${opacity}%`;
+            if (this.maskTools) {
+                this.maskTools.setBrushOpacity(opacity);
+            }
+        });
+        this.wandToleranceSlider.addEventListener('input', (e) => {
+            const tolerance = parseInt(e.target.value);
+            this.wandToleranceValue.textContent = tolerance;
+            if (this.maskTools) {
+                this.maskTools.setWandTolerance(tolerance);
+            }
+        });
+        this.wandContiguousCheckbox.addEventListener('change', (e) => {
+            if (this.maskTools) {
+                this.maskTools.setWandContiguous(e.target.checked);
+            }
+        });
+        this.superpixelSizeSlider.addEventListener('input', (e) => {
+            this.superpixelSizeValue.textContent = `${e.target.value}px`;
+        });
+        this.superpixelSizeSlider.addEventListener('change', () => this.prepareSuperpixels());
+        this.instanceModeCheckbox.addEventListener('change', () => {
+            this.hideClickPreview();
+            this.updateCanvasInfo(this.getToolDescription('click'));
+        });
+        this.lassoMagneticCheckbox.addEventListener('change', (e) => {
+            if (this.maskTools) {
+                this.maskTools.setLassoMagnetic(e.target.checked);
+                this.updateCanvasInfo(this.getToolDescription(this.maskTools.currentTool));
+            }
+        });
+        this.selectionFeatherSlider.addEventListener('input', (e) => {
+            const radius = parseInt(e.target.value);
+            this.selectionFeatherValue.textContent = `${radius}px`;
+            if (this.maskTools) {
+                this.maskTools.setFeatherRadius(radius);
+            }
+        });
+        
+        // Model selection
+        this.modelSelect.addEventListener('change', this.handleModelChange);
+        this.modelFolderInput.addEventListener('change', this.handleModelFolderSelect);
+        this.tilingSelect.addEventListener('change', () => this.handleTilingChange());
+        
+        // Zoom controls
+        document.getElementById('zoomInBtn').addEventListener('click', () => this.viewport.zoomBy(1.25));
+        document.getElementById('zoomOutBtn').addEventListener('click', () => this.viewport.zoomBy(0.8));
+        document.getElementById('zoomFitBtn').addEventListener('click', () => this.viewport.fit());
+        document.getElementById('zoomActualBtn').addEventListener('click', () => this.viewport.setZoom(1));
         
         // Action button events
         this.undoBtn.addEventListener('click', () => this.handleUndo());
         this.redoBtn.addEventListener('click', () => this.handleRedo());
         this.clearBtn.addEventListener('click', () => this.handleClear());
         this.refineBtn.addEventListener('click', () => this.handleRefine());
+        this.grabCutBtn.addEventListener('click', () => this.handleGrabCut());
         this.invertBtn.addEventListener('click', () => this.handleInvert());
         this.downloadBtn.addEventListener('click', () => this.handleDownload());
+        this.importBtn.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', (e) => this.handleImportSelect(e));
+        this.saveProjectBtn.addEventListener('click', () => this.handleSaveProject());
+        this.cutoutBtn.addEventListener('click', () => this.handleDownloadCutout());
+        this.morphologyRadiusSlider.addEventListener('input', (e) => {
+            this.morphologyRadiusValue.textContent = `${e.target.value}px`;
+        });
+        this.maskOperationButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.handleMaskOperation(btn.dataset.operation));
+        });
+        this.featherRadiusSlider.addEventListener('input', (e) => {
+            this.featherRadiusValue.textContent = `${e.target.value}px`;
+        });
+        this.progressCancelBtn.addEventListener('click', () => this.cancelSegmentation());
+        
+        // Batch navigation
+        this.prevImageBtn.addEventListener('click', () => this.selectBatchItem(this.batchQueue.currentIndex - 1));
+        this.nextImageBtn.addEventListener('click', () => this.selectBatchItem(this.batchQueue.currentIndex + 1));
+        this.downloadAllBtn.addEventListener('click', () => this.handleDownloadAll());
         
         // Canvas events for AI segmentation and preview
         this.overlayCanvas.addEventListener('click', this.handleCanvasClick);
@@ -120,6 +335,37 @@ class ImageSegmentationApp {
     handleKeyDown(e) {
         this.isCtrlPressed = e.ctrlKey || e.metaKey;
         
+        // Point prompt: Enter applies the prediction, Escape resets the points
+        if (this.maskTools?.currentTool === 'prompt' && !this.isCtrlPressed) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.applyPromptMask();
+                return;
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.resetPrompt();
+                this.updateCanvasInfo(this.getToolDescription('prompt'));
+                return;
+            }
+        }
+        
+        // Lasso: Enter commits, Escape cancels, Delete removes the vertex under the pointer
+        const isTyping = e.target.tagName === 'TEXTAREA'
+            || (e.target.tagName === 'INPUT' && ['text', 'number'].includes(e.target.type));
+        if (this.maskTools && !this.isCtrlPressed && !isTyping && this.maskTools.handleKeyDown(e)) {
+            e.preventDefault();
+            return;
+        }
+        
+        // Alt+Arrow moves through the batch queue
+        if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            e.preventDefault();
+            const step = e.key === 'ArrowLeft' ? -1 : 1;
+            this.selectBatchItem(this.batchQueue.currentIndex + step);
+            return;
+        }
+        
         if (this.isCtrlPressed) {
             switch (e.key) {
                 case 'z':
@@ -142,10 +388,476 @@ class ImageSegmentationApp {
         this.isCtrlPressed = e.ctrlKey || e.metaKey;
     }
 
-    handleFileSelect(e) {
-        const files = e.target.files || e.dataTransfer.files;
-        if (files && files.length > 0) {
-            this.loadImage(files[0]);
+    async handleModelChange(e) {
+        const value = e.target.value;
+        
+        if (value === 'custom-folder') {
+            // Restore the selection until a folder is actually picked
+            this.modelSelect.value = this.segmentation.backendId;
+            this.modelFolderInput.click();
+            return;
+        }
+        
+        if (value === 'custom-url') {
+            this.modelSelect.value = this.segmentation.backendId;
+            const modelUrl = prompt('Enter the URL of a TF.js graph model (model.json):');
+            if (!modelUrl) return;
+            
+            const name = modelUrl.split('/').slice(-2, -1)[0] || 'Custom model';
+            const backendId = this.segmentation.registerCustomModel({ name, modelUrl });
+            await this.switchModel(backendId);
+            return;
+        }
+        
+        await this.switchModel(value);
+    }
+
+    async handleModelFolderSelect(e) {
+        const files = e.target.files;
+        if (!files || files.length === 0) return;
+        
+        // webkitRelativePath starts with the selected folder name
+        const folderName = (files[0].webkitRelativePath || '').split('/')[0] || 'Custom model';
+        const backendId = this.segmentation.registerCustomModel({ name: folderName, files });
+        this.modelFolderInput.value = '';
+        await this.switchModel(backendId);
+    }
+
+    async switchModel(backendId) {
+        if (this.isProcessing) return;
+        
+        try {
+            this.isProcessing = true;
+            this.cancelSegmentation();
+            this.showLoadingOverlay('Loading AI model...');
+            
+            await this.segmentation.setBackend(backendId);
+            
+            // Segmentation caches belong to the previous model
+            this.cachedSegmentation = null;
+            this.batchQueue.clearSegmentationCache();
+            this.updateClassPanel();
+            this.hideClickPreview();
+            this.updateModelSelect();
+            
+            const info = this.segmentation.getModelInfo();
+            this.hideLoadingOverlay();
+            this.updateCanvasInfo(`${info.baseModel} model loaded (${info.supportedClasses.length} classes)`);
+            this.analyzeInBackground();
+        } catch (error) {
+            console.error('Failed to switch model:', error);
+            this.segmentation.removeCustomModel(backendId);
+            this.updateModelSelect();
+            this.hideLoadingOverlay();
+            this.showError(error.message);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    handleTilingChange() {
+        // Re-analyze with the new resolution mode
+        this.cancelSegmentation();
+        this.cachedSegmentation = null;
+        this.batchQueue.clearSegmentationCache();
+        this.updateClassPanel();
+        this.hideClickPreview();
+        this.analyzeInBackground();
+    }
+
+    updateModelSelect() {
+        // Add options for custom models registered at runtime
+        this.segmentation.getAvailableModels().forEach(model => {
+            if (!this.modelSelect.querySelector(`option[value="${model.id}"]`)) {
+                const option = document.createElement('option');
+                option.value = model.id;
+                option.textContent = model.name;
+                this.modelSelect.insertBefore(option, this.modelSelect.querySelector('option[value="custom-url"]'));
+            }
+        });
+        this.modelSelect.value = this.segmentation.backendId;
+    }
+
+    async handleFileSelect(e) {
+        const files = e.dataTransfer
+            ? await this.batchQueue.collectDroppedFiles(e.dataTransfer)
+            : Array.from(e.target.files);
+        if (!e.dataTransfer) {
+            // Allow picking the same files again
+            e.target.value = '';
+        }
+        if (files.length === 0) return;
+        
+        // A dropped project opens as a whole session
+        const project = files.find(file => this.projectFile.isProjectFile(file));
+        if (project) {
+            await this.handleOpenProject(project);
+            return;
+        }
+        
+        // Queue every image and open the first new one
+        const firstNewIndex = this.batchQueue.items.length;
+        const added = this.batchQueue.addFiles(files);
+        if (added === 0) {
+            this.showError('Please select a valid image file.');
+            return;
+        }
+        
+        console.log(`Queued ${added} image(s)`);
+        await this.selectBatchItem(firstNewIndex);
+    }
+
+    /**
+     * Open a queued image, keeping the mask and history of the current one
+     * @param {number} index - Queue index
+     */
+    async selectBatchItem(index) {
+        const item = this.batchQueue.items[index];
+        if (!item || this.isProcessing) return;
+        
+        try {
+            this.isProcessing = true;
+            if (await this.loadImage(item.file, item)) {
+                this.batchQueue.setCurrent(index);
+                this.prevImageBtn.disabled = !this.batchQueue.hasPrevious();
+                this.nextImageBtn.disabled = !this.batchQueue.hasNext();
+                this.refreshSessions();
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Store the editor state of the current queue item
+     */
+    saveBatchItemState() {
+        const item = this.currentBatchItem;
+        if (!item || !this.maskTools) return;
+        
+        // Images that were only viewed keep nothing and load fresh next time
+        const history = this.maskTools.history;
+        if (history.entries.length === 0 && !this.maskTools.hasContent()) {
+            item.state = null;
+        } else {
+            item.state = {
+                width: this.imageCanvas.width,
+                height: this.imageCanvas.height,
+                mask: this.maskTools.exportSession(),
+                segmentation: this.cachedSegmentation ? this.batchQueue.packSegmentation(this.cachedSegmentation) : null,
+                clickCount: this.clickCount
+            };
+        }
+        item.isEdited = this.maskTools.canUndo();
+        this.batchQueue.render();
+    }
+
+    /**
+     * Save the current image's session shortly after the last change
+     */
+    scheduleAutosave() {
+        clearTimeout(this.autosaveTimeout);
+        this.autosaveTimeout = setTimeout(() => this.autosave(), this.autosaveDelay);
+    }
+
+    /**
+     * Save the current image, layers, history and tool settings to IndexedDB.
+     * A session is created with the first edit of an image.
+     */
+    autosave() {
+        clearTimeout(this.autosaveTimeout);
+        this.autosaveTimeout = null;
+        
+        const item = this.currentBatchItem;
+        if (!item || !this.maskTools || !this.sessionStore.isAvailable()) return;
+        if (!item.session && !this.maskTools.canUndo()) return;
+        
+        // Capture now: the image may change while earlier writes finish
+        const isNew = !item.session;
+        if (isNew) {
+            item.session = {
+                id: this.sessionStore.createId(),
+                created: Date.now(),
+                thumbnail: this.createSessionThumbnail()
+            };
+        }
+        const meta = {
+            id: item.session.id,
+            name: item.file.name,
+            width: this.imageCanvas.width,
+            height: this.imageCanvas.height,
+            edits: this.maskTools.history.position,
+            created: item.session.created,
+            thumbnail: item.session.thumbnail
+        };
+        const state = {
+            mask: this.maskTools.exportSession(),
+            settings: this.getToolSettings()
+        };
+        
+        this.autosaveQueue = this.autosaveQueue.then(async () => {
+            // The session may have been deleted while this write waited
+            if (!item.session || item.session.id !== meta.id) return;
+            
+            try {
+                if (isNew) {
+                    await this.sessionStore.saveImage(meta.id, item.file);
+                }
+                await this.sessionStore.save(meta, state);
+                await this.refreshSessions();
+            } catch (error) {
+                console.warn('Autosave failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Small JPEG of the current image for the session list
+     */
+    createSessionThumbnail() {
+        const size = 64;
+        const scale = size / Math.max(this.imageCanvas.width, this.imageCanvas.height);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(this.imageCanvas.width * scale));
+        canvas.height = Math.max(1, Math.round(this.imageCanvas.height * scale));
+        canvas.getContext('2d').drawImage(this.imageCanvas, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.7);
+    }
+
+    /**
+     * Update the saved sessions list
+     */
+    async refreshSessions() {
+        if (!this.sessionStore.isAvailable()) return;
+        
+        try {
+            const sessions = await this.sessionStore.list();
+            const current = this.currentBatchItem && this.currentBatchItem.session;
+            this.sessionPanel.setSessions(sessions, current ? current.id : null);
+        } catch (error) {
+            console.warn('Could not list saved sessions:', error);
+        }
+    }
+
+    /**
+     * Open a saved session as a new queue item with its layers, history and tool settings
+     */
+    async restoreSession(id) {
+        if (this.isProcessing) return;
+        
+        // Restored earlier in this page
+        const queuedIndex = this.batchQueue.items.findIndex(item => item.session && item.session.id === id);
+        if (queuedIndex !== -1) {
+            await this.selectBatchItem(queuedIndex);
+            return;
+        }
+        
+        try {
+            this.showLoadingOverlay('Restoring session...');
+            const session = await this.sessionStore.load(id);
+            if (!session) {
+                throw new Error('The session is incomplete or was deleted.');
+            }
+            
+            const file = new File([session.image], session.meta.name, { type: session.image.type });
+            const item = await this.openWithSession(file, session.state.mask, session.state.settings, {
+                id,
+                created: session.meta.created,
+                thumbnail: session.meta.thumbnail
+            });
+            if (item) {
+                this.updateCanvasInfo(`Restored session: ${session.meta.name}`);
+            }
+        } catch (error) {
+            console.error('Failed to restore session:', error);
+            this.hideLoadingOverlay();
+            this.showError(`Failed to restore session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Queue an image and open it with saved layers, history and tool settings
+     * @param {File} file - Image file
+     * @param {Object} mask - Layers and history from MaskTools.exportSession()
+     * @param {Object} settings - Tool settings from getToolSettings()
+     * @param {Object} session - Autosave session the image continues, or null to start one with the next edit
+     * @returns {Promise<Object|null>} Queue item, or null if the image failed to load (already reported)
+     */
+    async openWithSession(file, mask, settings, session = null) {
+        const index = this.batchQueue.items.length;
+        this.batchQueue.addFiles([file]);
+        const item = this.batchQueue.items[index];
+        item.session = session;
+        
+        await this.selectBatchItem(index);
+        if (this.currentBatchItem !== item) return null;
+        
+        this.maskTools.importSession(mask);
+        this.restoreToolSettings(settings);
+        this.layerPanel.render();
+        this.updateToolButtons();
+        return item;
+    }
+
+    /**
+     * Delete a saved session. An open image starts a new session with its next edit.
+     */
+    async deleteSession(id) {
+        // Detach first so queued writes of this session are skipped
+        this.batchQueue.items.forEach(item => {
+            if (item.session && item.session.id === id) {
+                item.session = null;
+                if (item === this.currentBatchItem) {
+                    clearTimeout(this.autosaveTimeout);
+                    this.autosaveTimeout = null;
+                }
+            }
+        });
+        
+        // Delete after any write in progress so it can't recreate the session
+        this.autosaveQueue = this.autosaveQueue.then(async () => {
+            try {
+                await this.sessionStore.delete(id);
+            } catch (error) {
+                console.error('Failed to delete session:', error);
+                this.showError(`Failed to delete session: ${error.message}`);
+            }
+        });
+        await this.autosaveQueue;
+        await this.refreshSessions();
+    }
+
+    /**
+     * Tool controls saved with a session, by setting name
+     */
+    getSettingControls() {
+        return {
+            brushSize: this.brushSizeSlider,
+            brushHardness: this.brushHardnessSlider,
+            brushOpacity: this.brushOpacitySlider,
+            selectionFeather: this.selectionFeatherSlider,
+            wandTolerance: this.wandToleranceSlider,
+            wandContiguous: this.wandContiguousCheckbox,
+            superpixelSize: this.superpixelSizeSlider,
+            instanceMode: this.instanceModeCheckbox,
+            lassoMagnetic: this.lassoMagneticCheckbox,
+            morphologyRadius: this.morphologyRadiusSlider,
+            minIslandArea: this.minIslandAreaInput,
+            featherRadius: this.featherRadiusSlider
+        };
+    }
+
+    /**
+     * Current tool and control values
+     */
+    getToolSettings() {
+        const settings = { tool: this.maskTools ? this.maskTools.currentTool : null };
+        Object.entries(this.getSettingControls()).forEach(([key, control]) => {
+            settings[key] = control.type === 'checkbox' ? control.checked : control.value;
+        });
+        return settings;
+    }
+
+    /**
+     * Set controls from getToolSettings(); their event handlers update labels and tools
+     */
+    restoreToolSettings(settings) {
+        if (!settings) return;
+        
+        Object.entries(this.getSettingControls()).forEach(([key, control]) => {
+            if (settings[key] === undefined) return;
+            
+            if (control.type === 'checkbox') {
+                control.checked = settings[key];
+                control.dispatchEvent(new Event('change'));
+            } else {
+                control.value = settings[key];
+                control.dispatchEvent(new Event('input'));
+            }
+        });
+        
+        const toolButton = Array.from(this.toolButtons).find(button => button.dataset.tool === settings.tool);
+        if (toolButton) {
+            toolButton.click();
+        }
+    }
+
+    /**
+     * Save the current image with its layers, history, AI analysis and tool settings as a .maskproj file
+     */
+    async handleSaveProject() {
+        if (!this.maskTools || !this.currentBatchItem) {
+            this.showError('Load an image before saving a project');
+            return;
+        }
+        
+        try {
+            this.showLoadingOverlay('Saving project...');
+            
+            // Name each layer after the AI class under it, as in COCO exports
+            const segmentation = this.cachedSegmentation;
+            const layers = this.maskTools.layers;
+            const layerClasses = new Map();
+            if (segmentation) {
+                layers.layers.forEach(layer => {
+                    const dominantClass = this.segmentation.getDominantClass(segmentation, layers.getLayerMask(layer.id));
+                    if (dominantClass) {
+                        layerClasses.set(layer.id, dominantClass.label);
+                    }
+                });
+            }
+            
+            const blob = await this.projectFile.create({
+                image: this.currentBatchItem.file,
+                width: this.imageCanvas.width,
+                height: this.imageCanvas.height,
+                session: this.maskTools.exportSession(),
+                segmentation: segmentation,
+                classes: segmentation ? this.segmentation.getClassCoverage(segmentation) : [],
+                layerClasses: layerClasses,
+                settings: this.getToolSettings()
+            });
+            
+            const baseName = this.batchQueue.getBaseName(this.currentBatchItem);
+            this.exporter.downloadBlob(blob, `${baseName}${this.projectFile.extension}`);
+            
+            this.hideLoadingOverlay();
+            this.updateCanvasInfo(`Project saved (${layers.layers.length} layers, ${this.maskTools.history.entries.length} history steps)`);
+        } catch (error) {
+            console.error('Failed to save project:', error);
+            this.hideLoadingOverlay();
+            this.showError(`Failed to save project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open a .maskproj file as a new queue item, continuing where it was saved
+     */
+    async handleOpenProject(file) {
+        if (this.isProcessing) return;
+        
+        try {
+            this.showLoadingOverlay('Opening project...');
+            const project = await this.projectFile.open(file);
+            
+            const item = await this.openWithSession(project.image, project.session, project.settings);
+            if (!item) {
+                this.hideLoadingOverlay();
+                return;
+            }
+            
+            // Use the saved analysis instead of running the model again
+            if (project.segmentation) {
+                this.cancelSegmentation();
+                this.cachedSegmentation = project.segmentation;
+                this.updateClassPanel();
+            }
+            
+            this.updateCanvasInfo(`Opened project ${file.name}`);
+        } catch (error) {
+            console.error('Failed to open project:', error);
+            this.hideLoadingOverlay();
+            this.showError(`Failed to open project: ${error.message}`);
         }
     }
 
@@ -170,32 +882,63 @@ class ImageSegmentationApp {
         }
     }
 
-    async loadImage(file) {
+    /**
+     * Load an image file into the editor
+     * @param {File} file - Image file
+     * @param {Object} batchItem - Queue item the file belongs to (restores its saved state)
+     * @returns {Promise<boolean>} True if the image was loaded
+     */
+    async loadImage(file, batchItem = null) {
         try {
             // Validate file type
             if (!file.type.startsWith('image/')) {
                 this.showError('Please select a valid image file.');
-                return;
+                return false;
             }
             
             // Validate file size (max 10MB)
             if (file.size > 10 * 1024 * 1024) {
                 this.showError('Image file is too large. Please select a file smaller than 10MB.');
-                return;
+                return false;
             }
             
             this.showLoadingOverlay('Loading image...');
             
+            const img = await this.readImageFile(file);
+            console.log('Image loaded successfully:', img.width, 'x', img.height);
+            
+            // Keep the mask of the image being replaced, writing a pending autosave now
+            if (this.autosaveTimeout) {
+                this.autosave();
+            }
+            this.saveBatchItemState();
+            this.currentBatchItem = batchItem;
+            this.currentFileName = file.name;
+            
+            this.setupCanvas(img, batchItem ? batchItem.state : null);
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to load image:', error);
+            this.hideLoadingOverlay();
+            this.showError(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Decode an image file
+     * @param {File} file - Image file
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    readImageFile(file) {
+        return new Promise((resolve, reject) => {
             // Create image element
             const img = new Image();
-            img.onload = () => {
-                console.log('Image loaded successfully:', img.width, 'x', img.height);
-                this.setupCanvas(img);
-            };
+            img.onload = () => resolve(img);
             img.onerror = (error) => {
                 console.error('Image loading error:', error);
-                this.hideLoadingOverlay();
-                this.showError('Failed to load image. Please try a different file.');
+                reject(new Error('Failed to load image. Please try a different file.'));
             };
             
             // Load image from file
@@ -206,26 +949,29 @@ class ImageSegmentationApp {
             };
             reader.onerror = (error) => {
                 console.error('FileReader error:', error);
-                this.hideLoadingOverlay();
-                this.showError('Failed to read image file.');
+                reject(new Error('Failed to read image file.'));
             };
             reader.readAsDataURL(file);
-            
-        } catch (error) {
-            console.error('Failed to load image:', error);
-            this.hideLoadingOverlay();
-            this.showError('Failed to load image. Please try again.');
-        }
+        });
     }
 
-    setupCanvas(img) {
+    /**
+     * Set up canvases and tools for a new image
+     * @param {HTMLImageElement} img - Loaded image
+     * @param {Object} savedState - Mask, history and segmentation saved for this image
+     */
+    setupCanvas(img, savedState = null) {
         try {
             this.currentImage = img;
             
             // Reset state for new image
+            this.cancelSegmentation();
             this.cachedSegmentation = null;
+            this.cachedSuperpixels = null;
             this.hideClickPreview();
             this.clickCount = 0;
+            this.promptSegmentation.resetImage();
+            this.promptMask = null;
             
             // Use exact original image dimensions
             const width = img.naturalWidth || img.width;
@@ -241,24 +987,6 @@ class ImageSegmentationApp {
             this.overlayCanvas.width = width;
             this.overlayCanvas.height = height;
             
-            // Calculate reasonable display size
-            const containerPadding = 100;
-            const maxDisplayWidth = Math.min(window.innerWidth - containerPadding, 1000);
-            const maxDisplayHeight = Math.min(window.innerHeight - 400, 600);
-            
-            const scale = Math.min(1, maxDisplayWidth / width, maxDisplayHeight / height);
-            const displayWidth = Math.round(width * scale);
-            const displayHeight = Math.round(height * scale);
-            
-            // Set CSS dimensions for display
-            [this.imageCanvas, this.maskCanvas, this.overlayCanvas].forEach(canvas => {
-                canvas.style.width = displayWidth + 'px';
-                canvas.style.height = displayHeight + 'px';
-            });
-            
-            // Update container to fit the image
-            this.canvasContainer.style.minHeight = Math.max(400, displayHeight + 40) + 'px';
-            
             // Get contexts and draw image
             const ctx = this.imageCanvas.getContext('2d', { willReadFrequently: true });
             const maskCtx = this.maskCanvas.getContext('2d', { willReadFrequently: true });
@@ -272,8 +1000,10 @@ class ImageSegmentationApp {
             
             console.log('Image drawn to canvas');
             
-            // Initialize mask tools
+            // Initialize mask tools, keeping the layer names of the previous image
+            let layerDefinitions = null;
             if (this.maskTools) {
+                layerDefinitions = this.maskTools.layers.getDefinitions();
                 this.maskTools.dispose();
             }
             this.maskTools = new MaskTools(
@@ -281,17 +1011,43 @@ class ImageSegmentationApp {
                 this.maskCanvas,
                 this.overlayCanvas
             );
+            this.maskTools.onBoxSelect = (rect, options) => this.handleBoxSelect(rect, options);
+            this.maskTools.onLockedLayer = (layer) => this.updateCanvasInfo(`Layer "${layer.name}" is locked`);
+            this.maskTools.onHistoryChange = () => {
+                this.updateToolButtons();
+                this.scheduleAutosave();
+            };
+            this.maskTools.imageCanvas = this.imageCanvas;
+            this.applyToolSettings();
+            
+            // Restore the mask and analysis of a previously visited image
+            if (savedState) {
+                this.maskTools.importSession(savedState.mask);
+                this.cachedSegmentation = savedState.segmentation
+                    ? this.batchQueue.unpackSegmentation(savedState.segmentation)
+                    : null;
+                this.clickCount = savedState.clickCount;
+            } else if (layerDefinitions) {
+                this.maskTools.setLayerDefinitions(layerDefinitions);
+            }
+            this.layerPanel.setMaskTools(this.maskTools);
+            this.historyPanel.setMaskTools(this.maskTools);
+            this.updateClassPanel();
             
-            // Show workspace
+            // Show workspace, then fit the image in the now visible view
             const workspace = document.getElementById('workspace');
             workspace.style.display = 'flex';
+            this.viewport.setImage(this.imageCanvas);
             
             // Update UI
             this.updateToolButtons();
-            const scalePercent = Math.round(scale * 100);
+            const scalePercent = Math.round(this.viewport.zoom * 100);
             this.updateCanvasInfo(`Image: ${width}×${height} (displayed at ${scalePercent}%) - Ready for AI selection`);
             this.hideLoadingOverlay();
             
+            // Analyze in the background so the first AI click is instant
+            this.analyzeInBackground();
+            
             console.log('Canvas setup completed');
         } catch (error) {
             console.error('Failed to setup canvas:', error);
@@ -300,6 +1056,19 @@ class ImageSegmentationApp {
         }
     }
 
+    /**
+     * Apply the brush and feather controls to a new MaskTools instance
+     */
+    applyToolSettings() {
+        this.maskTools.setBrushSize(parseInt(this.brushSizeSlider.value));
+        this.maskTools.setBrushHardness(parseInt(this.brushHardnessSlider.value));
+        this.maskTools.setBrushOpacity(parseInt(this.brushOpacitySlider.value));
+        this.maskTools.setFeatherRadius(parseInt(this.selectionFeatherSlider.value));
+        this.maskTools.setWandTolerance(parseInt(this.wandToleranceSlider.value));
+        this.maskTools.setWandContiguous(this.wandContiguousCheckbox.checked);
+        this.maskTools.setLassoMagnetic(this.lassoMagneticCheckbox.checked);
+    }
+
     handleToolChange(e) {
         const tool = e.currentTarget.dataset.tool;
         
@@ -309,11 +1078,23 @@ class ImageSegmentationApp {
         
         // Show/hide brush size control for brush, erase tools
         this.brushSizeGroup.style.display = (tool === 'brush' || tool === 'erase') ? 'flex' : 'none';
+        this.clickGroup.style.display = tool === 'click' ? 'flex' : 'none';
+        this.wandGroup.style.display = tool === 'wand' ? 'flex' : 'none';
+        this.superpixelGroup.style.display = tool === 'superpixel' ? 'flex' : 'none';
+        this.lassoGroup.style.display = (tool === 'lasso' || tool === 'lasso-erase') ? 'flex' : 'none';
+        
+        // Discard unapplied point prompts when leaving the tool
+        if (this.maskTools && this.maskTools.currentTool === 'prompt' && tool !== 'prompt') {
+            this.resetPrompt();
+        }
         
         // Set tool in mask tools
         if (this.maskTools) {
             this.maskTools.setTool(tool);
         }
+        if (tool === 'superpixel') {
+            this.prepareSuperpixels();
+        }
         
         // Reset click count when switching tools
         if (tool === 'click') {
@@ -327,27 +1108,47 @@ class ImageSegmentationApp {
     getToolDescription(tool) {
         switch (tool) {
             case 'click':
-                return `Enhanced AI Click Select (${this.clickCount} selections made) - Click to add, Ctrl+Click to remove`;
+                return `Enhanced AI Click Select (${this.clickCount} selections made) - Click to add, Ctrl+Click to remove`
+                    + (this.instanceModeCheckbox.checked ? ' - selects single instances' : '');
+            case 'prompt': {
+                const status = this.promptSegmentation.getStatus();
+                return `Point Prompt (${status.positivePoints} object / ${status.negativePoints} background points) - Click to add, Ctrl+Click for background, Enter to apply, Esc to reset`;
+            }
             case 'brush':
                 return 'Paint to add to selection';
             case 'erase':
                 return 'Paint to remove from selection';
             case 'lasso':
-                return 'Draw around objects to add to selection';
+                return this.lassoMagneticCheckbox.checked
+                    ? 'Click along an object edge to add it to the selection - the path snaps to edges, double-click to close, Enter to apply'
+                    : 'Click or drag around objects to add to selection - double-click to close and edit points, Enter to apply, Esc to cancel';
             case 'lasso-erase':
-                return 'Draw around areas to remove from selection (perfect for ring holes)';
+                return this.lassoMagneticCheckbox.checked
+                    ? 'Click along an edge to remove an area - the path snaps to edges, double-click to close, Enter to apply'
+                    : 'Click or drag around areas to remove from selection - double-click to close and edit points, Enter to apply, Esc to cancel';
+            case 'box':
+                return 'Drag a box around an object to segment it at full resolution - Ctrl+Drag to remove';
+            case 'wand':
+                return 'Click a color to select similar pixels - Ctrl+Click to remove';
+            case 'superpixel':
+                return 'Click or paint to toggle superpixels - Ctrl to remove';
             default:
                 return 'Select a tool to begin editing';
         }
     }
 
     handleCanvasMouseMove(e) {
-        if (!this.currentImage || !this.modelLoaded || this.isProcessing) {
+        if (!this.currentImage || this.isProcessing) {
             return;
         }
         
         const currentTool = this.maskTools?.currentTool || 'click';
-        if (currentTool !== 'click') {
+        if (currentTool === 'prompt') {
+            // Point prompt preview is cheap - no model run on hover
+            this.showEnhancedClickPreview(e);
+            return;
+        }
+        if (currentTool !== 'click' || !this.modelLoaded) {
             return;
         }
         
@@ -372,70 +1173,337 @@ class ImageSegmentationApp {
 
         try {
             // Get click coordinates
-            const rect = this.overlayCanvas.getBoundingClientRect();
-            const x = (e.clientX - rect.left) * (this.overlayCanvas.width / rect.width);
-            const y = (e.clientY - rect.top) * (this.overlayCanvas.height / rect.height);
+            const { x, y } = this.getCanvasPoint(e);
+            
+            if (this.maskTools?.currentTool === 'prompt') {
+                this.drawPromptPreview({ x, y });
+                return;
+            }
 
             this.isShowingPreview = true;
 
             // Use cached segmentation if available, otherwise generate
-            if (!this.cachedSegmentation) {
-                console.log('Generating segmentation for preview...');
-                this.cachedSegmentation = await this.segmentation.segmentImage(this.imageCanvas);
+            const segmentationResult = await this.getSegmentation();
+            if (this.maskTools?.currentTool !== 'click') {
+                return;
             }
 
             // Create preview mask using simplified method
-            const previewMask = this.segmentation.createClickMask(this.cachedSegmentation, x, y);
+            const instances = this.instanceModeCheckbox.checked ? await this.getInstances(segmentationResult) : null;
+            const previewMask = instances
+                ? this.instanceSeparator.createInstanceMask(instances, x, y)
+                : this.segmentation.createClickMask(segmentationResult, x, y);
             
             // Draw preview on overlay canvas
             const overlayCtx = this.overlayCanvas.getContext('2d');
             overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
             
-            // Create temporary canvas for preview
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = previewMask.width;
-            tempCanvas.height = previewMask.height;
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCtx.putImageData(previewMask, 0, 0);
-            
-            // Draw preview with green tint for add, red for remove
-            overlayCtx.save();
-            overlayCtx.globalCompositeOperation = 'source-over';
-            overlayCtx.globalAlpha = 0.6; // More opaque for better visibility
-            
             // Check if we're in add mode (default) or remove mode (Ctrl pressed)
             const color = this.isCtrlPressed ? '#ef4444' : '#10b981'; // Red for remove, green for add
-            
-            overlayCtx.fillStyle = color;
-            overlayCtx.fillRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
-            
-            // Only show where the mask is
-            overlayCtx.globalCompositeOperation = 'destination-in';
-            overlayCtx.drawImage(tempCanvas, 0, 0);
-            overlayCtx.restore();
+            this.drawMaskPreview(previewMask, color);
+            if (instances) {
+                this.drawMaskPreview(instances.boundaryMask, '#ffffff');
+            }
 
             this.previewMask = previewMask;
         } catch (error) {
-            console.warn('Preview generation failed:', error);
+            if (error.name !== 'AbortError') {
+                console.warn('Preview generation failed:', error);
+            }
         } finally {
             this.isShowingPreview = false;
         }
     }
 
-    hideClickPreview() {
-        if (this.overlayCanvas) {
-            const overlayCtx = this.overlayCanvas.getContext('2d');
-            overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+    /**
+     * Split the analysis's class regions into instances, once per segmentation result.
+     * Concurrent callers (hover preview and click) share one run.
+     * @param {Object} segmentationResult - Whole-image result from getSegmentation()
+     * @returns {Promise<Object>} InstanceSeparator result with a boundaryMask for previews
+     */
+    getInstances(segmentationResult) {
+        if (!segmentationResult.instances) {
+            segmentationResult.instances = this.separateInstances(segmentationResult).catch(error => {
+                segmentationResult.instances = null;
+                throw error;
+            });
+        }
+        return segmentationResult.instances;
+    }
+
+    /**
+     * Run the instance separation with progress in the status bar (see getInstances)
+     */
+    async separateInstances(segmentationResult) {
+        this.showProgress('Separating instances...', 0.5);
+        try {
+            // Let the status bar paint before the watershed blocks the page
+            await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+            
+            const instances = this.instanceSeparator.separate(
+                segmentationResult.imageData,
+                segmentationResult.backgroundClass
+            );
+            // Thick enough to see at the display scale
+            const radius = Math.floor(this.maskTools ? this.maskTools.getCanvasScale() / 2 : 0);
+            instances.boundaryMask = this.instanceSeparator.createBoundaryMask(instances, radius);
+            return instances;
+        } finally {
+            this.hideProgress();
+        }
+    }
+
+    /**
+     * Over-segment the image for the superpixel tool, once per image and superpixel size
+     */
+    async prepareSuperpixels() {
+        if (!this.maskTools || this.maskTools.currentTool !== 'superpixel') return;
+        
+        const regionSize = parseInt(this.superpixelSizeSlider.value);
+        if (!this.cachedSuperpixels || this.cachedSuperpixels.regionSize !== regionSize) {
+            try {
+                this.showLoadingOverlay('Computing superpixels...');
+                await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+                
+                const { width, height } = this.imageCanvas;
+                this.cachedSuperpixels = this.superpixelSegmenter.segment(
+                    this.maskTools.getImagePixels(), width, height, regionSize
+                );
+                this.hideLoadingOverlay();
+            } catch (error) {
+                console.error('Superpixel computation failed:', error);
+                this.hideLoadingOverlay();
+                this.showError('Failed to compute superpixels. Please try again.');
+                return;
+            }
+        }
+        
+        this.maskTools.setSuperpixels(this.cachedSuperpixels);
+        this.updateCanvasInfo(`${this.cachedSuperpixels.count} superpixels - ${this.getToolDescription('superpixel')}`);
+    }
+
+    /**
+     * Get the whole-image segmentation, running it in the background if needed.
+     * Concurrent callers share one run; progress is shown in the status bar.
+     * @returns {Promise<Object>} Segmentation result
+     */
+    getSegmentation() {
+        if (this.cachedSegmentation) {
+            return Promise.resolve(this.cachedSegmentation);
+        }
+        if (this.segmentationPromise) {
+            return this.segmentationPromise;
+        }
+        
+        const image = this.currentImage;
+        const abort = new AbortController();
+        this.segmentationAbort = abort;
+        this.showProgress('AI analyzing image...', 0);
+        
+        const promise = this.segmentation.segmentImage(this.imageCanvas, {
+            tiling: this.tilingSelect.value,
+            signal: abort.signal,
+            onProgress: (stage, progress) => {
+                if (this.segmentationAbort === abort) {
+                    this.showProgress(stage, progress);
+                }
+            }
+        }).then(result => {
+            // Ignore results for an image that has since been replaced or a cancelled request
+            if (image === this.currentImage && !abort.signal.aborted) {
+                this.cachedSegmentation = result;
+                this.updateClassPanel();
+            }
+            return result;
+        }).finally(() => {
+            // A newer request may already have taken over
+            if (this.segmentationPromise === promise) {
+                this.segmentationPromise = null;
+                this.segmentationAbort = null;
+                this.hideProgress();
+            }
+        });
+        this.segmentationPromise = promise;
+        
+        return promise;
+    }
+
+    /**
+     * List the classes of the current image's analysis in the side panel
+     */
+    updateClassPanel() {
+        if (this.cachedSegmentation) {
+            this.classPanel.setClasses(this.segmentation.getClassCoverage(this.cachedSegmentation));
+        } else if (this.currentImage) {
+            this.classPanel.clear(this.modelLoaded ? 'Classes appear when AI analysis finishes' : 'Load a model to detect classes');
+        } else {
+            this.classPanel.clear('Load an image to see detected classes');
+        }
+    }
+
+    /**
+     * Add or remove every pixel of a detected class, across all of its regions
+     * @param {number} classIndex - Class in the current analysis
+     * @param {Object} options - { subtract: remove from the selection instead of adding }
+     */
+    handleClassSelect(classIndex, options = {}) {
+        if (!this.maskTools || !this.cachedSegmentation || !this.maskTools.canEditActiveLayer()) return;
+        
+        const entry = this.classPanel.classes.find(item => item.classIndex === classIndex);
+        const label = entry ? entry.label : `class ${classIndex}`;
+        
+        const classMask = this.segmentation.createClassMask(this.cachedSegmentation, classIndex);
+        const action = { type: 'class-select', params: { class: label, subtract: Boolean(options.subtract) } };
+        if (options.subtract) {
+            this.subtractMaskFromSelection(classMask, action);
+        } else {
+            this.maskTools.applySegmentation(classMask, true, action);
+        }
+        this.updateToolButtons();
+        this.updateCanvasInfo(`${options.subtract ? 'Removed' : 'Added'} all "${label}" pixels ${options.subtract ? 'from' : 'to'} the selection`);
+    }
+
+    /**
+     * Start whole-image analysis without waiting for it
+     */
+    analyzeInBackground() {
+        if (!this.currentImage || !this.modelLoaded) return;
+        
+        this.getSegmentation().catch(error => {
+            if (error.name !== 'AbortError') {
+                console.warn('Background segmentation failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Cancel running AI analysis (the UI stays usable meanwhile)
+     */
+    cancelSegmentation() {
+        if (this.segmentationAbort) {
+            this.segmentationAbort.abort();
+            this.hideProgress();
+        }
+        // Let the next request start at once instead of waiting on the aborted one
+        this.segmentationPromise = null;
+        this.segmentationAbort = null;
+        if (this.regionAbort) {
+            this.regionAbort.abort();
+        }
+    }
+
+    showProgress(stage, progress) {
+        this.progressIndicator.style.display = 'flex';
+        this.progressText.textContent = stage;
+        this.progressFill.style.width = `${Math.round(progress * 100)}%`;
+    }
+
+    hideProgress() {
+        this.progressIndicator.style.display = 'none';
+    }
+
+    /**
+     * Draw a white-on-black mask onto the overlay canvas with a color tint
+     */
+    drawMaskPreview(mask, color) {
+        const overlayCtx = this.overlayCanvas.getContext('2d');
+        const r = parseInt(color.slice(1, 3), 16);
+        const g = parseInt(color.slice(3, 5), 16);
+        const b = parseInt(color.slice(5, 7), 16);
+        
+        // Only show where the mask is
+        const tintData = new ImageData(mask.width, mask.height);
+        const src = mask.data;
+        const dst = tintData.data;
+        for (let i = 0; i < src.length; i += 4) {
+            if (src[i] > 128) {
+                dst[i] = r;
+                dst[i + 1] = g;
+                dst[i + 2] = b;
+                dst[i + 3] = 255;
+            }
+        }
+        
+        // Create temporary canvas for preview
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = mask.width;
+        tempCanvas.height = mask.height;
+        tempCanvas.getContext('2d').putImageData(tintData, 0, 0);
+        
+        overlayCtx.save();
+        overlayCtx.globalAlpha = 0.6; // More opaque for better visibility
+        overlayCtx.drawImage(tempCanvas, 0, 0);
+        overlayCtx.restore();
+    }
+
+    /**
+     * Draw the point-prompt mask, its points and the next-click marker
+     */
+    drawPromptPreview(hoverPoint = null) {
+        const overlayCtx = this.overlayCanvas.getContext('2d');
+        overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+        
+        if (this.promptMask) {
+            this.drawMaskPreview(this.promptMask, '#3b82f6');
+        }
+        
+        // Scale markers with the image so they stay visible on large photos
+        const radius = Math.max(6, Math.round(Math.max(this.overlayCanvas.width, this.overlayCanvas.height) / 150));
+        
+        overlayCtx.save();
+        this.promptSegmentation.points.forEach(point => {
+            overlayCtx.fillStyle = point.positive ? '#10b981' : '#ef4444';
+            overlayCtx.strokeStyle = '#ffffff';
+            overlayCtx.lineWidth = Math.max(2, radius / 3);
+            overlayCtx.beginPath();
+            overlayCtx.arc(point.x, point.y, radius, 0, 2 * Math.PI);
+            overlayCtx.fill();
+            overlayCtx.stroke();
+        });
+        
+        if (hoverPoint) {
+            overlayCtx.strokeStyle = this.isCtrlPressed ? '#ef4444' : '#10b981';
+            overlayCtx.lineWidth = Math.max(2, radius / 3);
+            overlayCtx.setLineDash([radius / 2, radius / 2]);
+            overlayCtx.beginPath();
+            overlayCtx.arc(hoverPoint.x, hoverPoint.y, radius * 1.5, 0, 2 * Math.PI);
+            overlayCtx.stroke();
+        }
+        overlayCtx.restore();
+    }
+
+    hideClickPreview() {
+        if (this.overlayCanvas) {
+            const overlayCtx = this.overlayCanvas.getContext('2d');
+            overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
         }
         this.previewMask = null;
     }
 
+    /**
+     * Convert a mouse event to image pixel coordinates
+     */
+    getCanvasPoint(e) {
+        const rect = this.overlayCanvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.overlayCanvas.width / rect.width),
+            y: (e.clientY - rect.top) * (this.overlayCanvas.height / rect.height)
+        };
+    }
+
     async handleCanvasClick(e) {
-        if (!this.currentImage || !this.modelLoaded || this.isProcessing) {
+        if (!this.currentImage || this.isProcessing) {
+            return;
+        }
+        if (!this.modelLoaded && this.maskTools?.currentTool !== 'prompt') {
             return;
         }
         
         const currentTool = this.maskTools?.currentTool || 'click';
+        if (currentTool === 'prompt') {
+            await this.handlePromptClick(e);
+            return;
+        }
         if (currentTool !== 'click') {
             return;
         }
@@ -443,26 +1511,20 @@ class ImageSegmentationApp {
         try {
             this.isProcessing = true;
             this.hideClickPreview();
-            this.showLoadingOverlay('AI analyzing image...');
             
-            // Get click coordinates
-            const rect = this.overlayCanvas.getBoundingClientRect();
-            const x = (e.clientX - rect.left) * (this.overlayCanvas.width / rect.width);
-            const y = (e.clientY - rect.top) * (this.overlayCanvas.height / rect.height);
+            // Get click coordinates and mode before the (possibly slow) analysis
+            const { x, y } = this.getCanvasPoint(e);
+            const subtract = this.isCtrlPressed;
             
-            console.log(`Enhanced AI click at: ${x}, ${y}, Ctrl pressed: ${this.isCtrlPressed}`);
+            console.log(`Enhanced AI click at: ${x}, ${y}, Ctrl pressed: ${subtract}`);
             
-            // Use cached enhanced segmentation or generate new one
-            let segmentationResult;
-            if (this.cachedSegmentation) {
-                segmentationResult = this.cachedSegmentation;
-            } else {
-                segmentationResult = await this.segmentation.segmentImage(this.imageCanvas);
-                this.cachedSegmentation = segmentationResult;
-            }
+            // Use cached enhanced segmentation or generate new one in the background
+            const segmentationResult = await this.getSegmentation();
             
             // Create mask for clicked object using simplified connected components
-            const objectMask = this.segmentation.createClickMask(segmentationResult, x, y);
+            const objectMask = this.instanceModeCheckbox.checked
+                ? this.instanceSeparator.createInstanceMask(await this.getInstances(segmentationResult), x, y)
+                : this.segmentation.createClickMask(segmentationResult, x, y);
             
             // Check if the mask has any selection
             const maskDataArray = objectMask.data;
@@ -476,14 +1538,23 @@ class ImageSegmentationApp {
             
             if (hasSelection) {
                 this.clickCount++;
+                const dominantClass = this.segmentation.getDominantClass(segmentationResult, objectMask);
+                const action = {
+                    type: 'ai-click',
+                    params: {
+                        class: dominantClass ? dominantClass.label : null,
+                        subtract: subtract,
+                        instance: this.instanceModeCheckbox.checked
+                    }
+                };
                 
-                if (this.isCtrlPressed) {
+                if (subtract) {
                     // Remove from selection (subtract mode)
-                    this.subtractMaskFromSelection(objectMask);
+                    this.subtractMaskFromSelection(objectMask, action);
                     console.log(`Removed selection #${this.clickCount} from mask`);
                 } else {
                     // Add to selection (additive mode)
-                    this.maskTools.applySegmentation(objectMask, true);
+                    this.maskTools.applySegmentation(objectMask, true, action);
                     console.log(`Added selection #${this.clickCount} to mask`);
                 }
                 
@@ -494,17 +1565,119 @@ class ImageSegmentationApp {
                 this.updateCanvasInfo('No selection at click point - try clicking on object edges or different areas');
             }
             
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.updateCanvasInfo('AI analysis cancelled');
+                return;
+            }
+            console.error('Enhanced AI segmentation failed:', error);
+            this.showError(`Enhanced AI segmentation failed: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    async handleBoxSelect(rect, { subtract }) {
+        if (!this.modelLoaded || this.isProcessing) {
+            return;
+        }
+        
+        try {
+            this.isProcessing = true;
+            this.regionAbort = new AbortController();
+            this.showProgress('AI analyzing selected region...', 0);
+            
+            // Segment only the crop so the model sees it at full resolution
+            const regionResult = await this.segmentation.segmentRegion(this.imageCanvas, rect, {
+                tiling: this.tilingSelect.value,
+                signal: this.regionAbort.signal,
+                onProgress: (stage, progress) => this.showProgress(stage, progress)
+            });
+            const objectMask = this.segmentation.createBoxMask(
+                regionResult,
+                this.imageCanvas.width,
+                this.imageCanvas.height
+            );
+            
+            if (objectMask) {
+                this.clickCount++;
+                const action = { type: 'ai-box', params: { subtract: subtract, width: rect.width, height: rect.height } };
+                if (subtract) {
+                    this.subtractMaskFromSelection(objectMask, action);
+                } else {
+                    this.maskTools.applySegmentation(objectMask, true, action);
+                }
+                this.updateToolButtons();
+                this.updateCanvasInfo(`Box selection ${subtract ? 'removed from' : 'added to'} mask (${rect.width}×${rect.height}px region)`);
+            } else {
+                this.updateCanvasInfo('No object found inside the box - try a tighter or larger box');
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.updateCanvasInfo('Box analysis cancelled');
+                return;
+            }
+            console.error('Box segmentation failed:', error);
+            this.showError(`Box segmentation failed: ${error.message}`);
+        } finally {
+            this.regionAbort = null;
+            this.hideProgress();
+            this.isProcessing = false;
+        }
+    }
+
+    async handlePromptClick(e) {
+        const point = this.getCanvasPoint(e);
+        const positive = !(this.isCtrlPressed || e.ctrlKey || e.metaKey);
+        
+        try {
+            this.isProcessing = true;
+            
+            if (!this.promptSegmentation.isModelLoaded) {
+                this.showLoadingOverlay('Loading point-prompt model...');
+                await this.promptSegmentation.initializeModel();
+            }
+            if (!this.promptSegmentation.hasImage()) {
+                this.showLoadingOverlay('Preparing image for point prompts...');
+                await this.promptSegmentation.setImage(this.imageCanvas);
+            }
             this.hideLoadingOverlay();
             
+            // Re-predict the whole mask from all points after each click
+            this.promptSegmentation.addPoint(point.x, point.y, positive);
+            this.promptMask = await this.promptSegmentation.predict();
+            
+            this.drawPromptPreview();
+            this.updateCanvasInfo(this.getToolDescription('prompt'));
         } catch (error) {
-            console.error('Enhanced AI segmentation failed:', error);
+            console.error('Point prompt segmentation failed:', error);
             this.hideLoadingOverlay();
-            this.showError(`Enhanced AI segmentation failed: ${error.message}`);
+            this.showError(`Point prompt segmentation failed: ${error.message}`);
         } finally {
             this.isProcessing = false;
         }
     }
 
+    applyPromptMask() {
+        if (!this.maskTools || !this.promptMask) return;
+        
+        const status = this.promptSegmentation.getStatus();
+        this.maskTools.applySegmentation(this.promptMask, true, {
+            type: 'point-prompt',
+            params: { positive: status.positivePoints, negative: status.negativePoints }
+        });
+        this.clickCount++;
+        this.resetPrompt();
+        this.updateToolButtons();
+        this.updateCanvasInfo('Point prompt selection added to mask');
+    }
+
+    resetPrompt() {
+        this.promptSegmentation.clearPoints();
+        this.promptMask = null;
+        this.hideClickPreview();
+    }
+
     handleUndo() {
         if (this.maskTools && this.maskTools.undo()) {
             this.updateToolButtons();
@@ -529,13 +1702,13 @@ class ImageSegmentationApp {
     }
 
     handleInvert() {
-        if (!this.maskTools) return;
+        if (!this.maskTools || !this.maskTools.canEditActiveLayer()) return;
         
         try {
             this.showLoadingOverlay('Inverting mask...');
             
-            // Get current mask data
-            const currentMask = this.maskTools.getMaskData();
+            // Get current mask data, keeping soft edges
+            const currentMask = this.maskTools.getMaskData(true);
             const data = currentMask.data;
             
             // Invert the mask: white becomes black, black becomes white
@@ -549,14 +1722,7 @@ class ImageSegmentationApp {
             }
             
             // Apply inverted mask
-            const maskCtx = this.maskCanvas.getContext('2d');
-            maskCtx.clearRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
-            
-            // Convert to green overlay for display
-            const greenMask = this.maskTools.convertToGreenOverlay(currentMask);
-            maskCtx.putImageData(greenMask, 0, 0);
-            
-            this.maskTools.saveState();
+            this.maskTools.setMaskData(currentMask, { type: 'invert', params: {} });
             this.updateToolButtons();
             
             this.hideLoadingOverlay();
@@ -570,167 +1736,445 @@ class ImageSegmentationApp {
     }
 
     async handleRefine() {
-        if (!this.maskTools) return;
+        if (!this.maskTools || !this.maskTools.canEditActiveLayer()) return;
         
         try {
-            this.showLoadingOverlay('Refining edges with enhanced algorithm...');
+            this.showLoadingOverlay('Refining edges against the image...');
             
-            // Enhanced edge refinement
-            const currentMask = this.maskTools.getMaskData();
-            const refinedMask = this.refineMaskEdgesEnhanced(currentMask);
+            // Let the overlay paint before the filter blocks the page
+            await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
             
-            // Apply refined mask
-            const maskCtx = this.maskCanvas.getContext('2d');
-            maskCtx.clearRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
-            
-            // Convert to green overlay for display
-            const greenMask = this.maskTools.convertToGreenOverlay(refinedMask);
-            maskCtx.putImageData(greenMask, 0, 0);
+            // Guided-filter matting in a band around the current edge
+            const currentMask = this.maskTools.getMaskData(true);
+            const imageData = this.imageCanvas.getContext('2d').getImageData(0, 0, currentMask.width, currentMask.height);
+            const refinedMask = this.matteFilters.refineEdges(imageData, currentMask);
             
-            this.maskTools.saveState();
+            // Apply refined mask
+            this.maskTools.setMaskData(refinedMask, { type: 'refine-edges', params: {} });
+            this.updateToolButtons();
             
             this.hideLoadingOverlay();
-            this.updateCanvasInfo('Edges refined with enhanced algorithm');
+            this.updateCanvasInfo('Edges refined with soft alpha from the image');
             
         } catch (error) {
-            console.error('Enhanced edge refinement failed:', error);
+            console.error('Edge refinement failed:', error);
             this.hideLoadingOverlay();
             this.showError('Edge refinement failed. Please try again.');
         }
     }
 
-    refineMaskEdgesEnhanced(maskData, iterations = 2) {
-        const width = maskData.width;
-        const height = maskData.height;
-        const data = new Uint8ClampedArray(maskData.data);
-        
-        // Enhanced morphological operations
-        for (let iter = 0; iter < iterations; iter++) {
-            // Erosion to remove noise
-            const eroded = new Uint8ClampedArray(data);
-            for (let y = 1; y < height - 1; y++) {
-                for (let x = 1; x < width - 1; x++) {
-                    const idx = (y * width + x) * 4;
-                    if (data[idx] < 128) continue;
-                    
-                    // Check 3x3 neighborhood
-                    let hasBlackNeighbor = false;
-                    for (let dy = -1; dy <= 1; dy++) {
-                        for (let dx = -1; dx <= 1; dx++) {
-                            const neighborIdx = ((y + dy) * width + (x + dx)) * 4;
-                            if (data[neighborIdx] < 128) {
-                                hasBlackNeighbor = true;
-                                break;
-                            }
-                        }
-                        if (hasBlackNeighbor) break;
-                    }
-                    
-                    if (hasBlackNeighbor) {
-                        eroded[idx] = 0;
-                        eroded[idx + 1] = 0;
-                        eroded[idx + 2] = 0;
-                    }
-                }
+    /**
+     * GrabCut: tighten the active layer's rough selection to the object using its colors.
+     * The selection is probable foreground, a band around it probable background,
+     * and brush/erase strokes are kept as drawn.
+     */
+    async handleGrabCut() {
+        if (!this.maskTools || !this.maskTools.canEditActiveLayer()) return;
+        
+        try {
+            this.showLoadingOverlay('Running GrabCut...');
+            await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+            
+            const mask = this.maskTools.getMaskData();
+            const { width, height } = mask;
+            const band = Math.max(8, Math.round(Math.hypot(width, height) * 0.02));
+            const constraints = this.maskTools.getStrokeConstraints();
+            const { labels, rect } = this.grabCut.createLabels(mask, constraints, band);
+            if (!rect) {
+                this.hideLoadingOverlay();
+                this.showError('Select the object roughly first (lasso, box or brush), then run GrabCut.');
+                return;
             }
             
-            // Dilation to restore size
-            for (let y = 1; y < height - 1; y++) {
-                for (let x = 1; x < width - 1; x++) {
-                    const idx = (y * width + x) * 4;
-                    if (eroded[idx] > 128) continue;
-                    
-                    // Check 3x3 neighborhood
-                    let hasWhiteNeighbor = false;
-                    for (let dy = -1; dy <= 1; dy++) {
-                        for (let dx = -1; dx <= 1; dx++) {
-                            const neighborIdx = ((y + dy) * width + (x + dx)) * 4;
-                            if (eroded[neighborIdx] > 128) {
-                                hasWhiteNeighbor = true;
-                                break;
-                            }
-                        }
-                        if (hasWhiteNeighbor) break;
-                    }
-                    
-                    if (hasWhiteNeighbor) {
-                        data[idx] = 255;
-                        data[idx + 1] = 255;
-                        data[idx + 2] = 255;
-                    } else {
-                        data[idx] = eroded[idx];
-                        data[idx + 1] = eroded[idx + 1];
-                        data[idx + 2] = eroded[idx + 2];
-                    }
-                }
+            const pixels = this.maskTools.getImagePixels();
+            const { foreground, scale } = this.grabCut.segment(pixels, width, height, labels, rect);
+            let result = this.morphology.bitsToMask(foreground, width, height);
+            
+            // Large regions are solved downscaled; snap the edge back to full resolution
+            if (scale > 1) {
+                result = this.matteFilters.refineEdges(new ImageData(pixels, width, height), result, { band: 2 * scale });
             }
+            
+            this.maskTools.setMaskData(result, { type: 'grabcut', params: { band } });
+            this.updateToolButtons();
+            
+            this.hideLoadingOverlay();
+            this.updateCanvasInfo('GrabCut applied. Brush or erase to mark missed parts, then run it again.');
+            
+        } catch (error) {
+            console.error('GrabCut failed:', error);
+            this.hideLoadingOverlay();
+            this.showError('GrabCut failed. Please try again.');
         }
+    }
+
+    /**
+     * Run a morphology operation on the active layer
+     * @param {string} operation - grow, shrink, open, close, smooth, fill-holes or remove-islands
+     */
+    async handleMaskOperation(operation) {
+        if (!this.maskTools || !this.maskTools.canEditActiveLayer()) return;
+        
+        const radius = parseInt(this.morphologyRadiusSlider.value);
+        const minArea = Math.max(1, parseInt(this.minIslandAreaInput.value) || 1);
         
-        return new ImageData(data, width, height);
+        try {
+            this.showLoadingOverlay('Applying mask operation...');
+            await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+            
+            const mask = this.maskTools.getMaskData();
+            const { width, height } = mask;
+            const bits = this.morphology.maskToBits(mask);
+            
+            let result;
+            switch (operation) {
+                case 'grow':
+                    result = this.morphology.grow(bits, width, height, radius);
+                    break;
+                case 'shrink':
+                    result = this.morphology.shrink(bits, width, height, radius);
+                    break;
+                case 'open':
+                    result = this.morphology.open(bits, width, height, radius);
+                    break;
+                case 'close':
+                    result = this.morphology.close(bits, width, height, radius);
+                    break;
+                case 'smooth':
+                    // Gaussian blur, then threshold at half coverage
+                    result = this.morphology.maskToBits(this.matteFilters.featherMask(mask, radius));
+                    break;
+                case 'fill-holes':
+                    result = this.morphology.fillHoles(bits, width, height);
+                    break;
+                case 'remove-islands':
+                    result = this.morphology.removeIslands(bits, width, height, minArea);
+                    break;
+                default:
+                    throw new Error(`Unknown mask operation: ${operation}`);
+            }
+            
+            this.maskTools.setMaskData(this.morphology.bitsToMask(result, width, height), {
+                type: 'mask-operation',
+                params: { operation, radius, minArea }
+            });
+            this.updateToolButtons();
+            
+            this.hideLoadingOverlay();
+            this.updateCanvasInfo(`Mask operation applied: ${operation.replace('-', ' ')}`);
+            
+        } catch (error) {
+            console.error('Mask operation failed:', error);
+            this.hideLoadingOverlay();
+            this.showError('Mask operation failed. Please try again.');
+        }
+    }
+
+    /**
+     * @param {Object} action - { type, params } history action (see MaskTools.saveState)
+     */
+    subtractMaskFromSelection(objectMask, action) {
+        this.maskTools.subtractMask(objectMask, action);
     }
 
-    subtractMaskFromSelection(objectMask) {
-        const maskCtx = this.maskCanvas.getContext('2d');
+    /**
+     * Import a mask or annotation file onto the current image
+     */
+    async handleImportSelect(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
         
-        // Create temporary canvas for the object mask
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = objectMask.width;
-        tempCanvas.height = objectMask.height;
-        const tempCtx = tempCanvas.getContext('2d');
+        if (!this.maskTools) {
+            this.showError('Load an image before importing annotations.');
+            return;
+        }
         
-        // Convert to green overlay for subtraction
-        const greenMask = this.maskTools.convertToGreenOverlay(objectMask);
-        tempCtx.putImageData(greenMask, 0, 0);
+        try {
+            this.showLoadingOverlay('Importing annotations...');
+            
+            const info = this.segmentation.getModelInfo();
+            const masks = await this.importer.importFile(file, {
+                width: this.imageCanvas.width,
+                height: this.imageCanvas.height,
+                fileName: this.currentFileName,
+                labels: info.supportedClasses,
+                colormap: info.colormap,
+                layerNames: this.maskTools.layers.layers.map(layer => layer.name)
+            });
+            if (masks.length === 0) {
+                throw new Error('The file contains no annotations for this image.');
+            }
+            
+            const skipped = this.applyImportedMasks(masks);
+            const imported = masks.length - skipped.length;
+            
+            this.hideLoadingOverlay();
+            if (imported === 0) {
+                this.showError(`Nothing imported: the target layers are locked (${skipped.join(', ')}).`);
+                return;
+            }
+            const skippedInfo = skipped.length > 0 ? `, skipped ${skipped.length} for locked layers (${skipped.join(', ')})` : '';
+            this.updateCanvasInfo(`Imported ${imported} mask${imported === 1 ? '' : 's'} from ${file.name}${skippedInfo}`);
+            
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.hideLoadingOverlay();
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Add imported masks to the layer of the same name. A single unnamed match
+     * goes to the active layer; otherwise missing layers are created.
+     * Masks whose layer is locked are skipped.
+     * @returns {Array<string>} Names of the skipped masks
+     */
+    applyImportedMasks(masks) {
+        const layers = this.maskTools.layers;
+        const activeLayerId = layers.activeLayerId;
+        const skipped = [];
         
-        // Use destination-out blend mode to subtract
-        maskCtx.save();
-        maskCtx.globalCompositeOperation = 'destination-out';
-        maskCtx.drawImage(tempCanvas, 0, 0);
-        maskCtx.restore();
+        masks.forEach(imported => {
+            let layer = layers.layers.find(existing => existing.name === imported.name);
+            if (!layer) {
+                layer = masks.length === 1
+                    ? layers.getActiveLayer()
+                    : this.maskTools.addLayer({ name: imported.name, color: imported.color || undefined });
+            }
+            
+            layers.setActiveLayer(layer.id);
+            if (!this.maskTools.canEditActiveLayer()) {
+                skipped.push(imported.name);
+                return;
+            }
+            // Keep imported edges as they are
+            this.maskTools.applySegmentation(imported.mask, true, {
+                feather: 0,
+                type: 'import',
+                params: { name: imported.name }
+            });
+        });
         
-        this.maskTools.saveState();
+        // Keep editing the layer the user had selected
+        layers.setActiveLayer(activeLayerId);
+        this.layerPanel.render();
+        this.updateToolButtons();
+        return skipped;
     }
 
-    handleDownload() {
+    async handleDownload() {
         if (!this.maskTools) {
             this.showError('No mask to download');
             return;
         }
         
         try {
-            // Get current mask
-            const currentMask = this.maskTools.getMaskData();
-            
-            // Create download canvas with pure black/white
-            const downloadCanvas = document.createElement('canvas');
-            downloadCanvas.width = currentMask.width;
-            downloadCanvas.height = currentMask.height;
-            const downloadCtx = downloadCanvas.getContext('2d');
-            
-            // Create pure binary mask
-            const binaryMask = this.createBinaryMask(currentMask);
-            downloadCtx.putImageData(binaryMask, 0, 0);
-            
-            // Create download link
-            downloadCanvas.toBlob((blob) => {
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `enhanced_mask_${Date.now()}.png`;
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-                
-                this.updateCanvasInfo(`Enhanced mask downloaded (${this.clickCount} AI selections)`);
+            const baseName = this.batchQueue.getBaseName(this.currentBatchItem);
+            
+            // COCO categories come from the AI classes under each layer
+            let segmentation = null;
+            if (this.isCocoFormat()) {
+                segmentation = await this.getSegmentation().catch(error => {
+                    console.warn('Exporting without AI categories:', error);
+                    return null;
+                });
+            }
+            
+            const entries = await this.createMaskEntries(this.maskTools.layers, baseName, {
+                fileName: this.currentFileName,
+                segmentation: segmentation
             });
             
+            if (entries.length === 1) {
+                this.exporter.downloadBlob(entries[0].data, entries[0].name);
+            } else {
+                const zip = await this.exporter.createZip(entries);
+                this.exporter.downloadBlob(zip, `${baseName}_layers.zip`);
+            }
+            
+            this.updateCanvasInfo(`Enhanced mask downloaded (${this.clickCount} AI selections)`);
+            
         } catch (error) {
             console.error('Download failed:', error);
             this.showError('Failed to download mask. Please try again.');
         }
     }
 
+    /**
+     * Download the active layer's object with a transparent background
+     */
+    async handleDownloadCutout() {
+        if (!this.maskTools) {
+            this.showError('No image to cut out');
+            return;
+        }
+        
+        try {
+            this.showLoadingOverlay('Creating cutout...');
+            
+            const cutout = this.exporter.createCutout(this.imageCanvas, this.maskTools.getMaskData(true), {
+                feather: parseInt(this.featherRadiusSlider.value),
+                crop: this.cutoutCropCheckbox.checked
+            });
+            if (!cutout) {
+                this.hideLoadingOverlay();
+                this.showError('Select an object before downloading a cutout.');
+                return;
+            }
+            
+            const blob = await this.exporter.imageDataToBlob(cutout, this.cutoutFormatSelect.value, 0.92);
+            // Browsers without WebP encoding fall back to PNG
+            const extension = blob.type === 'image/webp' ? 'webp' : 'png';
+            const baseName = this.batchQueue.getBaseName(this.currentBatchItem);
+            this.exporter.downloadBlob(blob, `${baseName}_cutout.${extension}`);
+            
+            this.hideLoadingOverlay();
+            this.updateCanvasInfo(`Cutout downloaded (${cutout.width}×${cutout.height})`);
+            
+        } catch (error) {
+            console.error('Cutout failed:', error);
+            this.hideLoadingOverlay();
+            this.showError('Failed to create cutout. Please try again.');
+        }
+    }
+
+    /**
+     * Download the masks of all edited queue images as a ZIP
+     */
+    async handleDownloadAll() {
+        this.saveBatchItemState();
+        const items = this.batchQueue.items.filter(item => item.isEdited);
+        if (items.length === 0) {
+            this.showError('No edited masks to download yet');
+            return;
+        }
+        
+        try {
+            this.showLoadingOverlay(`Packing ${items.length} masks...`);
+            
+            // COCO exports one dataset covering every image
+            if (this.isCocoFormat()) {
+                const dataset = this.createCocoDataset();
+                items.forEach(item => {
+                    const layers = this.batchQueue.createLayers(item);
+                    const segmentation = item.state.segmentation;
+                    this.addCocoAnnotations(dataset, layers, {
+                        fileName: item.name,
+                        segmentation: segmentation ? this.batchQueue.unpackSegmentation(segmentation) : null
+                    });
+                    layers.dispose();
+                });
+                const blob = new Blob([JSON.stringify(dataset.toJSON())], { type: 'application/json' });
+                this.exporter.downloadBlob(blob, `annotations_${Date.now()}.json`);
+                this.updateCanvasInfo(`Exported COCO annotations for ${items.length} images`);
+                return;
+            }
+            
+            // Encode one image at a time to keep memory use flat on large batches
+            const entries = [];
+            for (const item of items) {
+                const layers = this.batchQueue.createLayers(item);
+                const itemEntries = await this.createMaskEntries(layers, this.batchQueue.getBaseName(item));
+                layers.dispose();
+                entries.push(...itemEntries);
+            }
+            
+            const zip = await this.exporter.createZip(entries);
+            this.exporter.downloadBlob(zip, `masks_${Date.now()}.zip`);
+            this.updateCanvasInfo(`Downloaded masks for ${items.length} images`);
+            
+        } catch (error) {
+            console.error('Batch download failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.hideLoadingOverlay();
+        }
+    }
+
+    /**
+     * Encode an image's layers in the selected export format
+     * @param {LayerManager} layers - Layers of the image
+     * @param {string} baseName - File name prefix
+     * @param {Object} image - { fileName, segmentation } for COCO export
+     * @returns {Promise<Array<Object>>} { name, data } file entries
+     */
+    async createMaskEntries(layers, baseName, image = {}) {
+        switch (this.exportFormatSelect.value) {
+            case 'coco-polygon':
+            case 'coco-rle': {
+                const dataset = this.createCocoDataset();
+                this.addCocoAnnotations(dataset, layers, image);
+                return [{
+                    name: `${baseName}_coco.json`,
+                    data: new Blob([JSON.stringify(dataset.toJSON())], { type: 'application/json' })
+                }];
+            }
+                
+            case 'layers':
+                // One PNG per layer, numbered like the label map
+                return Promise.all(layers.layers.map(async (layer, index) => ({
+                    name: `${baseName}_${index + 1}_${layer.name.replace(/[^\w-]+/g, '_')}.png`,
+                    data: await this.exporter.imageDataToBlob(this.getExportMask(layers, layer.id))
+                })));
+                
+            case 'labelmap':
+                return [{
+                    name: `${baseName}_labels.png`,
+                    data: await this.exporter.imageDataToBlob(layers.createLabelMap())
+                }];
+                
+            default:
+                return [{
+                    name: `${baseName}_mask.png`,
+                    data: await this.exporter.imageDataToBlob(this.getExportMask(layers, layers.activeLayerId))
+                }];
+        }
+    }
+
+    /**
+     * Get a layer as the selected mask type: hard binary mask or 8-bit matte.
+     * Label maps and COCO annotations are always binary.
+     */
+    getExportMask(layers, layerId) {
+        if (this.maskTypeSelect.value === 'matte') {
+            return layers.getLayerMatte(layerId);
+        }
+        return this.createBinaryMask(layers.getLayerMask(layerId));
+    }
+
+    isCocoFormat() {
+        return this.exportFormatSelect.value.startsWith('coco');
+    }
+
+    createCocoDataset() {
+        return new CocoDataset({
+            encoding: this.exportFormatSelect.value === 'coco-rle' ? 'rle' : 'polygon'
+        });
+    }
+
+    /**
+     * Add one COCO annotation per non-empty layer of an image
+     * @param {CocoDataset} dataset - Dataset to add to
+     * @param {LayerManager} layers - Layers of the image
+     * @param {Object} image - { fileName, segmentation }
+     */
+    addCocoAnnotations(dataset, layers, image) {
+        const imageId = dataset.addImage(image.fileName || 'image.png', layers.width, layers.height);
+        
+        layers.layers.forEach(layer => {
+            const mask = layers.getLayerMask(layer.id);
+            
+            // Category from the AI class under the layer, falling back to the layer name
+            const dominantClass = image.segmentation
+                ? this.segmentation.getDominantClass(image.segmentation, mask)
+                : null;
+            const category = dominantClass ? dominantClass.label : layer.name;
+            
+            dataset.addMask(imageId, mask, category);
+        });
+    }
+
     createBinaryMask(maskData) {
         const width = maskData.width;
         const height = maskData.height;
@@ -757,6 +2201,7 @@ class ImageSegmentationApp {
         const status = this.maskTools.getStatus();
         this.undoBtn.disabled = !status.canUndo;
         this.redoBtn.disabled = !status.canRedo;
+        this.historyPanel.render();
     }
 
     updateCanvasInfo(text) {
@@ -781,12 +2226,19 @@ class ImageSegmentationApp {
     }
 
     dispose() {
+        if (this.autosaveTimeout) {
+            this.autosave();
+        }
         if (this.maskTools) {
             this.maskTools.dispose();
         }
         if (this.segmentation) {
             this.segmentation.dispose();
         }
+        if (this.promptSegmentation) {
+            this.promptSegmentation.dispose();
+        }
+        this.batchQueue.dispose();
     }
 }
 
@@ -0,0 +1,327 @@
+// js/batch.js - Multi-image batch queue with thumbnail filmstrip
+
+class BatchQueue {
+    constructor(filmstripElement, thumbnailsElement, counterElement) {
+        this.filmstrip = filmstripElement;
+        this.thumbnails = thumbnailsElement;
+        this.counter = counterElement;
+        this.thumbnailSize = 96;
+
+        // Thumbnails are decoded a few at a time so large drops don't decode every photo at once
+        this.thumbnailConcurrency = 2;
+        this.thumbnailQueue = [];
+        this.activeThumbnails = 0;
+
+        // Queue items: { id, file, name, thumbnailUrl, state, isEdited }. state is null for images
+        // that were only viewed, else { width, height, mask: MaskTools.exportSession(),
+        // segmentation: packSegmentation() result or null, clickCount }
+        this.items = [];
+        this.currentIndex = -1;
+        this.nextId = 1;
+
+        // Run-length codec of stored masks and segmentations
+        this.codec = new MaskHistory();
+
+        // Callback set by the app: (index) => void
+        this.onSelect = null;
+    }
+
+    /**
+     * Collect image files from a drop, descending into dropped folders
+     * @param {DataTransfer} dataTransfer - Drop event data
+     * @returns {Promise<Array<File>>} Dropped files
+     */
+    async collectDroppedFiles(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+            .filter(Boolean);
+
+        // Browsers without the entries API only give flat files
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files || []);
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            await this._readEntry(entry, files);
+        }
+        return files;
+    }
+
+    /**
+     * Recursively read a file system entry
+     * @private
+     */
+    async _readEntry(entry, files) {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            return;
+        }
+        if (!entry.isDirectory) return;
+
+        const reader = entry.createReader();
+        // readEntries returns results in chunks until an empty batch
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                await this._readEntry(child, files);
+            }
+        } while (batch.length > 0);
+    }
+
+    /**
+     * Add image files to the queue
+     * @param {Array<File>|FileList} files - Files to add (non-images are skipped)
+     * @returns {number} Number of images added
+     */
+    addFiles(files) {
+        const images = Array.from(files)
+            .filter(file => file.type.startsWith('image/'))
+            .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name));
+
+        images.forEach(file => {
+            const item = {
+                id: this.nextId++,
+                file: file,
+                name: file.name,
+                thumbnailUrl: null,
+                state: null,
+                isEdited: false
+            };
+            this.items.push(item);
+            this.thumbnailQueue.push(item);
+        });
+
+        this.render();
+        this._processThumbnails();
+        return images.length;
+    }
+
+    /**
+     * Start queued thumbnails up to the concurrency limit
+     * @private
+     */
+    _processThumbnails() {
+        while (this.activeThumbnails < this.thumbnailConcurrency && this.thumbnailQueue.length > 0) {
+            const item = this.thumbnailQueue.shift();
+            this.activeThumbnails++;
+            this._createThumbnail(item).finally(() => {
+                this.activeThumbnails--;
+                this._processThumbnails();
+            });
+        }
+    }
+
+    /**
+     * Create a small thumbnail so the filmstrip doesn't hold full-size images
+     * @private
+     */
+    async _createThumbnail(item) {
+        try {
+            // Let the decoder downscale (the height follows the aspect ratio)
+            const bitmap = await createImageBitmap(item.file, {
+                resizeWidth: this.thumbnailSize,
+                resizeQuality: 'medium'
+            });
+            const scale = this.thumbnailSize / Math.max(bitmap.width, bitmap.height);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+            canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+            if (!this.items.includes(item)) return; // Queue was cleared meanwhile
+
+            item.thumbnailUrl = URL.createObjectURL(blob);
+            this._renderItem(item);
+        } catch (error) {
+            console.warn(`Failed to create thumbnail for ${item.name}:`, error);
+        }
+    }
+
+    /**
+     * Get the current item
+     */
+    getCurrent() {
+        return this.items[this.currentIndex] || null;
+    }
+
+    /**
+     * Mark an item as the one shown in the editor
+     */
+    setCurrent(index) {
+        this.currentIndex = index;
+        this.render();
+
+        const thumbnail = this.thumbnails.children[index];
+        if (thumbnail) {
+            thumbnail.scrollIntoView({ block: 'nearest', inline: 'center' });
+        }
+    }
+
+    hasNext() {
+        return this.currentIndex < this.items.length - 1;
+    }
+
+    hasPrevious() {
+        return this.currentIndex > 0;
+    }
+
+    /**
+     * Drop cached segmentations (they belong to the model and resolution that produced them)
+     */
+    clearSegmentationCache() {
+        this.items.forEach(item => {
+            if (item.state) {
+                item.state.segmentation = null;
+            }
+        });
+    }
+
+    /**
+     * Compact copy of a whole-image segmentation for a stored item (class map run-length encoded)
+     */
+    packSegmentation(result) {
+        const { width, height, data } = result.imageData;
+        const classMap = new Uint8Array(width * height);
+        for (let i = 0; i < classMap.length; i++) {
+            classMap[i] = data[i * 4];
+        }
+
+        return {
+            classMap: this.codec.encode(classMap),
+            legend: result.legend,
+            width,
+            height,
+            tiled: result.tiled,
+            backendId: result.backendId,
+            backgroundClass: result.backgroundClass
+        };
+    }
+
+    /**
+     * Rebuild a segmentation result from packSegmentation()
+     */
+    unpackSegmentation(packed) {
+        const { width, height } = packed;
+        const classMap = this.codec.decode(packed.classMap, width * height);
+        const imageData = new ImageData(width, height);
+        const data = imageData.data;
+        for (let i = 0; i < classMap.length; i++) {
+            const pixelIndex = i * 4;
+            data[pixelIndex] = classMap[i];
+            data[pixelIndex + 1] = classMap[i];
+            data[pixelIndex + 2] = classMap[i];
+            data[pixelIndex + 3] = 255;
+        }
+
+        return {
+            imageData,
+            legend: packed.legend,
+            width,
+            height,
+            tiled: packed.tiled,
+            backendId: packed.backendId,
+            backgroundClass: packed.backgroundClass
+        };
+    }
+
+    /**
+     * Recreate the layers of a stored item (e.g. to export it without opening it).
+     * Dispose of them when done.
+     * @returns {LayerManager} Layers at the item's image size
+     */
+    createLayers(item) {
+        const { width, height, mask } = item.state;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const layers = new LayerManager(canvas);
+        layers.restoreDefinitions(mask.layers);
+        mask.layers.forEach(saved => layers.writeAlpha(saved.id, this.codec.decode(saved.alpha, width * height)));
+        layers.setActiveLayer(mask.activeLayerId);
+        return layers;
+    }
+
+    /**
+     * Build a unique export file name prefix for an item
+     */
+    getBaseName(item) {
+        const baseName = item.name.replace(/\.[^.]+$/, '');
+        const duplicates = this.items.filter(other => other.name === item.name);
+        const suffix = duplicates.length > 1 ? `_${duplicates.indexOf(item) + 1}` : '';
+        return `${baseName}${suffix}`;
+    }
+
+    /**
+     * Render the filmstrip thumbnails
+     */
+    render() {
+        this.filmstrip.style.display = this.items.length > 1 ? 'flex' : 'none';
+        this.counter.textContent = `${this.currentIndex + 1} / ${this.items.length}`;
+        this.thumbnails.innerHTML = '';
+
+        this.items.forEach((item, index) => {
+            this.thumbnails.appendChild(this._createButton(item, index));
+        });
+    }
+
+    /**
+     * Re-render one filmstrip button (e.g. when its thumbnail is ready)
+     * @private
+     */
+    _renderItem(item) {
+        const index = this.items.indexOf(item);
+        const button = this.thumbnails.children[index];
+        if (button) {
+            this.thumbnails.replaceChild(this._createButton(item, index), button);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _createButton(item, index) {
+        const button = document.createElement('button');
+        button.className = 'filmstrip-item';
+        button.classList.toggle('active', index === this.currentIndex);
+        button.classList.toggle('edited', item.isEdited);
+        button.title = item.name;
+
+        if (item.thumbnailUrl) {
+            const img = document.createElement('img');
+            img.src = item.thumbnailUrl;
+            img.alt = item.name;
+            button.appendChild(img);
+        } else {
+            button.textContent = index + 1;
+        }
+
+        button.addEventListener('click', () => {
+            if (this.onSelect && index !== this.currentIndex) {
+                this.onSelect(index);
+            }
+        });
+        return button;
+    }
+
+    /**
+     * Dispose of thumbnails and stored states
+     */
+    dispose() {
+        this.items.forEach(item => {
+            if (item.thumbnailUrl) {
+                URL.revokeObjectURL(item.thumbnailUrl);
+            }
+        });
+        this.items = [];
+        this.thumbnailQueue = [];
+        this.currentIndex = -1;
+    }
+}
+
+// Export as global for use in other modules
+window.BatchQueue = BatchQueue;
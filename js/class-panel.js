@@ -0,0 +1,113 @@
+// js/class-panel.js - Side panel listing the classes detected in the image (legend, coverage, select all)
+
+class ClassPanel {
+    /**
+     * @param {HTMLElement} listElement - List the class rows are rendered into
+     */
+    constructor(listElement) {
+        this.list = listElement;
+        this.classes = [];
+        this.emptyText = 'Load an image to see detected classes';
+
+        // Callback set by the app: (classIndex, { subtract }) => void
+        this.onSelectClass = null;
+    }
+
+    /**
+     * Show the classes of a segmentation
+     * @param {Array<Object>} classes - Result of ImageSegmentation.getClassCoverage()
+     */
+    setClasses(classes) {
+        this.classes = classes;
+        this.render();
+    }
+
+    /**
+     * Show a message instead of classes (e.g. while the image is analyzed)
+     */
+    clear(message) {
+        this.classes = [];
+        this.emptyText = message;
+        this.render();
+    }
+
+    /**
+     * Render one row per class, largest coverage first
+     */
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.classes.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'class-empty';
+            empty.textContent = this.emptyText;
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.classes.forEach(entry => this.list.appendChild(this._createRow(entry)));
+    }
+
+    /**
+     * @private
+     */
+    _createRow(entry) {
+        const row = document.createElement('li');
+        row.className = 'class-item';
+        row.classList.toggle('background-class', entry.isBackground);
+
+        const swatch = document.createElement('span');
+        swatch.className = 'class-swatch';
+        swatch.style.backgroundColor = `rgb(${entry.color.join(', ')})`;
+
+        const name = document.createElement('span');
+        name.className = 'class-name';
+        name.textContent = entry.label;
+        name.title = `${entry.label} (class ${entry.classIndex}): ${entry.pixels.toLocaleString()} pixels`;
+
+        const coverage = document.createElement('span');
+        coverage.className = 'class-coverage';
+        coverage.textContent = this._formatCoverage(entry.coverage);
+
+        const add = this._createButton('+', `Add all ${entry.label} pixels to the selection`,
+            () => this._select(entry.classIndex, false));
+        const subtract = this._createButton('−', `Remove all ${entry.label} pixels from the selection`,
+            () => this._select(entry.classIndex, true));
+
+        row.append(swatch, name, coverage, add, subtract);
+        return row;
+    }
+
+    /**
+     * @private
+     */
+    _formatCoverage(coverage) {
+        const percent = coverage * 100;
+        if (percent > 0 && percent < 0.1) return '<0.1%';
+        return `${percent < 10 ? percent.toFixed(1) : Math.round(percent)}%`;
+    }
+
+    /**
+     * @private
+     */
+    _createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'layer-btn class-btn';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * @private
+     */
+    _select(classIndex, subtract) {
+        if (this.onSelectClass) {
+            this.onSelectClass(classIndex, { subtract });
+        }
+    }
+}
+
+// Export as global for use in other modules
+window.ClassPanel = ClassPanel;
@@ -0,0 +1,328 @@
+// js/coco.js - COCO annotation export (compressed RLE and simplified polygons)
+
+class CocoDataset {
+    /**
+     * @param {Object} options - Encoding options
+     * @param {string} options.encoding - 'polygon' or 'rle'
+     * @param {number} options.tolerance - Douglas-Peucker tolerance in pixels for polygons
+     */
+    constructor(options = {}) {
+        this.encoding = options.encoding || 'polygon';
+        this.tolerance = options.tolerance !== undefined ? options.tolerance : 1.0;
+
+        this.images = [];
+        this.annotations = [];
+        this.categories = [];
+        this.categoryIds = new Map();
+    }
+
+    /**
+     * Add an image entry
+     * @returns {number} Image id
+     */
+    addImage(fileName, width, height) {
+        const id = this.images.length + 1;
+        this.images.push({ id, file_name: fileName, width, height });
+        return id;
+    }
+
+    /**
+     * Get (or create) the id of a category
+     */
+    getCategoryId(name) {
+        if (!this.categoryIds.has(name)) {
+            const id = this.categories.length + 1;
+            this.categories.push({ id, name, supercategory: '' });
+            this.categoryIds.set(name, id);
+        }
+        return this.categoryIds.get(name);
+    }
+
+    /**
+     * Add one annotation for a binary mask
+     * @param {number} imageId - Image the mask belongs to
+     * @param {ImageData} mask - White-on-black mask at image size
+     * @param {string} categoryName - Category label
+     * @returns {Object|null} Annotation, or null for an empty mask
+     */
+    addMask(imageId, mask, categoryName) {
+        const { width, height } = mask;
+        const bits = new Uint8Array(width * height);
+        let area = 0;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (mask.data[(y * width + x) * 4] > 128) {
+                    bits[y * width + x] = 1;
+                    area++;
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+
+        if (area === 0) return null;
+
+        const segmentation = this.encoding === 'rle'
+            ? this.encodeRle(bits, width, height)
+            : this.tracePolygons(bits, width, height);
+
+        const annotation = {
+            id: this.annotations.length + 1,
+            image_id: imageId,
+            category_id: this.getCategoryId(categoryName),
+            segmentation: segmentation,
+            area: area,
+            bbox: [minX, minY, maxX - minX + 1, maxY - minY + 1],
+            // Each mask is one object, also as RLE (iscrowd 1 would make trainers ignore it)
+            iscrowd: 0
+        };
+        this.annotations.push(annotation);
+        return annotation;
+    }
+
+    /**
+     * Encode a mask as COCO compressed RLE (column-major runs, starting with background)
+     * @param {Uint8Array} bits - 1 for selected pixels, row-major
+     * @returns {Object} { size: [height, width], counts: string }
+     */
+    encodeRle(bits, width, height) {
+        const runs = [];
+        let current = 0;
+        let run = 0;
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) {
+                const value = bits[y * width + x];
+                if (value !== current) {
+                    runs.push(run);
+                    run = 0;
+                    current = value;
+                }
+                run++;
+            }
+        }
+        runs.push(run);
+
+        // Same byte packing as pycocotools' rleToString
+        let counts = '';
+        for (let i = 0; i < runs.length; i++) {
+            let x = runs[i];
+            if (i > 2) {
+                x -= runs[i - 2];
+            }
+            let more = true;
+            while (more) {
+                let c = x & 0x1f;
+                x >>= 5;
+                more = (c & 0x10) ? x !== -1 : x !== 0;
+                if (more) {
+                    c |= 0x20;
+                }
+                counts += String.fromCharCode(c + 48);
+            }
+        }
+
+        return { size: [height, width], counts: counts };
+    }
+
+    /**
+     * Trace the outer contour of every connected region and simplify it.
+     * Holes are not represented (use RLE for exact masks).
+     * @returns {Array<Array<number>>} Flat [x1, y1, x2, y2, ...] polygons
+     */
+    tracePolygons(bits, width, height) {
+        const visited = new Uint8Array(width * height);
+        const polygons = [];
+
+        for (let i = 0; i < bits.length; i++) {
+            if (!bits[i] || visited[i]) continue;
+
+            // Raster order makes this the top-left pixel of a new region
+            const contour = this._traceContour(bits, width, height, i % width, Math.floor(i / width));
+            this._markRegion(bits, visited, width, height, i);
+
+            let simplified = this._simplify(contour, this.tolerance);
+            if (simplified.length < 3) {
+                // Thin regions can collapse to a line; keep the full contour instead
+                simplified = contour;
+            }
+
+            if (simplified.length < 3) {
+                // One- or two-pixel regions: use their pixel outline
+                const xs = contour.map(point => point.x);
+                const ys = contour.map(point => point.y);
+                const minX = Math.min(...xs), maxX = Math.max(...xs) + 1;
+                const minY = Math.min(...ys), maxY = Math.max(...ys) + 1;
+                polygons.push([minX, minY, maxX, minY, maxX, maxY, minX, maxY]);
+                continue;
+            }
+
+            // Pixel centers
+            const polygon = [];
+            simplified.forEach(point => polygon.push(point.x + 0.5, point.y + 0.5));
+            polygons.push(polygon);
+        }
+
+        return polygons;
+    }
+
+    /**
+     * Moore-neighbor boundary tracing from a region's top-left pixel
+     * @private
+     */
+    _traceContour(bits, width, height, startX, startY) {
+        // Clockwise on screen, starting west
+        const dx = [-1, -1, 0, 1, 1, 1, 0, -1];
+        const dy = [0, -1, -1, -1, 0, 1, 1, 1];
+        const isSet = (x, y) => x >= 0 && y >= 0 && x < width && y < height && bits[y * width + x] === 1;
+
+        const contour = [{ x: startX, y: startY }];
+        let x = startX;
+        let y = startY;
+        let backtrack = 0; // The west neighbor of the start pixel is background
+        let firstMove = -1;
+        const maxSteps = 4 * width * height;
+
+        for (let step = 0; step < maxSteps; step++) {
+            let move = -1;
+            for (let k = 1; k <= 8; k++) {
+                const direction = (backtrack + k) % 8;
+                if (isSet(x + dx[direction], y + dy[direction])) {
+                    move = direction;
+                    break;
+                }
+            }
+            if (move === -1) break; // Single pixel
+
+            if (x === startX && y === startY) {
+                if (firstMove === -1) {
+                    firstMove = move;
+                } else if (move === firstMove) {
+                    break;
+                }
+            }
+
+            // The neighbor checked just before the move is background; point back at it
+            const previous = (move + 7) % 8;
+            const nextX = x + dx[move];
+            const nextY = y + dy[move];
+            const bx = x + dx[previous] - nextX;
+            const by = y + dy[previous] - nextY;
+            for (let d = 0; d < 8; d++) {
+                if (dx[d] === bx && dy[d] === by) {
+                    backtrack = d;
+                    break;
+                }
+            }
+
+            x = nextX;
+            y = nextY;
+            if (x === startX && y === startY) continue;
+            contour.push({ x, y });
+        }
+
+        return contour;
+    }
+
+    /**
+     * Flood-fill a region (8-connected) as visited
+     * @private
+     */
+    _markRegion(bits, visited, width, height, startIndex) {
+        const stack = [startIndex];
+        visited[startIndex] = 1;
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const x = index % width;
+            const y = (index - x) / width;
+
+            for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+                for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                    const neighbor = ny * width + nx;
+                    if (bits[neighbor] && !visited[neighbor]) {
+                        visited[neighbor] = 1;
+                        stack.push(neighbor);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Douglas-Peucker simplification of a closed contour
+     * @private
+     */
+    _simplify(points, tolerance) {
+        if (points.length <= 3) return points;
+
+        // Split the ring at the point farthest from the start
+        let farthest = 0;
+        let maxDistance = -1;
+        points.forEach((point, i) => {
+            const distance = (point.x - points[0].x) ** 2 + (point.y - points[0].y) ** 2;
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        });
+
+        const keep = new Uint8Array(points.length);
+        keep[0] = 1;
+        keep[farthest] = 1;
+
+        // Iterative to avoid deep recursion on long contours
+        const ring = points.concat([points[0]]);
+        const stack = [[0, farthest], [farthest, points.length]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const a = ring[first];
+            const b = ring[last];
+            const lengthSq = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+
+            let index = -1;
+            let maxDist = tolerance;
+            for (let i = first + 1; i < last; i++) {
+                const p = ring[i];
+                let dist;
+                if (lengthSq === 0) {
+                    dist = Math.hypot(p.x - a.x, p.y - a.y);
+                } else {
+                    dist = Math.abs((b.y - a.y) * p.x - (b.x - a.x) * p.y + b.x * a.y - b.y * a.x) / Math.sqrt(lengthSq);
+                }
+                if (dist > maxDist) {
+                    maxDist = dist;
+                    index = i;
+                }
+            }
+
+            if (index !== -1) {
+                keep[index] = 1;
+                stack.push([first, index], [index, last]);
+            }
+        }
+
+        return points.filter((point, i) => keep[i]);
+    }
+
+    /**
+     * Get the dataset as a COCO JSON object
+     */
+    toJSON() {
+        return {
+            info: {
+                description: 'Exported from AI Image Segmentation Tool',
+                date_created: new Date().toISOString()
+            },
+            images: this.images,
+            annotations: this.annotations,
+            categories: this.categories
+        };
+    }
+}
+
+// Export as global for use in other modules
+window.CocoDataset = CocoDataset;
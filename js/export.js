@@ -0,0 +1,105 @@
+// js/export.js - Mask export helpers (PNG blobs, cutouts, downloads and ZIP archives)
+
+class MaskExporter {
+    constructor() {
+        this.filters = new MatteFilters();
+    }
+
+    /**
+     * Encode ImageData as an image blob
+     * @param {ImageData} imageData - Pixels to encode
+     * @param {string} type - MIME type
+     * @param {number} quality - Quality for lossy formats
+     * @returns {Promise<Blob>} Encoded image
+     */
+    imageDataToBlob(imageData, type = 'image/png', quality) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Failed to encode image'));
+                }
+            }, type, quality);
+        });
+    }
+
+    /**
+     * Cut the selected object out of the image, using the mask as alpha
+     * @param {HTMLCanvasElement} imageCanvas - Original image pixels
+     * @param {ImageData} mask - White-on-black mask at image size; gray levels are partial coverage
+     * @param {Object} options - { feather: edge blur radius in px, crop: crop to the mask's bounding box }
+     * @returns {ImageData|null} RGBA cutout, or null if the mask is empty
+     */
+    createCutout(imageCanvas, mask, options = {}) {
+        const { width, height } = mask;
+        const matte = this.filters.featherMask(mask, options.feather || 0);
+
+        // Bounding box of visible pixels
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (matte.data[(y * width + x) * 4] > 0) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+        if (maxX < 0) return null;
+
+        const rect = options.crop
+            ? { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+            : { x: 0, y: 0, width, height };
+
+        const imageCtx = imageCanvas.getContext('2d', { willReadFrequently: true });
+        const cutout = imageCtx.getImageData(rect.x, rect.y, rect.width, rect.height);
+        const data = cutout.data;
+        for (let y = 0; y < rect.height; y++) {
+            for (let x = 0; x < rect.width; x++) {
+                const i = (y * rect.width + x) * 4;
+                data[i + 3] = data[i + 3] * matte.data[((y + rect.y) * width + x + rect.x) * 4] / 255;
+            }
+        }
+
+        return cutout;
+    }
+
+    /**
+     * Pack files into a ZIP archive
+     * @param {Array<Object>} entries - { name, data } where data is a Blob or string
+     * @returns {Promise<Blob>} ZIP archive
+     */
+    async createZip(entries) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('ZIP support is not available. Check your network connection and reload.');
+        }
+
+        const zip = new JSZip();
+        entries.forEach(entry => zip.file(entry.name, entry.data));
+        return zip.generateAsync({ type: 'blob' });
+    }
+
+    /**
+     * Save a blob through a temporary download link
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export as global for use in other modules
+window.MaskExporter = MaskExporter;
@@ -0,0 +1,762 @@
+// js/grabcut.js - GrabCut segmentation (color mixture models + graph cut) seeded by a rough mask
+
+class GrabCut {
+    /**
+     * @param {Object} options - { iterations, maxPixels: larger regions are solved downscaled }
+     */
+    constructor(options = {}) {
+        this.iterations = options.iterations || 5;
+        this.maxPixels = options.maxPixels || 250000;
+        this.componentCount = 5; // Gaussians per color model
+        this.gamma = 50; // Smoothness weight
+        this.morphology = new MaskMorphology();
+    }
+
+    /**
+     * Build GrabCut labels from a mask: inside is probable foreground, a band around it
+     * probable background, and brush/erase strokes are hard constraints
+     * @param {ImageData} mask - White-on-black mask
+     * @param {Uint8Array|null} constraints - 1 for brushed (foreground), 2 for erased (background)
+     * @param {number} band - Width of the probable background band in pixels
+     * @returns {Object} { labels, rect } where rect is the region to solve, or null if nothing is selected
+     */
+    createLabels(mask, constraints, band) {
+        const { width, height } = mask;
+        const bits = this.morphology.maskToBits(mask);
+        const toMask = this.morphology.distanceTransform(bits, width, height);
+        const labels = new Uint8Array(width * height);
+
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                let label = GrabCut.BACKGROUND;
+                if (bits[i]) {
+                    label = GrabCut.PROBABLE_FOREGROUND;
+                } else if (toMask[i] <= band) {
+                    label = GrabCut.PROBABLE_BACKGROUND;
+                }
+                if (constraints && constraints[i] === 1) label = GrabCut.FOREGROUND;
+                if (constraints && constraints[i] === 2) label = GrabCut.BACKGROUND;
+                labels[i] = label;
+
+                if (label === GrabCut.FOREGROUND || label === GrabCut.PROBABLE_FOREGROUND || label === GrabCut.PROBABLE_BACKGROUND) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+
+        if (maxX < 0 || !labels.some(label => label === GrabCut.FOREGROUND || label === GrabCut.PROBABLE_FOREGROUND)) {
+            return { labels, rect: null };
+        }
+
+        // One more pixel of sure background around the region feeds the background model
+        minX = Math.max(0, minX - 1);
+        minY = Math.max(0, minY - 1);
+        maxX = Math.min(width - 1, maxX + 1);
+        maxY = Math.min(height - 1, maxY + 1);
+        return { labels, rect: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 } };
+    }
+
+    /**
+     * Segment the region, iterating color model fitting and graph cuts
+     * @param {Uint8ClampedArray} pixels - RGBA image pixels
+     * @param {Uint8Array} labels - Per-pixel GrabCut labels (see createLabels)
+     * @param {Object} rect - Region to solve; everything outside is background
+     * @returns {Object} { foreground: Uint8Array of 1 for foreground pixels, scale: downscale factor used }
+     */
+    segment(pixels, width, height, labels, rect) {
+        const scale = Math.max(1, Math.ceil(Math.sqrt(rect.width * rect.height / this.maxPixels)));
+        const w = Math.ceil(rect.width / scale);
+        const h = Math.ceil(rect.height / scale);
+        const { colors, regionLabels } = this._downscale(pixels, width, labels, rect, scale, w, h);
+
+        const foregroundModel = new GrabCutGMM(this.componentCount);
+        const backgroundModel = new GrabCutGMM(this.componentCount);
+        this._initModels(colors, regionLabels, foregroundModel, backgroundModel);
+
+        const beta = this._computeBeta(colors, w, h);
+        const links = this._computeLinks(colors, w, h, beta);
+        const components = new Uint8Array(w * h);
+
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            // Assign each pixel to its most likely Gaussian, then refit both models
+            for (let i = 0; i < w * h; i++) {
+                const model = this._isForeground(regionLabels[i]) ? foregroundModel : backgroundModel;
+                components[i] = model.mostLikelyComponent(colors, i * 3);
+            }
+            foregroundModel.learn(colors, regionLabels, components, label => this._isForeground(label));
+            backgroundModel.learn(colors, regionLabels, components, label => !this._isForeground(label));
+
+            const graph = this._buildGraph(colors, regionLabels, links, w, h, foregroundModel, backgroundModel);
+            graph.maxFlow();
+
+            let changed = 0;
+            for (let i = 0; i < w * h; i++) {
+                const label = regionLabels[i];
+                if (label === GrabCut.PROBABLE_FOREGROUND || label === GrabCut.PROBABLE_BACKGROUND) {
+                    const next = graph.inSourceSegment(i) ? GrabCut.PROBABLE_FOREGROUND : GrabCut.PROBABLE_BACKGROUND;
+                    if (next !== label) changed++;
+                    regionLabels[i] = next;
+                }
+            }
+            if (changed === 0) break;
+        }
+
+        return { foreground: this._upscale(regionLabels, labels, width, height, rect, scale, w, h), scale };
+    }
+
+    /**
+     * @private
+     */
+    _isForeground(label) {
+        return label === GrabCut.FOREGROUND || label === GrabCut.PROBABLE_FOREGROUND;
+    }
+
+    /**
+     * Average colors per cell; hard foreground wins, otherwise the probable majority, otherwise background
+     * @private
+     */
+    _downscale(pixels, width, labels, rect, scale, w, h) {
+        const colors = new Float64Array(w * h * 3);
+        const regionLabels = new Uint8Array(w * h);
+
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                let r = 0, g = 0, b = 0, count = 0;
+                let hardForeground = 0, probableForeground = 0, probableBackground = 0;
+                for (let sy = y * scale; sy < Math.min(rect.height, (y + 1) * scale); sy++) {
+                    for (let sx = x * scale; sx < Math.min(rect.width, (x + 1) * scale); sx++) {
+                        const index = (sy + rect.y) * width + sx + rect.x;
+                        r += pixels[index * 4];
+                        g += pixels[index * 4 + 1];
+                        b += pixels[index * 4 + 2];
+                        count++;
+
+                        const label = labels[index];
+                        if (label === GrabCut.FOREGROUND) hardForeground++;
+                        if (label === GrabCut.PROBABLE_FOREGROUND) probableForeground++;
+                        if (label === GrabCut.PROBABLE_BACKGROUND) probableBackground++;
+                    }
+                }
+
+                const i = y * w + x;
+                colors[i * 3] = r / count;
+                colors[i * 3 + 1] = g / count;
+                colors[i * 3 + 2] = b / count;
+                if (hardForeground > 0) {
+                    regionLabels[i] = GrabCut.FOREGROUND;
+                } else if (probableForeground + probableBackground > 0) {
+                    regionLabels[i] = probableForeground >= probableBackground
+                        ? GrabCut.PROBABLE_FOREGROUND
+                        : GrabCut.PROBABLE_BACKGROUND;
+                } else {
+                    regionLabels[i] = GrabCut.BACKGROUND;
+                }
+            }
+        }
+
+        return { colors, regionLabels };
+    }
+
+    /**
+     * Bilinearly upsample the region result; hard constraints keep their full-resolution labels
+     * @private
+     */
+    _upscale(regionLabels, labels, width, height, rect, scale, w, h) {
+        const foreground = new Uint8Array(width * height);
+        const value = (x, y) => (this._isForeground(regionLabels[y * w + x]) ? 1 : 0);
+
+        for (let y = 0; y < rect.height; y++) {
+            const fy = Math.max(0, Math.min(h - 1, (y + 0.5) / scale - 0.5));
+            const y0 = Math.floor(fy);
+            const y1 = Math.min(h - 1, y0 + 1);
+            const ty = fy - y0;
+
+            for (let x = 0; x < rect.width; x++) {
+                const index = (y + rect.y) * width + x + rect.x;
+                const label = labels[index];
+                if (label === GrabCut.FOREGROUND || label === GrabCut.BACKGROUND) {
+                    foreground[index] = label === GrabCut.FOREGROUND ? 1 : 0;
+                    continue;
+                }
+
+                const fx = Math.max(0, Math.min(w - 1, (x + 0.5) / scale - 0.5));
+                const x0 = Math.floor(fx);
+                const x1 = Math.min(w - 1, x0 + 1);
+                const tx = fx - x0;
+                const top = value(x0, y0) * (1 - tx) + value(x1, y0) * tx;
+                const bottom = value(x0, y1) * (1 - tx) + value(x1, y1) * tx;
+                foreground[index] = top * (1 - ty) + bottom * ty >= 0.5 ? 1 : 0;
+            }
+        }
+
+        return foreground;
+    }
+
+    /**
+     * Initialize both color models with k-means on their pixels
+     * @private
+     */
+    _initModels(colors, labels, foregroundModel, backgroundModel) {
+        const count = labels.length;
+        const components = new Uint8Array(count);
+        [[foregroundModel, true], [backgroundModel, false]].forEach(([model, isForeground]) => {
+            const samples = [];
+            for (let i = 0; i < count; i++) {
+                if (this._isForeground(labels[i]) === isForeground) samples.push(i);
+            }
+            this._kMeans(colors, samples, components, this.componentCount);
+            model.learn(colors, labels, components, label => this._isForeground(label) === isForeground);
+        });
+    }
+
+    /**
+     * k-means clustering of pixel colors with k-means++ seeding (deterministic)
+     * @private
+     */
+    _kMeans(colors, samples, components, k) {
+        if (samples.length === 0) return;
+
+        let seed = 1;
+        const random = () => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed / 2147483648;
+        };
+        const distanceSq = (i, center) => {
+            const dr = colors[i * 3] - center[0];
+            const dg = colors[i * 3 + 1] - center[1];
+            const db = colors[i * 3 + 2] - center[2];
+            return dr * dr + dg * dg + db * db;
+        };
+
+        // k-means++: each new center is drawn proportionally to the squared distance to the nearest one
+        const first = samples[Math.floor(random() * samples.length)];
+        const centers = [[colors[first * 3], colors[first * 3 + 1], colors[first * 3 + 2]]];
+        const nearest = new Float64Array(samples.length).fill(Infinity);
+        while (centers.length < k) {
+            let total = 0;
+            samples.forEach((sample, s) => {
+                nearest[s] = Math.min(nearest[s], distanceSq(sample, centers[centers.length - 1]));
+                total += nearest[s];
+            });
+            if (total === 0) break;
+
+            let target = random() * total;
+            let chosen = samples[samples.length - 1];
+            for (let s = 0; s < samples.length; s++) {
+                target -= nearest[s];
+                if (target <= 0) {
+                    chosen = samples[s];
+                    break;
+                }
+            }
+            centers.push([colors[chosen * 3], colors[chosen * 3 + 1], colors[chosen * 3 + 2]]);
+        }
+
+        for (let iteration = 0; iteration < 10; iteration++) {
+            const sums = centers.map(() => [0, 0, 0, 0]);
+            samples.forEach(sample => {
+                let best = 0;
+                let bestDistance = Infinity;
+                centers.forEach((center, c) => {
+                    const distance = distanceSq(sample, center);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = c;
+                    }
+                });
+                components[sample] = best;
+                sums[best][0] += colors[sample * 3];
+                sums[best][1] += colors[sample * 3 + 1];
+                sums[best][2] += colors[sample * 3 + 2];
+                sums[best][3]++;
+            });
+            sums.forEach((sum, c) => {
+                if (sum[3] > 0) {
+                    centers[c] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+                }
+            });
+        }
+    }
+
+    /**
+     * Contrast normalization: beta = 1 / (2 * mean squared color difference of neighbors)
+     * @private
+     */
+    _computeBeta(colors, w, h) {
+        let total = 0;
+        let count = 0;
+        this._forEachNeighborPair(w, h, (i, j) => {
+            total += this._colorDistanceSq(colors, i, j);
+            count++;
+        });
+        return total > 0 ? count / (2 * total) : 0;
+    }
+
+    /**
+     * Smoothness weights to the left, up-left, up and up-right neighbors
+     * @private
+     * @returns {Array<Object>} { i, j, weight } links
+     */
+    _computeLinks(colors, w, h, beta) {
+        const links = [];
+        this._forEachNeighborPair(w, h, (i, j, diagonal) => {
+            const weight = (diagonal ? this.gamma / Math.SQRT2 : this.gamma)
+                * Math.exp(-beta * this._colorDistanceSq(colors, i, j));
+            links.push(i, j, weight);
+        });
+        return links;
+    }
+
+    /**
+     * @private
+     */
+    _forEachNeighborPair(w, h, callback) {
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const i = y * w + x;
+                if (x > 0) callback(i, i - 1, false);
+                if (y > 0) {
+                    if (x > 0) callback(i, i - w - 1, true);
+                    callback(i, i - w, false);
+                    if (x < w - 1) callback(i, i - w + 1, true);
+                }
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _colorDistanceSq(colors, i, j) {
+        const dr = colors[i * 3] - colors[j * 3];
+        const dg = colors[i * 3 + 1] - colors[j * 3 + 1];
+        const db = colors[i * 3 + 2] - colors[j * 3 + 2];
+        return dr * dr + dg * dg + db * db;
+    }
+
+    /**
+     * Graph with data terms from the color models and the smoothness links
+     * @private
+     */
+    _buildGraph(colors, labels, links, w, h, foregroundModel, backgroundModel) {
+        const lambda = 9 * this.gamma; // Larger than any possible smoothness cost
+        const graph = new GrabCutGraph(w * h, links.length / 3);
+
+        for (let i = 0; i < w * h; i++) {
+            const label = labels[i];
+            let fromSource;
+            let toSink;
+            if (label === GrabCut.FOREGROUND) {
+                fromSource = lambda;
+                toSink = 0;
+            } else if (label === GrabCut.BACKGROUND) {
+                fromSource = 0;
+                toSink = lambda;
+            } else {
+                fromSource = -Math.log(Math.max(backgroundModel.probability(colors, i * 3), 1e-30));
+                toSink = -Math.log(Math.max(foregroundModel.probability(colors, i * 3), 1e-30));
+            }
+            graph.addTerminalWeights(i, fromSource, toSink);
+        }
+
+        for (let l = 0; l < links.length; l += 3) {
+            graph.addEdges(links[l], links[l + 1], links[l + 2], links[l + 2]);
+        }
+        return graph;
+    }
+}
+
+// GrabCut pixel labels
+GrabCut.BACKGROUND = 0;
+GrabCut.FOREGROUND = 1;
+GrabCut.PROBABLE_BACKGROUND = 2;
+GrabCut.PROBABLE_FOREGROUND = 3;
+
+/**
+ * Gaussian mixture color model with full 3x3 covariances
+ * @private
+ */
+class GrabCutGMM {
+    constructor(componentCount) {
+        this.componentCount = componentCount;
+        this.weights = new Float64Array(componentCount);
+        this.means = new Float64Array(componentCount * 3);
+        this.inverses = new Float64Array(componentCount * 9);
+        this.determinants = new Float64Array(componentCount);
+    }
+
+    /**
+     * Density of a color (up to a constant factor)
+     */
+    probability(colors, offset) {
+        let total = 0;
+        for (let c = 0; c < this.componentCount; c++) {
+            total += this.weights[c] * this._componentDensity(c, colors, offset);
+        }
+        return total;
+    }
+
+    mostLikelyComponent(colors, offset) {
+        let best = 0;
+        let bestDensity = -1;
+        for (let c = 0; c < this.componentCount; c++) {
+            const density = this._componentDensity(c, colors, offset);
+            if (density > bestDensity) {
+                bestDensity = density;
+                best = c;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * @private
+     */
+    _componentDensity(c, colors, offset) {
+        if (this.weights[c] === 0) return 0;
+
+        const dr = colors[offset] - this.means[c * 3];
+        const dg = colors[offset + 1] - this.means[c * 3 + 1];
+        const db = colors[offset + 2] - this.means[c * 3 + 2];
+        const inv = this.inverses.subarray(c * 9, c * 9 + 9);
+        const mahalanobis = dr * (dr * inv[0] + dg * inv[3] + db * inv[6])
+            + dg * (dr * inv[1] + dg * inv[4] + db * inv[7])
+            + db * (dr * inv[2] + dg * inv[5] + db * inv[8]);
+        return Math.exp(-0.5 * mahalanobis) / Math.sqrt(this.determinants[c]);
+    }
+
+    /**
+     * Fit weights, means and covariances to the pixels the filter accepts
+     * @param {Function} accepts - (label) => boolean
+     */
+    learn(colors, labels, components, accepts) {
+        const k = this.componentCount;
+        const sums = new Float64Array(k * 3);
+        const products = new Float64Array(k * 9);
+        const counts = new Float64Array(k);
+        let total = 0;
+
+        for (let i = 0; i < labels.length; i++) {
+            if (!accepts(labels[i])) continue;
+
+            const c = components[i];
+            const color = [colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]];
+            for (let a = 0; a < 3; a++) {
+                sums[c * 3 + a] += color[a];
+                for (let b = 0; b < 3; b++) {
+                    products[c * 9 + a * 3 + b] += color[a] * color[b];
+                }
+            }
+            counts[c]++;
+            total++;
+        }
+
+        for (let c = 0; c < k; c++) {
+            if (counts[c] === 0 || total === 0) {
+                this.weights[c] = 0;
+                continue;
+            }
+
+            this.weights[c] = counts[c] / total;
+            const mean = [0, 1, 2].map(a => sums[c * 3 + a] / counts[c]);
+            const cov = [];
+            for (let a = 0; a < 3; a++) {
+                for (let b = 0; b < 3; b++) {
+                    cov.push(products[c * 9 + a * 3 + b] / counts[c] - mean[a] * mean[b]);
+                }
+            }
+            // Keep flat-colored components invertible
+            cov[0] += 0.01;
+            cov[4] += 0.01;
+            cov[8] += 0.01;
+
+            const det = cov[0] * (cov[4] * cov[8] - cov[5] * cov[7])
+                - cov[1] * (cov[3] * cov[8] - cov[5] * cov[6])
+                + cov[2] * (cov[3] * cov[7] - cov[4] * cov[6]);
+            this.means.set(mean, c * 3);
+            this.determinants[c] = det;
+            this.inverses.set([
+                (cov[4] * cov[8] - cov[5] * cov[7]) / det,
+                (cov[2] * cov[7] - cov[1] * cov[8]) / det,
+                (cov[1] * cov[5] - cov[2] * cov[4]) / det,
+                (cov[5] * cov[6] - cov[3] * cov[8]) / det,
+                (cov[0] * cov[8] - cov[2] * cov[6]) / det,
+                (cov[2] * cov[3] - cov[0] * cov[5]) / det,
+                (cov[3] * cov[7] - cov[4] * cov[6]) / det,
+                (cov[1] * cov[6] - cov[0] * cov[7]) / det,
+                (cov[0] * cov[4] - cov[1] * cov[3]) / det
+            ], c * 9);
+        }
+    }
+}
+
+/**
+ * Max-flow / min-cut on a graph with terminal weights (Boykov-Kolmogorov)
+ * @private
+ */
+class GrabCutGraph {
+    constructor(vertexCount, edgePairCount) {
+        this.vertexCount = vertexCount;
+
+        // Index vertexCount is the sentinel at the end of the active list
+        this.next = new Int32Array(vertexCount + 1);
+        this.parent = new Int32Array(vertexCount); // 0 none, TERMINAL, ORPHAN or an edge index
+        this.firstEdge = new Int32Array(vertexCount); // 0 = no edges
+        this.timestamp = new Int32Array(vertexCount);
+        this.distance = new Int32Array(vertexCount);
+        this.weight = new Float64Array(vertexCount); // > 0 source side residual, < 0 sink side
+        this.tree = new Uint8Array(vertexCount); // 0 source tree, 1 sink tree
+
+        // Edges come in pairs (i and i ^ 1 are reverse edges); indices 0 and 1 are unused
+        const edgeCount = 2 * edgePairCount + 2;
+        this.edgeTarget = new Int32Array(edgeCount);
+        this.edgeNext = new Int32Array(edgeCount);
+        this.edgeWeight = new Float64Array(edgeCount);
+        this.edgeCount = 2;
+        this.flow = 0;
+    }
+
+    addEdges(i, j, weight, reverseWeight) {
+        const e = this.edgeCount;
+        this.edgeTarget[e] = j;
+        this.edgeNext[e] = this.firstEdge[i];
+        this.edgeWeight[e] = weight;
+        this.firstEdge[i] = e;
+
+        this.edgeTarget[e + 1] = i;
+        this.edgeNext[e + 1] = this.firstEdge[j];
+        this.edgeWeight[e + 1] = reverseWeight;
+        this.firstEdge[j] = e + 1;
+
+        this.edgeCount += 2;
+    }
+
+    addTerminalWeights(i, sourceWeight, sinkWeight) {
+        const current = this.weight[i];
+        if (current > 0) {
+            sourceWeight += current;
+        } else {
+            sinkWeight -= current;
+        }
+        this.flow += Math.min(sourceWeight, sinkWeight);
+        this.weight[i] = sourceWeight - sinkWeight;
+    }
+
+    inSourceSegment(i) {
+        return this.tree[i] === 0;
+    }
+
+    maxFlow() {
+        const TERMINAL = -1;
+        const ORPHAN = -2;
+        const INFINITE_DISTANCE = 0x3fffffff;
+        const NIL = this.vertexCount;
+        const { next, parent, firstEdge, timestamp, distance, weight, tree } = this;
+        const { edgeTarget, edgeNext, edgeWeight } = this;
+        const orphans = [];
+        let currentTimestamp = 0;
+
+        // Vertices with terminal capacity start the two search trees
+        let first = NIL;
+        let last = NIL;
+        next[NIL] = -1;
+        for (let v = 0; v < this.vertexCount; v++) {
+            timestamp[v] = 0;
+            if (weight[v] !== 0) {
+                if (last === NIL) {
+                    first = v;
+                } else {
+                    next[last] = v;
+                }
+                last = v;
+                distance[v] = 1;
+                parent[v] = TERMINAL;
+                tree[v] = weight[v] < 0 ? 1 : 0;
+            } else {
+                parent[v] = 0;
+                next[v] = -1;
+            }
+        }
+        if (last !== NIL) {
+            next[last] = NIL;
+        }
+
+        const activate = (u) => {
+            next[u] = NIL;
+            if (first === NIL) {
+                first = u;
+            } else {
+                next[last] = u;
+            }
+            last = u;
+        };
+
+        while (true) {
+            // Grow the trees until they touch
+            let bridge = 0;
+            let v;
+            while (first !== NIL) {
+                v = first;
+                if (parent[v]) {
+                    const vt = tree[v];
+                    for (let e = firstEdge[v]; e !== 0; e = edgeNext[e]) {
+                        if (edgeWeight[e ^ vt] === 0) continue;
+
+                        const u = edgeTarget[e];
+                        if (!parent[u]) {
+                            tree[u] = vt;
+                            parent[u] = e ^ 1;
+                            timestamp[u] = timestamp[v];
+                            distance[u] = distance[v] + 1;
+                            if (next[u] === -1) {
+                                activate(u);
+                            }
+                            continue;
+                        }
+
+                        if (tree[u] !== vt) {
+                            bridge = e ^ vt;
+                            break;
+                        }
+
+                        if (distance[u] > distance[v] + 1 && timestamp[u] <= timestamp[v]) {
+                            // Reassign the parent to shorten the path
+                            parent[u] = e ^ 1;
+                            timestamp[u] = timestamp[v];
+                            distance[u] = distance[v] + 1;
+                        }
+                    }
+                    if (bridge > 0) break;
+                }
+                // Exclude v from the active list
+                first = next[v];
+                next[v] = -1;
+                if (first === NIL) {
+                    last = NIL;
+                }
+            }
+
+            if (bridge <= 0) break;
+
+            // Find the bottleneck capacity along the path
+            let minWeight = edgeWeight[bridge];
+            for (let k = 1; k >= 0; k--) {
+                let u = edgeTarget[bridge ^ k];
+                while (true) {
+                    const e = parent[u];
+                    if (e < 0) break;
+                    minWeight = Math.min(minWeight, edgeWeight[e ^ k]);
+                    u = edgeTarget[e];
+                }
+                minWeight = Math.min(minWeight, Math.abs(weight[u]));
+            }
+
+            // Push the flow; saturated edges make orphans
+            edgeWeight[bridge] -= minWeight;
+            edgeWeight[bridge ^ 1] += minWeight;
+            this.flow += minWeight;
+
+            for (let k = 1; k >= 0; k--) {
+                let u = edgeTarget[bridge ^ k];
+                while (true) {
+                    const e = parent[u];
+                    if (e < 0) break;
+                    edgeWeight[e ^ (k ^ 1)] += minWeight;
+                    edgeWeight[e ^ k] -= minWeight;
+                    if (edgeWeight[e ^ k] === 0) {
+                        orphans.push(u);
+                        parent[u] = ORPHAN;
+                    }
+                    u = edgeTarget[e];
+                }
+                weight[u] += minWeight * (1 - k * 2);
+                if (weight[u] === 0) {
+                    orphans.push(u);
+                    parent[u] = ORPHAN;
+                }
+            }
+
+            // Adopt the orphans
+            currentTimestamp++;
+            while (orphans.length > 0) {
+                const orphan = orphans.pop();
+                const vt = tree[orphan];
+                let minDistance = INFINITE_DISTANCE;
+                let bestEdge = 0;
+
+                for (let e = firstEdge[orphan]; e !== 0; e = edgeNext[e]) {
+                    if (edgeWeight[e ^ (vt ^ 1)] === 0) continue;
+
+                    let u = edgeTarget[e];
+                    if (tree[u] !== vt || parent[u] === 0) continue;
+
+                    // Distance to the tree root through u
+                    let d = 0;
+                    while (true) {
+                        if (timestamp[u] === currentTimestamp) {
+                            d += distance[u];
+                            break;
+                        }
+                        const parentEdge = parent[u];
+                        d++;
+                        if (parentEdge < 0) {
+                            if (parentEdge === ORPHAN) {
+                                d = INFINITE_DISTANCE - 1;
+                            } else {
+                                timestamp[u] = currentTimestamp;
+                                distance[u] = 1;
+                            }
+                            break;
+                        }
+                        u = edgeTarget[parentEdge];
+                    }
+
+                    // Update the distances along the path
+                    if (++d < INFINITE_DISTANCE) {
+                        if (d < minDistance) {
+                            minDistance = d;
+                            bestEdge = e;
+                        }
+                        for (u = edgeTarget[e]; timestamp[u] !== currentTimestamp; u = edgeTarget[parent[u]]) {
+                            timestamp[u] = currentTimestamp;
+                            distance[u] = --d;
+                        }
+                    }
+                }
+
+                parent[orphan] = bestEdge;
+                if (bestEdge > 0) {
+                    timestamp[orphan] = currentTimestamp;
+                    distance[orphan] = minDistance;
+                    continue;
+                }
+
+                // No new parent: neighbors become active, its children become orphans
+                timestamp[orphan] = 0;
+                for (let e = firstEdge[orphan]; e !== 0; e = edgeNext[e]) {
+                    const u = edgeTarget[e];
+                    const parentEdge = parent[u];
+                    if (tree[u] !== vt || !parentEdge) continue;
+
+                    if (edgeWeight[e ^ (vt ^ 1)] && next[u] === -1) {
+                        activate(u);
+                    }
+                    if (parentEdge > 0 && edgeTarget[parentEdge] === orphan) {
+                        orphans.push(u);
+                        parent[u] = ORPHAN;
+                    }
+                }
+            }
+        }
+
+        return this.flow;
+    }
+}
+
+// Export as global for use in other modules
+window.GrabCut = GrabCut;
@@ -0,0 +1,151 @@
+// js/history-panel.js - Side panel listing undo history entries (jump to and preview states)
+
+class HistoryPanel {
+    /**
+     * @param {HTMLElement} listElement - List the entry rows are rendered into
+     */
+    constructor(listElement) {
+        this.list = listElement;
+        this.maskTools = null;
+
+        // Leaving the list (not a row) ends the preview, so moving between rows doesn't flicker
+        this.list.addEventListener('mouseleave', () => {
+            if (this.maskTools) {
+                this.maskTools.endHistoryPreview();
+            }
+        });
+    }
+
+    /**
+     * Show the history of a MaskTools instance (called again when the image changes)
+     */
+    setMaskTools(maskTools) {
+        this.maskTools = maskTools;
+        this.render();
+    }
+
+    /**
+     * Render the starting state and one row per entry, newest first.
+     * Entries after the current position (redo) are dimmed.
+     */
+    render() {
+        this.list.innerHTML = '';
+
+        if (!this.maskTools) {
+            const empty = document.createElement('li');
+            empty.className = 'history-empty';
+            empty.textContent = 'Load an image to see edit history';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        const history = this.maskTools.history;
+        const layers = this.maskTools.layers;
+        const showLayer = layers.layers.length > 1;
+
+        for (let position = history.entries.length; position > 0; position--) {
+            const entry = history.entries[position - 1];
+            const layer = showLayer ? layers.getLayer(entry.layerId) : null;
+            const row = this._createRow(position, this.getLabel(entry), layer ? layer.name : '');
+            row.title = `${new Date(entry.time).toLocaleTimeString()} - click to go back to this state`;
+            this.list.appendChild(row);
+        }
+
+        // Entries dropped for the memory budget make the start a later state
+        const start = this._createRow(0, history.entries.length === 0 ? 'No edits yet' : 'Start', '');
+        start.title = 'Click to go back to the state before these edits';
+        this.list.appendChild(start);
+    }
+
+    /**
+     * Panel text of a history entry from its action type and parameters
+     */
+    getLabel(entry) {
+        const params = entry.params || {};
+        const erase = params.subtract ? ' erase' : '';
+        switch (entry.type) {
+            case 'brush':
+                return `${params.erase ? 'Erase' : 'Brush'} ${params.size}px`;
+            case 'superpixel':
+                return `Superpixels${erase}`;
+            case 'magic-wand':
+                return `Magic wand${erase}`;
+            case 'lasso':
+                return `${params.magnetic ? 'Magnetic lasso' : 'Lasso'}${erase}`;
+            case 'clear':
+                return 'Clear';
+            case 'ai-click':
+                return `AI click${erase}${params.class ? `: ${params.class}` : ''}`;
+            case 'ai-box':
+                return `AI box${erase}`;
+            case 'point-prompt':
+                return 'Point prompt';
+            case 'class-select':
+                return `${params.subtract ? 'Remove all' : 'Select all'}: ${params.class}`;
+            case 'invert':
+                return 'Invert';
+            case 'refine-edges':
+                return 'Refine edges';
+            case 'grabcut':
+                return 'GrabCut';
+            case 'mask-operation':
+                return this._getMaskOperationLabel(params);
+            case 'import':
+                return `Import: ${params.name}`;
+            case 'add-selection':
+                return 'Add selection';
+            case 'remove-selection':
+                return 'Remove selection';
+            case 'edit-mask':
+                return 'Edit mask';
+            default:
+                return entry.label || 'Edit';
+        }
+    }
+
+    /**
+     * Morphology operation name with the setting it used
+     * @private
+     */
+    _getMaskOperationLabel({ operation, radius, minArea }) {
+        const name = operation.charAt(0).toUpperCase() + operation.slice(1).replace('-', ' ');
+        switch (operation) {
+            case 'fill-holes':
+                return name;
+            case 'remove-islands':
+                return `${name} < ${minArea}px`;
+            default:
+                return `${name} ${radius}px`;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _createRow(position, label, layerName) {
+        const current = this.maskTools.history.position;
+        const row = document.createElement('li');
+        row.className = 'history-item';
+        row.classList.toggle('current', position === current);
+        row.classList.toggle('undone', position > current);
+
+        const name = document.createElement('span');
+        name.className = 'history-name';
+        name.textContent = label;
+        row.appendChild(name);
+
+        if (layerName) {
+            const layer = document.createElement('span');
+            layer.className = 'history-layer';
+            layer.textContent = layerName;
+            row.appendChild(layer);
+        }
+
+        row.addEventListener('mouseenter', () => this.maskTools.previewHistory(position));
+        row.addEventListener('click', () => this.maskTools.jumpToHistory(position));
+        return row;
+    }
+}
+
+// Export as global for use in other modules
+window.HistoryPanel = HistoryPanel;
@@ -0,0 +1,325 @@
+// js/history.js - Undo history of layer edits stored as compressed dirty-rectangle diffs
+
+class MaskHistory {
+    /**
+     * Entries keep only the changed rectangle of a layer's alpha (coverage), before and after,
+     * run-length encoded. The latest alpha of each layer is kept to diff new states against.
+     * @param {Object} options - { maxBytes: memory budget for entries, maxEntries }
+     */
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes || 128 * 1024 * 1024;
+        this.maxEntries = options.maxEntries || 500;
+
+        this.entries = [];
+        this.position = 0; // Number of applied entries; entries after it can be redone
+        this.snapshots = new Map(); // layerId -> alpha at the current position
+        this.bytes = 0;
+    }
+
+    /**
+     * Record a layer's new state. Redo entries are discarded; unchanged states add nothing.
+     * @param {number} layerId - Edited layer
+     * @param {Uint8Array} alpha - Full-size alpha of the layer (kept as its snapshot, don't modify)
+     * @param {number} width - Layer width
+     * @param {Object} details - Extra entry fields (e.g. { label, stroke })
+     * @returns {boolean} True if an entry was added
+     */
+    record(layerId, alpha, width, details = {}) {
+        const previous = this.snapshots.get(layerId) || new Uint8Array(alpha.length);
+        this.snapshots.set(layerId, alpha);
+
+        const rect = this._findChangedRect(previous, alpha, width);
+        if (!rect) return false;
+
+        this._discardRedo();
+        const entry = {
+            ...details,
+            layerId,
+            layerWidth: width,
+            rect,
+            before: this.encode(this._crop(previous, width, rect)),
+            after: this.encode(this._crop(alpha, width, rect)),
+            time: Date.now()
+        };
+        entry.bytes = this._measure(entry);
+
+        this.entries.push(entry);
+        this.position++;
+        this.bytes += entry.bytes;
+        this._enforceBudget();
+        return true;
+    }
+
+    /**
+     * Set a layer's state without an entry (e.g. after loading or resizing)
+     */
+    setBaseline(layerId, alpha) {
+        this.snapshots.set(layerId, alpha);
+    }
+
+    /**
+     * Step back one entry
+     * @returns {Object|null} Change to apply: { layerId, rect, alpha } with alpha cropped to rect
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+
+        this.position--;
+        const entry = this.entries[this.position];
+        return this._apply(entry, entry.before);
+    }
+
+    /**
+     * Step forward one entry
+     * @returns {Object|null} Change to apply (see undo)
+     */
+    redo() {
+        if (!this.canRedo()) return null;
+
+        const entry = this.entries[this.position];
+        this.position++;
+        return this._apply(entry, entry.after);
+    }
+
+    /**
+     * Undo or redo until a position is reached
+     * @param {number} position - Number of applied entries (0 is the oldest kept state)
+     * @returns {Array<Object>} Changes to apply in order (see undo)
+     */
+    goTo(position) {
+        const target = Math.max(0, Math.min(position, this.entries.length));
+        const changes = [];
+        while (this.position > target) {
+            changes.push(this.undo());
+        }
+        while (this.position < target) {
+            changes.push(this.redo());
+        }
+        return changes;
+    }
+
+    canUndo() {
+        return this.position > 0;
+    }
+
+    canRedo() {
+        return this.position < this.entries.length;
+    }
+
+    /**
+     * Entries up to the current position, oldest first
+     */
+    getAppliedEntries() {
+        return this.entries.slice(0, this.position);
+    }
+
+    /**
+     * Forget a removed layer and its entries (removal can't be undone)
+     */
+    removeLayer(layerId) {
+        const keptBefore = this.entries
+            .slice(0, this.position)
+            .filter(entry => entry.layerId !== layerId).length;
+        this.entries = this.entries.filter(entry => entry.layerId !== layerId);
+        this.position = keptBefore;
+        this.snapshots.delete(layerId);
+        this.bytes = this.entries.reduce((total, entry) => total + entry.bytes, 0);
+    }
+
+    /**
+     * Entries and position as plain data (for storing a session)
+     */
+    serialize() {
+        return { entries: this.entries.slice(), position: this.position };
+    }
+
+    /**
+     * Replace entries and position with serialized ones. Snapshots are cleared;
+     * set them with setBaseline() from the restored layers.
+     */
+    restore(data) {
+        this.entries = data.entries.slice();
+        this.position = Math.max(0, Math.min(data.position, this.entries.length));
+        this.snapshots.clear();
+        this.bytes = this.entries.reduce((total, entry) => total + entry.bytes, 0);
+        this._enforceBudget();
+    }
+
+    /**
+     * Drop all entries and snapshots
+     */
+    clear() {
+        this.entries = [];
+        this.position = 0;
+        this.snapshots.clear();
+        this.bytes = 0;
+    }
+
+    /**
+     * Run-length encode as (value, LEB128 run length) pairs, or keep raw bytes
+     * when that is smaller (noisy soft edges). The first byte tells which.
+     * @param {Uint8Array} values - Bytes to compress
+     * @returns {Uint8Array} Encoded bytes
+     */
+    encode(values) {
+        const runs = [1];
+        for (let i = 0; i < values.length;) {
+            const value = values[i];
+            let run = 1;
+            while (i + run < values.length && values[i + run] === value) run++;
+            i += run;
+
+            runs.push(value);
+            while (run >= 0x80) {
+                runs.push((run & 0x7f) | 0x80);
+                run >>>= 7;
+            }
+            runs.push(run);
+
+            if (runs.length > values.length + 1) {
+                // Raw is smaller
+                const raw = new Uint8Array(values.length + 1);
+                raw.set(values, 1);
+                return raw;
+            }
+        }
+        return Uint8Array.from(runs);
+    }
+
+    /**
+     * Decode bytes from encode()
+     * @param {number} length - Number of values
+     */
+    decode(encoded, length) {
+        if (encoded[0] === 0) {
+            return encoded.slice(1);
+        }
+
+        const values = new Uint8Array(length);
+        let position = 0;
+        let i = 1;
+        while (i < encoded.length) {
+            const value = encoded[i++];
+            let run = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = encoded[i++];
+                run |= (byte & 0x7f) << shift;
+                shift += 7;
+            } while (byte & 0x80);
+
+            values.fill(value, position, position + run);
+            position += run;
+        }
+        return values;
+    }
+
+    /**
+     * Approximate memory use in bytes (entries plus layer snapshots)
+     */
+    getMemoryUsage() {
+        let total = this.bytes;
+        this.snapshots.forEach(alpha => {
+            total += alpha.length;
+        });
+        return total;
+    }
+
+    /**
+     * @private
+     */
+    _apply(entry, encoded) {
+        const { x, y, width, height } = entry.rect;
+        const alpha = this.decode(encoded, width * height);
+
+        // Keep the snapshot in step with the layer
+        const snapshot = this.snapshots.get(entry.layerId);
+        if (snapshot) {
+            for (let row = 0; row < height; row++) {
+                snapshot.set(alpha.subarray(row * width, (row + 1) * width), (y + row) * entry.layerWidth + x);
+            }
+        }
+
+        return { layerId: entry.layerId, rect: { x, y, width, height }, alpha };
+    }
+
+    /**
+     * @private
+     */
+    _discardRedo() {
+        for (let i = this.position; i < this.entries.length; i++) {
+            this.bytes -= this.entries[i].bytes;
+        }
+        this.entries.length = this.position;
+    }
+
+    /**
+     * Drop the oldest undo entries while over budget. The last applied entry and
+     * redo entries are always kept.
+     * @private
+     */
+    _enforceBudget() {
+        while (this.position > 1 && (this.bytes > this.maxBytes || this.entries.length > this.maxEntries)) {
+            const dropped = this.entries.shift();
+            this.bytes -= dropped.bytes;
+            this.position--;
+        }
+    }
+
+    /**
+     * Bounding box of the pixels that differ
+     * @private
+     */
+    _findChangedRect(previous, alpha, width) {
+        const height = alpha.length / width;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            let first = -1;
+            let last = -1;
+            for (let x = 0; x < width; x++) {
+                if (previous[row + x] !== alpha[row + x]) {
+                    if (first === -1) first = x;
+                    last = x;
+                }
+            }
+            if (first === -1) continue;
+
+            if (first < minX) minX = first;
+            if (last > maxX) maxX = last;
+            if (y < minY) minY = y;
+            maxY = y;
+        }
+
+        if (maxX < 0) return null;
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    /**
+     * @private
+     */
+    _crop(alpha, width, rect) {
+        const region = new Uint8Array(rect.width * rect.height);
+        for (let row = 0; row < rect.height; row++) {
+            const start = (rect.y + row) * width + rect.x;
+            region.set(alpha.subarray(start, start + rect.width), row * rect.width);
+        }
+        return region;
+    }
+
+    /**
+     * @private
+     */
+    _measure(entry) {
+        let bytes = entry.before.length + entry.after.length;
+        if (entry.stroke) {
+            bytes += entry.stroke.bits.length;
+        }
+        return bytes;
+    }
+}
+
+// Export as global for use in other modules
+window.MaskHistory = MaskHistory;
@@ -0,0 +1,354 @@
+// js/import.js - Import masks and annotation files (PNG masks, label PNGs, COCO JSON, Pascal VOC XML)
+
+class MaskImporter {
+    constructor() {
+        // Label PNGs with more colors than this are treated as a single antialiased mask
+        this.maxLabelColors = 64;
+    }
+
+    /**
+     * Decode an annotation file into masks at the image size
+     * @param {File} file - PNG mask/label image, COCO .json or VOC .xml
+     * @param {Object} image - { width, height, fileName, labels, colormap, layerNames }
+     *   labels/colormap name label-PNG colors after the current model's classes,
+     *   layerNames names indexed label maps (value 1 is layerNames[0])
+     * @returns {Promise<Array<Object>>} { name, color, mask } with mask as white-on-black ImageData
+     *   (gray levels of imported mattes are partial coverage)
+     */
+    async importFile(file, image) {
+        const name = file.name.toLowerCase();
+
+        if (name.endsWith('.json')) {
+            return this._importCoco(JSON.parse(await file.text()), image);
+        }
+        if (name.endsWith('.xml')) {
+            return this._importVoc(await file.text(), image);
+        }
+        if (file.type.startsWith('image/')) {
+            return this._importImage(file, image);
+        }
+
+        throw new Error('Unsupported annotation file. Use a PNG mask, COCO .json or Pascal VOC .xml.');
+    }
+
+    /**
+     * Binary mask, grayscale label map or color-indexed label PNG
+     * @private
+     */
+    async _importImage(file, image) {
+        const bitmap = await createImageBitmap(file);
+        const canvas = this._createCanvas(image.width, image.height);
+        const ctx = canvas.getContext('2d');
+
+        // Nearest neighbor keeps label colors intact when the mask size differs
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(bitmap, 0, 0, image.width, image.height);
+        bitmap.close();
+        const data = ctx.getImageData(0, 0, image.width, image.height).data;
+
+        // Collect the distinct non-black colors
+        const colors = new Set();
+        for (let i = 0; i < data.length && colors.size <= this.maxLabelColors; i += 4) {
+            if (data[i + 3] === 0) continue;
+            const color = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+            if (color !== 0) {
+                colors.add(color);
+            }
+        }
+
+        if (colors.size === 0) {
+            return [];
+        }
+
+        const grays = Array.from(colors).filter(color => this._isGray(color));
+        const isGrayscale = grays.length === colors.size;
+
+        // Small gray values are layer indices (our own label map export)
+        if (isGrayscale && grays.every(color => (color & 0xff) < 128)) {
+            return Array.from(colors).sort((a, b) => a - b).map(color => {
+                const index = color & 0xff;
+                return {
+                    name: (image.layerNames && image.layerNames[index - 1]) || `Label ${index}`,
+                    color: null,
+                    mask: this._colorMask(data, image.width, image.height, color)
+                };
+            });
+        }
+
+        // One layer per color, named after the model class when the colormap matches
+        if (!isGrayscale && colors.size <= this.maxLabelColors) {
+            return Array.from(colors).map(color => {
+                const hex = `#${color.toString(16).padStart(6, '0')}`;
+                return {
+                    name: this._getColorLabel(color, image) || hex,
+                    color: hex,
+                    mask: this._colorMask(data, image.width, image.height, color)
+                };
+            });
+        }
+
+        // Binary mask or soft matte: brightness (times opacity) is the coverage
+        const mask = new ImageData(image.width, image.height);
+        for (let i = 0; i < data.length; i += 4) {
+            const value = (data[i] + data[i + 1] + data[i + 2]) / 3 * data[i + 3] / 255;
+            mask.data[i] = value;
+            mask.data[i + 1] = value;
+            mask.data[i + 2] = value;
+            mask.data[i + 3] = 255;
+        }
+        return [{ name: file.name.replace(/\.[^.]+$/, ''), color: null, mask }];
+    }
+
+    /**
+     * @private
+     */
+    _isGray(color) {
+        const r = (color >> 16) & 0xff;
+        const g = (color >> 8) & 0xff;
+        const b = color & 0xff;
+        return r === g && g === b;
+    }
+
+    /**
+     * Look up a color in the current model's colormap
+     * @private
+     */
+    _getColorLabel(color, image) {
+        if (!image.colormap || !image.labels) return null;
+
+        const index = image.colormap.findIndex(([r, g, b]) => ((r << 16) | (g << 8) | b) === color);
+        return index >= 0 ? image.labels[index] : null;
+    }
+
+    /**
+     * Mask of the pixels with exactly one color
+     * @private
+     */
+    _colorMask(data, width, height, color) {
+        const mask = new ImageData(width, height);
+        const r = (color >> 16) & 0xff;
+        const g = (color >> 8) & 0xff;
+        const b = color & 0xff;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const value = data[i + 3] > 0 && data[i] === r && data[i + 1] === g && data[i + 2] === b ? 255 : 0;
+            mask.data[i] = value;
+            mask.data[i + 1] = value;
+            mask.data[i + 2] = value;
+            mask.data[i + 3] = 255;
+        }
+        return mask;
+    }
+
+    /**
+     * COCO instances JSON: one mask per category for the matching image
+     * @private
+     */
+    _importCoco(coco, image) {
+        if (!Array.isArray(coco.images) || !Array.isArray(coco.annotations)) {
+            throw new Error('Not a COCO annotation file (missing images or annotations).');
+        }
+
+        const cocoImage = this._findCocoImage(coco.images, image.fileName);
+        if (!cocoImage) {
+            throw new Error(`No image named "${image.fileName}" in the COCO file.`);
+        }
+
+        const categories = new Map((coco.categories || []).map(category => [category.id, category.name]));
+        const scaleX = image.width / (cocoImage.width || image.width);
+        const scaleY = image.height / (cocoImage.height || image.height);
+
+        // Group annotations by category, one canvas each
+        const groups = new Map();
+        coco.annotations
+            .filter(annotation => annotation.image_id === cocoImage.id)
+            .forEach(annotation => {
+                const name = categories.get(annotation.category_id) || `category ${annotation.category_id}`;
+                if (!groups.has(name)) {
+                    groups.set(name, this._createCanvas(image.width, image.height));
+                }
+                this._drawCocoSegmentation(groups.get(name).getContext('2d'), annotation, scaleX, scaleY);
+            });
+
+        return Array.from(groups, ([name, canvas]) => ({
+            name: name,
+            color: null,
+            mask: this._canvasToMask(canvas)
+        }));
+    }
+
+    /**
+     * Match by file name, ignoring folders; a single-image file always matches
+     * @private
+     */
+    _findCocoImage(images, fileName) {
+        const baseName = (name) => String(name || '').split(/[\\/]/).pop();
+        return images.find(entry => baseName(entry.file_name) === baseName(fileName))
+            || (images.length === 1 ? images[0] : null);
+    }
+
+    /**
+     * Draw one annotation (polygons or RLE) in white
+     * @private
+     */
+    _drawCocoSegmentation(ctx, annotation, scaleX, scaleY) {
+        const segmentation = annotation.segmentation;
+        ctx.fillStyle = '#ffffff';
+
+        if (Array.isArray(segmentation)) {
+            // Polygons: flat [x1, y1, x2, y2, ...] lists
+            ctx.beginPath();
+            segmentation.forEach(polygon => {
+                for (let i = 0; i < polygon.length; i += 2) {
+                    const x = polygon[i] * scaleX;
+                    const y = polygon[i + 1] * scaleY;
+                    if (i === 0) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
+                }
+                ctx.closePath();
+            });
+            ctx.fill();
+            return;
+        }
+
+        if (segmentation && segmentation.counts !== undefined) {
+            const [rleHeight, rleWidth] = segmentation.size;
+            const counts = typeof segmentation.counts === 'string'
+                ? this._decodeRleString(segmentation.counts)
+                : segmentation.counts;
+
+            // Runs are column-major and start with background
+            const rleCanvas = this._createCanvas(rleWidth, rleHeight);
+            const rleCtx = rleCanvas.getContext('2d');
+            const rleData = rleCtx.createImageData(rleWidth, rleHeight);
+            let position = 0;
+            counts.forEach((count, i) => {
+                if (i % 2 === 1) {
+                    for (let p = position; p < position + count; p++) {
+                        const x = Math.floor(p / rleHeight);
+                        const y = p % rleHeight;
+                        const index = (y * rleWidth + x) * 4;
+                        rleData.data[index] = 255;
+                        rleData.data[index + 1] = 255;
+                        rleData.data[index + 2] = 255;
+                        rleData.data[index + 3] = 255;
+                    }
+                }
+                position += count;
+            });
+            rleCtx.putImageData(rleData, 0, 0);
+
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(rleCanvas, 0, 0, rleWidth * scaleX, rleHeight * scaleY);
+        }
+    }
+
+    /**
+     * Decode pycocotools' compressed RLE string into run lengths
+     * @private
+     */
+    _decodeRleString(string) {
+        const counts = [];
+        let position = 0;
+
+        while (position < string.length) {
+            let x = 0;
+            let shift = 0;
+            let more = true;
+            while (more) {
+                const c = string.charCodeAt(position) - 48;
+                x |= (c & 0x1f) << shift;
+                more = (c & 0x20) !== 0;
+                position++;
+                shift += 5;
+                if (!more && (c & 0x10)) {
+                    x |= -1 << shift;
+                }
+            }
+            if (counts.length > 2) {
+                x += counts[counts.length - 2];
+            }
+            counts.push(x);
+        }
+
+        return counts;
+    }
+
+    /**
+     * Pascal VOC XML: one box mask per object name
+     * @private
+     */
+    _importVoc(xmlText, image) {
+        const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+        if (doc.querySelector('parsererror') || !doc.querySelector('annotation')) {
+            throw new Error('Not a Pascal VOC annotation file.');
+        }
+
+        const sizeWidth = parseFloat(doc.querySelector('size > width')?.textContent) || image.width;
+        const sizeHeight = parseFloat(doc.querySelector('size > height')?.textContent) || image.height;
+        const scaleX = image.width / sizeWidth;
+        const scaleY = image.height / sizeHeight;
+
+        const groups = new Map();
+        doc.querySelectorAll('object').forEach(object => {
+            const box = object.querySelector('bndbox');
+            if (!box) return;
+
+            const name = object.querySelector('name')?.textContent.trim() || 'object';
+            const read = (tag) => parseFloat(box.querySelector(tag)?.textContent);
+            // VOC pixel coordinates are 1-based and inclusive
+            const xmin = (read('xmin') - 1) * scaleX;
+            const ymin = (read('ymin') - 1) * scaleY;
+            const xmax = read('xmax') * scaleX;
+            const ymax = read('ymax') * scaleY;
+            if ([xmin, ymin, xmax, ymax].some(Number.isNaN)) return;
+
+            if (!groups.has(name)) {
+                groups.set(name, this._createCanvas(image.width, image.height));
+            }
+            const ctx = groups.get(name).getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(xmin, ymin, xmax - xmin, ymax - ymin);
+        });
+
+        return Array.from(groups, ([name, canvas]) => ({
+            name: name,
+            color: null,
+            mask: this._canvasToMask(canvas)
+        }));
+    }
+
+    /**
+     * @private
+     */
+    _createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Convert a canvas with white drawings on transparent to a white-on-black mask
+     * @private
+     */
+    _canvasToMask(canvas) {
+        const ctx = canvas.getContext('2d');
+        const mask = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = mask.data;
+        for (let i = 0; i < data.length; i += 4) {
+            const value = data[i + 3] > 128 ? 255 : 0;
+            data[i] = value;
+            data[i + 1] = value;
+            data[i + 2] = value;
+            data[i + 3] = 255;
+        }
+        return mask;
+    }
+}
+
+// Export as global for use in other modules
+window.MaskImporter = MaskImporter;
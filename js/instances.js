@@ -0,0 +1,216 @@
+// js/instances.js - Split class regions into object instances (distance transform + watershed)
+
+class InstanceSeparator {
+    /**
+     * @param {Object} options - Merge criteria for neighboring basins
+     * @param {number} options.depthRatio - Keep two peaks apart only if the neck between them is
+     *   lower than the smaller peak by at least this fraction of it
+     * @param {number} options.peakRatio - ...and the smaller peak is at least this fraction of the larger
+     *   (keeps heads and limbs attached to their body)
+     * @param {number} options.minDepth - Minimum neck depth in pixels
+     */
+    constructor(options = {}) {
+        this.depthRatio = options.depthRatio !== undefined ? options.depthRatio : 0.3;
+        this.peakRatio = options.peakRatio !== undefined ? options.peakRatio : 0.6;
+        this.minDepth = options.minDepth !== undefined ? options.minDepth : 2;
+        this.morphology = new MaskMorphology();
+    }
+
+    /**
+     * Split every non-background class region into instances
+     * @param {ImageData} classImage - Class index per pixel in the red channel
+     * @param {number} backgroundClass - Class that is never an instance
+     * @returns {Object} { width, height, count, labels: Int32Array instance per pixel (0 = none) }
+     */
+    separate(classImage, backgroundClass) {
+        const { width, height, data } = classImage;
+        const size = width * height;
+        const classes = new Uint8Array(size);
+        for (let i = 0; i < size; i++) {
+            classes[i] = data[i * 4];
+        }
+
+        // Distance to the nearest class boundary; peaks are object centers
+        const border = new Uint8Array(size);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const c = classes[i];
+                border[i] = c === backgroundClass
+                    || (x > 0 && classes[i - 1] !== c) || (x < width - 1 && classes[i + 1] !== c)
+                    || (y > 0 && classes[i - width] !== c) || (y < height - 1 && classes[i + width] !== c)
+                    ? 1 : 0;
+            }
+        }
+        const distance = this.morphology.distanceTransform(border, width, height);
+
+        const order = this._sortByDistance(distance, classes, backgroundClass);
+        const basins = this._flood(order, distance, classes, width, height);
+        return { width, height, ...basins };
+    }
+
+    /**
+     * Pixel indices of non-background pixels by decreasing distance (bucket sort on half pixels)
+     * @private
+     */
+    _sortByDistance(distance, classes, backgroundClass) {
+        let maxLevel = 0;
+        const levels = new Int32Array(distance.length);
+        for (let i = 0; i < distance.length; i++) {
+            if (classes[i] === backgroundClass || !Number.isFinite(distance[i])) {
+                levels[i] = -1;
+                continue;
+            }
+            levels[i] = Math.floor(distance[i] * 2);
+            if (levels[i] > maxLevel) maxLevel = levels[i];
+        }
+
+        const starts = new Int32Array(maxLevel + 2);
+        for (let i = 0; i < levels.length; i++) {
+            if (levels[i] >= 0) starts[maxLevel - levels[i] + 1]++;
+        }
+        for (let level = 0; level <= maxLevel; level++) {
+            starts[level + 1] += starts[level];
+        }
+
+        const order = new Int32Array(starts[maxLevel + 1]);
+        for (let i = 0; i < levels.length; i++) {
+            if (levels[i] >= 0) order[starts[maxLevel - levels[i]]++] = i;
+        }
+        return order;
+    }
+
+    /**
+     * Watershed from the peaks down. Where two basins of one class meet, they merge unless
+     * both peaks rise clearly above the neck; other pixels join their highest neighbor's basin.
+     * @private
+     */
+    _flood(order, distance, classes, width, height) {
+        const basinOf = new Int32Array(width * height); // 0 = not flooded yet
+        const parent = [0];
+        const peak = [0];
+        const find = (basin) => {
+            while (parent[basin] !== basin) {
+                parent[basin] = parent[parent[basin]];
+                basin = parent[basin];
+            }
+            return basin;
+        };
+        const roots = [];
+
+        for (let n = 0; n < order.length; n++) {
+            const i = order[n];
+            const x = i % width;
+            const y = (i - x) / width;
+            const level = distance[i];
+
+            roots.length = 0;
+            let steepest = 0;
+            let steepestDistance = -1;
+            for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+                for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                    const j = ny * width + nx;
+                    if (!basinOf[j] || classes[j] !== classes[i]) continue;
+
+                    const root = find(basinOf[j]);
+                    if (!roots.includes(root)) roots.push(root);
+                    if (distance[j] > steepestDistance) {
+                        steepestDistance = distance[j];
+                        steepest = root;
+                    }
+                }
+            }
+
+            if (roots.length === 0) {
+                // A new peak
+                parent.push(parent.length);
+                peak.push(level);
+                basinOf[i] = parent.length - 1;
+                continue;
+            }
+
+            // Basins meeting at this neck
+            roots.sort((a, b) => peak[b] - peak[a]);
+            for (let r = 1; r < roots.length; r++) {
+                const main = find(roots[0]);
+                const other = find(roots[r]);
+                if (main === other) continue;
+
+                const low = Math.min(peak[main], peak[other]);
+                const high = Math.max(peak[main], peak[other]);
+                const separate = low - level >= Math.max(this.minDepth, this.depthRatio * low)
+                    && low >= this.peakRatio * high;
+                if (!separate) {
+                    parent[other] = main;
+                    peak[main] = high;
+                }
+            }
+            basinOf[i] = find(steepest);
+        }
+
+        // Number the surviving basins 1..count
+        const ids = new Int32Array(parent.length);
+        let count = 0;
+        const labels = new Int32Array(width * height);
+        for (let i = 0; i < labels.length; i++) {
+            if (!basinOf[i]) continue;
+            const root = find(basinOf[i]);
+            if (!ids[root]) ids[root] = ++count;
+            labels[i] = ids[root];
+        }
+
+        return { count, labels };
+    }
+
+    /**
+     * Binary mask of the instance under a point
+     * @param {Object} instances - Result of separate()
+     * @returns {ImageData} White-on-black mask (empty on background)
+     */
+    createInstanceMask(instances, x, y) {
+        const { width, height, labels } = instances;
+        const mask = new ImageData(width, height);
+        const px = Math.min(width - 1, Math.max(0, Math.floor(x)));
+        const py = Math.min(height - 1, Math.max(0, Math.floor(y)));
+        const target = labels[py * width + px];
+
+        for (let i = 0; i < labels.length; i++) {
+            const value = target && labels[i] === target ? 255 : 0;
+            mask.data[i * 4] = value;
+            mask.data[i * 4 + 1] = value;
+            mask.data[i * 4 + 2] = value;
+            mask.data[i * 4 + 3] = 255;
+        }
+        return mask;
+    }
+
+    /**
+     * Mask of the lines where two instances touch
+     * @param {Object} instances - Result of separate()
+     * @param {number} radius - Extra line thickness in pixels (for scaled-down display)
+     * @returns {ImageData} White-on-black mask
+     */
+    createBoundaryMask(instances, radius = 0) {
+        const { width, height, labels } = instances;
+        let bits = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const label = labels[i];
+                if (!label) continue;
+                if ((x < width - 1 && labels[i + 1] && labels[i + 1] !== label)
+                    || (y < height - 1 && labels[i + width] && labels[i + width] !== label)) {
+                    bits[i] = 1;
+                }
+            }
+        }
+
+        if (radius >= 1) {
+            bits = this.morphology.grow(bits, width, height, radius);
+        }
+        return this.morphology.bitsToMask(bits, width, height);
+    }
+}
+
+// Export as global for use in other modules
+window.InstanceSeparator = InstanceSeparator;
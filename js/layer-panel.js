@@ -0,0 +1,150 @@
+// js/layer-panel.js - Side panel listing mask layers (active, visibility, lock, color, name)
+
+class LayerPanel {
+    /**
+     * @param {HTMLElement} listElement - List the layer rows are rendered into
+     * @param {HTMLElement} addButton - Button that adds a layer
+     */
+    constructor(listElement, addButton) {
+        this.list = listElement;
+        this.addButton = addButton;
+        this.maskTools = null;
+
+        // Callback set by the app after any layer change
+        this.onChange = null;
+
+        this.addButton.addEventListener('click', () => this.addLayer());
+    }
+
+    /**
+     * Show the layers of a MaskTools instance
+     */
+    setMaskTools(maskTools) {
+        this.maskTools = maskTools;
+        this.render();
+    }
+
+    /**
+     * Ask for a name and add a layer
+     */
+    addLayer() {
+        if (!this.maskTools) return;
+
+        const layers = this.maskTools.layers;
+        const name = prompt('Layer name:', `Layer ${layers.layers.length + 1}`);
+        if (name === null) return;
+
+        try {
+            this.maskTools.addLayer({ name: name.trim() || undefined });
+            this._notifyChange();
+        } catch (error) {
+            console.error('Failed to add layer:', error);
+            alert(`Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _notifyChange() {
+        this.render();
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Render one row per layer, topmost (last drawn) first
+     */
+    render() {
+        this.list.innerHTML = '';
+        if (!this.maskTools) return;
+
+        const layers = this.maskTools.layers;
+        layers.layers.slice().reverse().forEach(layer => {
+            this.list.appendChild(this._createRow(layer, layers));
+        });
+    }
+
+    /**
+     * @private
+     */
+    _createRow(layer, layers) {
+        const row = document.createElement('li');
+        row.className = 'layer-item';
+        row.classList.toggle('active', layer.id === layers.activeLayerId);
+        row.classList.toggle('hidden-layer', !layer.visible);
+        row.addEventListener('click', () => {
+            layers.setActiveLayer(layer.id);
+            this._notifyChange();
+        });
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.className = 'layer-color';
+        color.value = layer.color;
+        color.title = 'Layer color';
+        color.addEventListener('click', (e) => e.stopPropagation());
+        color.addEventListener('input', () => layers.updateLayer(layer.id, { color: color.value }));
+
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = layer.name;
+        name.title = 'Double-click to rename';
+        name.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            const newName = prompt('Rename layer:', layer.name);
+            if (newName && newName.trim()) {
+                layers.updateLayer(layer.id, { name: newName.trim() });
+                this._notifyChange();
+            }
+        });
+
+        const visibility = this._createIconButton(
+            layer.visible ? 'Hide layer' : 'Show layer',
+            '<path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path><circle cx="12" cy="12" r="3"></circle>',
+            () => layers.updateLayer(layer.id, { visible: !layer.visible })
+        );
+        visibility.classList.toggle('off', !layer.visible);
+
+        const lock = this._createIconButton(
+            layer.locked ? 'Unlock layer' : 'Lock layer',
+            '<rect x="5" y="11" width="14" height="10" rx="2"></rect><path d="M8 11V7a4 4 0 0 1 8 0v4"></path>',
+            () => layers.updateLayer(layer.id, { locked: !layer.locked })
+        );
+        lock.classList.toggle('on', layer.locked);
+
+        const remove = this._createIconButton(
+            'Delete layer',
+            '<line x1="6" y1="6" x2="18" y2="18"></line><line x1="18" y1="6" x2="6" y2="18"></line>',
+            () => {
+                if (confirm(`Delete layer "${layer.name}"? This cannot be undone.`)) {
+                    this.maskTools.removeLayer(layer.id);
+                }
+            }
+        );
+        remove.disabled = layers.layers.length <= 1;
+
+        row.append(color, name, visibility, lock, remove);
+        return row;
+    }
+
+    /**
+     * @private
+     */
+    _createIconButton(title, iconPaths, onClick) {
+        const button = document.createElement('button');
+        button.className = 'layer-btn';
+        button.title = title;
+        button.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor">${iconPaths}</svg>`;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+            this._notifyChange();
+        });
+        return button;
+    }
+}
+
+// Export as global for use in other modules
+window.LayerPanel = LayerPanel;
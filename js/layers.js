@@ -0,0 +1,338 @@
+// js/layers.js - Named mask layers composited onto the mask canvas
+
+class LayerManager {
+    /**
+     * @param {HTMLCanvasElement} displayCanvas - Visible canvas the layers are composited onto
+     */
+    constructor(displayCanvas) {
+        this.displayCanvas = displayCanvas;
+        this.displayCtx = displayCanvas.getContext('2d');
+        this.width = displayCanvas.width;
+        this.height = displayCanvas.height;
+
+        // Layer canvases keep the selection in the mask green with coverage as alpha;
+        // the composite tints them. Binary exports keep pixels at least half covered.
+        this.palette = ['#00b414', '#3b82f6', '#f59e0b', '#ef4444', '#a855f7', '#06b6d4', '#ec4899', '#84cc16'];
+        this.maxLayers = 255; // Label maps store the layer index in one byte
+        this.selectionThreshold = 128;
+
+        // Layers: { id, name, color, visible, locked, canvas, ctx }
+        this.layers = [];
+        this.activeLayerId = null;
+        this.nextId = 1;
+        this.compositeFrame = null;
+
+        this.addLayer({ name: 'Mask' });
+    }
+
+    /**
+     * Add an empty layer and make it active
+     * @param {Object} options - { name, color, visible, locked }
+     * @returns {Object} New layer
+     */
+    addLayer(options = {}) {
+        if (this.layers.length >= this.maxLayers) {
+            throw new Error(`A mask can have at most ${this.maxLayers} layers`);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+
+        const layer = {
+            id: this.nextId++,
+            name: options.name || `Layer ${this.layers.length + 1}`,
+            color: options.color || this.palette[this.layers.length % this.palette.length],
+            visible: options.visible !== undefined ? options.visible : true,
+            locked: options.locked || false,
+            canvas: canvas,
+            ctx: canvas.getContext('2d', { willReadFrequently: true })
+        };
+
+        this.layers.push(layer);
+        this.activeLayerId = layer.id;
+        return layer;
+    }
+
+    /**
+     * Remove a layer (the last remaining layer is kept)
+     * @returns {boolean} True if removed
+     */
+    removeLayer(id) {
+        const index = this.layers.findIndex(layer => layer.id === id);
+        if (index === -1 || this.layers.length <= 1) return false;
+
+        this.layers.splice(index, 1);
+        if (this.activeLayerId === id) {
+            this.activeLayerId = this.layers[Math.max(0, index - 1)].id;
+        }
+        this.composite();
+        return true;
+    }
+
+    getLayer(id) {
+        return this.layers.find(layer => layer.id === id) || null;
+    }
+
+    getActiveLayer() {
+        return this.getLayer(this.activeLayerId);
+    }
+
+    setActiveLayer(id) {
+        if (this.getLayer(id)) {
+            this.activeLayerId = id;
+        }
+    }
+
+    /**
+     * Change layer properties (name, color, visible, locked)
+     */
+    updateLayer(id, changes) {
+        const layer = this.getLayer(id);
+        if (!layer) return;
+
+        ['name', 'color', 'visible', 'locked'].forEach(key => {
+            if (changes[key] !== undefined) {
+                layer[key] = changes[key];
+            }
+        });
+        this.composite();
+    }
+
+    /**
+     * Get the layer names and colors without pixels (to reuse the label set on another image)
+     */
+    getDefinitions() {
+        return this.layers.map(layer => ({
+            name: layer.name,
+            color: layer.color,
+            visible: layer.visible,
+            locked: layer.locked
+        }));
+    }
+
+    /**
+     * Replace all layers with empty layers from definitions
+     */
+    applyDefinitions(definitions) {
+        if (!definitions || definitions.length === 0) return;
+
+        this.layers = [];
+        definitions.forEach(definition => this.addLayer(definition));
+        this.activeLayerId = this.layers[0].id;
+        this.composite();
+    }
+
+    /**
+     * Replace all layers with empty layers that keep saved ids (history entries refer to them)
+     * @param {Array<Object>} definitions - getDefinitions() entries with an id
+     */
+    restoreDefinitions(definitions) {
+        this.applyDefinitions(definitions);
+        this.layers.forEach((layer, index) => {
+            layer.id = definitions[index].id;
+        });
+        this.nextId = Math.max(...this.layers.map(layer => layer.id)) + 1;
+        this.activeLayerId = this.layers[0].id;
+    }
+
+    /**
+     * Resize all layers, scaling their content
+     */
+    resize(width, height) {
+        this.layers.forEach(layer => {
+            const copy = document.createElement('canvas');
+            copy.width = layer.canvas.width;
+            copy.height = layer.canvas.height;
+            copy.getContext('2d').drawImage(layer.canvas, 0, 0);
+
+            layer.canvas.width = width;
+            layer.canvas.height = height;
+            layer.ctx.drawImage(copy, 0, 0, width, height);
+        });
+        this.width = width;
+        this.height = height;
+        this.composite();
+    }
+
+    /**
+     * Draw visible layers onto the display canvas, each tinted with its color
+     */
+    composite() {
+        this.cancelComposite();
+
+        const ctx = this.displayCtx;
+        ctx.clearRect(0, 0, this.displayCanvas.width, this.displayCanvas.height);
+
+        const tintCanvas = document.createElement('canvas');
+        tintCanvas.width = this.width;
+        tintCanvas.height = this.height;
+        const tintCtx = tintCanvas.getContext('2d');
+
+        this.layers.forEach(layer => {
+            if (!layer.visible) return;
+
+            // Keep the layer's coverage, replace its color
+            tintCtx.globalCompositeOperation = 'copy';
+            tintCtx.drawImage(layer.canvas, 0, 0);
+            tintCtx.globalCompositeOperation = 'source-in';
+            tintCtx.fillStyle = layer.color;
+            tintCtx.fillRect(0, 0, this.width, this.height);
+
+            ctx.drawImage(tintCanvas, 0, 0);
+        });
+    }
+
+    /**
+     * Composite on the next animation frame (coalesces updates while drawing)
+     */
+    scheduleComposite() {
+        if (this.compositeFrame) return;
+        this.compositeFrame = requestAnimationFrame(() => {
+            this.compositeFrame = null;
+            this.composite();
+        });
+    }
+
+    /**
+     * Drop a scheduled composite (e.g. when the display canvas is handed to another image)
+     */
+    cancelComposite() {
+        if (this.compositeFrame) {
+            cancelAnimationFrame(this.compositeFrame);
+            this.compositeFrame = null;
+        }
+    }
+
+    /**
+     * Convert layer pixels to a pure binary mask (pixels at least half covered become white)
+     * @param {ImageData} layerData - Layer pixels
+     * @returns {ImageData} White-on-black mask
+     */
+    toBinaryMask(layerData) {
+        const imageData = new ImageData(layerData.width, layerData.height);
+        const source = layerData.data;
+        const data = imageData.data;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const value = source[i + 3] >= this.selectionThreshold ? 255 : 0;
+            data[i] = value;     // R
+            data[i + 1] = value; // G
+            data[i + 2] = value; // B
+            data[i + 3] = 255;   // A
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Convert layer pixels to an 8-bit matte (layer alpha as gray level)
+     * @param {ImageData} layerData - Layer pixels
+     * @returns {ImageData} White-on-black soft mask
+     */
+    toMatte(layerData) {
+        const imageData = new ImageData(layerData.width, layerData.height);
+        const source = layerData.data;
+        const data = imageData.data;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const value = source[i + 3];
+            data[i] = value;
+            data[i + 1] = value;
+            data[i + 2] = value;
+            data[i + 3] = 255;
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Get a layer's coverage (its alpha channel)
+     * @returns {Uint8Array} One value per pixel
+     */
+    readAlpha(id) {
+        const layer = this.getLayer(id);
+        const data = layer.ctx.getImageData(0, 0, this.width, this.height).data;
+        const alpha = new Uint8Array(this.width * this.height);
+        for (let i = 0; i < alpha.length; i++) {
+            alpha[i] = data[i * 4 + 3];
+        }
+        return alpha;
+    }
+
+    /**
+     * Replace a rectangle of a layer with mask pixels of the given coverage
+     * @param {Uint8Array} alpha - Coverage values of the rectangle
+     * @param {Object} rect - { x, y, width, height }, the whole layer by default
+     */
+    writeAlpha(id, alpha, rect = { x: 0, y: 0, width: this.width, height: this.height }) {
+        const layer = this.getLayer(id);
+        const region = layer.ctx.createImageData(rect.width, rect.height);
+        const data = region.data;
+        for (let i = 0; i < alpha.length; i++) {
+            if (alpha[i]) {
+                data[i * 4 + 1] = 180;
+                data[i * 4 + 2] = 20;
+                data[i * 4 + 3] = alpha[i];
+            }
+        }
+        layer.ctx.putImageData(region, rect.x, rect.y);
+    }
+
+    /**
+     * Get one layer as a binary mask
+     */
+    getLayerMask(id) {
+        const layer = this.getLayer(id);
+        return this.toBinaryMask(layer.ctx.getImageData(0, 0, this.width, this.height));
+    }
+
+    /**
+     * Get one layer as an 8-bit matte
+     */
+    getLayerMatte(id) {
+        const layer = this.getLayer(id);
+        return this.toMatte(layer.ctx.getImageData(0, 0, this.width, this.height));
+    }
+
+    /**
+     * Build an indexed label map: pixel value is the 1-based layer index, 0 is unlabeled.
+     * Where layers overlap, the layer listed last wins.
+     * @returns {ImageData} Grayscale label map
+     */
+    createLabelMap() {
+        const labelMap = new ImageData(this.width, this.height);
+        const labels = labelMap.data;
+
+        this.layers.forEach((layer, index) => {
+            const data = layer.ctx.getImageData(0, 0, this.width, this.height).data;
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] >= this.selectionThreshold) {
+                    labels[i] = index + 1;
+                }
+            }
+        });
+
+        for (let i = 0; i < labels.length; i += 4) {
+            labels[i + 1] = labels[i];
+            labels[i + 2] = labels[i];
+            labels[i + 3] = 255;
+        }
+        return labelMap;
+    }
+
+    /**
+     * Dispose of layer canvases
+     */
+    dispose() {
+        this.cancelComposite();
+        this.layers.forEach(layer => {
+            layer.canvas.width = 0;
+            layer.canvas.height = 0;
+        });
+        this.layers = [];
+    }
+}
+
+// Export as global for use in other modules
+window.LayerManager = LayerManager;
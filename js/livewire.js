@@ -0,0 +1,200 @@
+// js/livewire.js - Live-wire (intelligent scissors) shortest paths along image edges
+
+class LiveWire {
+    /**
+     * @param {Uint8ClampedArray} pixels - RGBA image pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     */
+    constructor(pixels, width, height) {
+        this.width = width;
+        this.height = height;
+
+        // Paths are searched within this distance of the last anchor (keeps each search fast)
+        this.searchRadius = 300;
+
+        this.cost = this._computeCost(pixels);
+        this.seed = null;
+        this.window = null;
+        this.parent = null;
+    }
+
+    /**
+     * Per-pixel cost: low on strong edges, high in flat areas
+     * @private
+     */
+    _computeCost(pixels) {
+        const { width, height } = this;
+        const luminance = new Float32Array(width * height);
+        for (let i = 0; i < luminance.length; i++) {
+            const p = i * 4;
+            luminance[i] = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+        }
+
+        // Sobel gradient magnitude (border pixels are clamped)
+        const at = (x, y) => luminance[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+        const gradient = new Float32Array(width * height);
+        let maxGradient = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1)
+                    - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+                const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1)
+                    - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+                const magnitude = Math.sqrt(gx * gx + gy * gy);
+                gradient[y * width + x] = magnitude;
+                if (magnitude > maxGradient) maxGradient = magnitude;
+            }
+        }
+
+        // A small floor keeps paths short where there is no edge to follow
+        const cost = new Float32Array(width * height);
+        for (let i = 0; i < cost.length; i++) {
+            cost[i] = 0.05 + 0.95 * (1 - (maxGradient > 0 ? gradient[i] / maxGradient : 0));
+        }
+        return cost;
+    }
+
+    /**
+     * Compute the shortest paths from an anchor to every pixel around it
+     * @param {Object} point - Anchor in canvas pixels
+     */
+    setSeed(point) {
+        const seedX = Math.min(this.width - 1, Math.max(0, Math.floor(point.x)));
+        const seedY = Math.min(this.height - 1, Math.max(0, Math.floor(point.y)));
+        const x0 = Math.max(0, seedX - this.searchRadius);
+        const y0 = Math.max(0, seedY - this.searchRadius);
+        const windowWidth = Math.min(this.width, seedX + this.searchRadius + 1) - x0;
+        const windowHeight = Math.min(this.height, seedY + this.searchRadius + 1) - y0;
+        const size = windowWidth * windowHeight;
+
+        const distance = new Float32Array(size).fill(Infinity);
+        const parent = new Int32Array(size).fill(-1);
+        const done = new Uint8Array(size);
+        const heap = new LiveWireHeap();
+
+        const start = (seedY - y0) * windowWidth + (seedX - x0);
+        distance[start] = 0;
+        heap.push(start, 0);
+
+        // Dijkstra over 8-connected neighbors; a step costs the target pixel's cost times its length
+        while (heap.size > 0) {
+            const node = heap.pop();
+            if (done[node]) continue;
+            done[node] = 1;
+
+            const x = node % windowWidth;
+            const y = (node - x) / windowWidth;
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= windowHeight) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    if ((dx === 0 && dy === 0) || nx < 0 || nx >= windowWidth) continue;
+
+                    const neighbor = ny * windowWidth + nx;
+                    if (done[neighbor]) continue;
+
+                    const step = dx !== 0 && dy !== 0 ? Math.SQRT2 : 1;
+                    const candidate = distance[node] + this.cost[(ny + y0) * this.width + nx + x0] * step;
+                    if (candidate < distance[neighbor]) {
+                        distance[neighbor] = candidate;
+                        parent[neighbor] = node;
+                        heap.push(neighbor, candidate);
+                    }
+                }
+            }
+        }
+
+        this.seed = { x: seedX, y: seedY };
+        this.window = { x: x0, y: y0, width: windowWidth, height: windowHeight };
+        this.parent = parent;
+    }
+
+    /**
+     * Shortest path from the anchor to a point, following edges
+     * @param {Object} point - Target in canvas pixels
+     * @returns {Array<Object>|null} Pixel-center points from anchor to target, or null
+     *   when the target is outside the search area
+     */
+    pathTo(point) {
+        if (!this.window) return null;
+
+        const { x: x0, y: y0, width: windowWidth, height: windowHeight } = this.window;
+        const x = Math.floor(point.x) - x0;
+        const y = Math.floor(point.y) - y0;
+        if (x < 0 || y < 0 || x >= windowWidth || y >= windowHeight) return null;
+
+        const path = [];
+        const start = (this.seed.y - y0) * windowWidth + (this.seed.x - x0);
+        let node = y * windowWidth + x;
+        while (node !== -1) {
+            const nx = node % windowWidth;
+            path.push({ x: nx + x0 + 0.5, y: (node - nx) / windowWidth + y0 + 0.5 });
+            if (node === start) break;
+            node = this.parent[node];
+        }
+
+        return path.reverse();
+    }
+}
+
+/**
+ * Binary min-heap of node indices keyed by path cost
+ * @private
+ */
+class LiveWireHeap {
+    constructor() {
+        this.nodes = [];
+        this.keys = [];
+    }
+
+    get size() {
+        return this.nodes.length;
+    }
+
+    push(node, key) {
+        const nodes = this.nodes;
+        const keys = this.keys;
+        let i = nodes.length;
+        nodes.push(node);
+        keys.push(key);
+
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (keys[parent] <= key) break;
+            nodes[i] = nodes[parent];
+            keys[i] = keys[parent];
+            i = parent;
+        }
+        nodes[i] = node;
+        keys[i] = key;
+    }
+
+    pop() {
+        const nodes = this.nodes;
+        const keys = this.keys;
+        const top = nodes[0];
+        const lastNode = nodes.pop();
+        const lastKey = keys.pop();
+        const length = nodes.length;
+        if (length === 0) return top;
+
+        let i = 0;
+        while (true) {
+            let child = 2 * i + 1;
+            if (child >= length) break;
+            if (child + 1 < length && keys[child + 1] < keys[child]) child++;
+            if (keys[child] >= lastKey) break;
+            nodes[i] = nodes[child];
+            keys[i] = keys[child];
+            i = child;
+        }
+        nodes[i] = lastNode;
+        keys[i] = lastKey;
+        return top;
+    }
+}
+
+// Export as global for use in other modules
+window.LiveWire = LiveWire;
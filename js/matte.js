@@ -0,0 +1,336 @@
+// js/matte.js - Filters for soft (8-bit) masks: feathering and edge-aware matting
+
+class MatteFilters {
+    constructor() {
+        this.morphology = new MaskMorphology();
+
+        // Guided filtering runs on a downscaled copy of larger edge regions
+        this.maxFilterPixels = 1000000;
+    }
+
+    /**
+     * Feather a white-on-black mask by blurring its edges
+     * @param {ImageData} mask - Mask with coverage in the R channel
+     * @param {number} radius - Blur radius in pixels (0 returns the mask unchanged)
+     * @returns {ImageData} Soft white-on-black mask
+     */
+    featherMask(mask, radius) {
+        if (!radius || radius <= 0) return mask;
+
+        const { width, height } = mask;
+        const alpha = new Uint8ClampedArray(width * height);
+        for (let i = 0; i < alpha.length; i++) {
+            alpha[i] = mask.data[i * 4];
+        }
+
+        return this.alphaToMask(this.blurAlpha(alpha, width, height, radius), width, height);
+    }
+
+    /**
+     * Refine a mask's edges against the image with a color guided filter (He et al.).
+     * A band around the mask edge is left unknown and gets soft alpha that follows
+     * image edges such as hair and fur; pixels outside the band stay fully in or out.
+     * @param {ImageData} image - Image pixels at mask size
+     * @param {ImageData} mask - White-on-black mask; gray levels seed the unknown band
+     * @param {Object} options - { band: half-width of the unknown band in px,
+     *   radius: filter window radius in px, epsilon: smoothness (higher is smoother) }
+     * @returns {ImageData} Soft white-on-black mask
+     */
+    refineEdges(image, mask, options = {}) {
+        const { width, height } = mask;
+        const band = options.band || Math.max(4, Math.round(Math.hypot(width, height) * 0.006));
+        const radius = options.radius || band * 2;
+        const epsilon = options.epsilon || 1e-4;
+
+        const trimap = this.createTrimap(mask, band);
+
+        // Only the area around the unknown band needs filtering
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (trimap[y * width + x] === 128) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+        if (maxX < 0) return mask;
+
+        const rect = {
+            x: Math.max(0, minX - radius),
+            y: Math.max(0, minY - radius),
+            width: Math.min(width, maxX + radius + 1) - Math.max(0, minX - radius),
+            height: Math.min(height, maxY + radius + 1) - Math.max(0, minY - radius)
+        };
+        const filtered = this._guidedFilter(image, mask, trimap, rect, band, radius, epsilon);
+
+        const alpha = new Uint8ClampedArray(width * height);
+        for (let i = 0; i < alpha.length; i++) {
+            alpha[i] = trimap[i] === 255 ? 255 : 0;
+        }
+        for (let y = 0; y < rect.height; y++) {
+            for (let x = 0; x < rect.width; x++) {
+                const index = (y + rect.y) * width + x + rect.x;
+                if (trimap[index] === 128) {
+                    alpha[index] = Math.round(filtered[y * rect.width + x] * 255);
+                }
+            }
+        }
+
+        return this.alphaToMask(alpha, width, height);
+    }
+
+    /**
+     * Split a mask into sure foreground, sure background and an unknown band along the edge
+     * @param {ImageData} mask - White-on-black mask
+     * @param {number} band - Half-width of the unknown band in pixels
+     * @returns {Uint8Array} 255 foreground, 0 background, 128 unknown
+     */
+    createTrimap(mask, band) {
+        const { width, height } = mask;
+        const foreground = this.morphology.maskToBits(mask);
+        const background = new Uint8Array(width * height);
+        for (let i = 0; i < background.length; i++) {
+            background[i] = 1 - foreground[i];
+        }
+
+        const toForeground = this.morphology.distanceTransform(foreground, width, height);
+        const toBackground = this.morphology.distanceTransform(background, width, height);
+
+        const trimap = new Uint8Array(width * height);
+        for (let i = 0; i < trimap.length; i++) {
+            const distance = foreground[i] ? toBackground[i] : toForeground[i];
+            if (distance <= band) {
+                trimap[i] = 128;
+            } else {
+                trimap[i] = foreground[i] ? 255 : 0;
+            }
+        }
+        return trimap;
+    }
+
+    /**
+     * Color guided filter inside a rectangle (fast variant: the linear coefficients are
+     * solved at reduced resolution and applied at full resolution). Unknown pixels start
+     * from their color's position between the nearby known foreground and background colors.
+     * @private
+     * @returns {Float32Array} Filtered alpha in [0, 1] for the rectangle
+     */
+    _guidedFilter(image, mask, trimap, rect, band, radius, epsilon) {
+        const scale = Math.max(1, Math.ceil(Math.sqrt(rect.width * rect.height / this.maxFilterPixels)));
+        const w = Math.ceil(rect.width / scale);
+        const h = Math.ceil(rect.height / scale);
+        const r = Math.max(1, Math.round(radius / scale));
+        const size = w * h;
+
+        // Downscaled guide (RGB in [0, 1]), mask and share of known pixels
+        const red = new Float32Array(size);
+        const green = new Float32Array(size);
+        const blue = new Float32Array(size);
+        const input = new Float32Array(size);
+        const known = new Float32Array(size);
+        const foreground = new Float32Array(size);
+        const background = new Float32Array(size);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                let sr = 0, sg = 0, sb = 0, sp = 0, fg = 0, bg = 0, count = 0;
+                for (let sy = y * scale; sy < Math.min(rect.height, (y + 1) * scale); sy++) {
+                    for (let sx = x * scale; sx < Math.min(rect.width, (x + 1) * scale); sx++) {
+                        const pixel = (sy + rect.y) * image.width + sx + rect.x;
+                        const i = pixel * 4;
+                        sr += image.data[i];
+                        sg += image.data[i + 1];
+                        sb += image.data[i + 2];
+                        sp += mask.data[i];
+                        if (trimap[pixel] === 255) fg++;
+                        if (trimap[pixel] === 0) bg++;
+                        count++;
+                    }
+                }
+                const index = y * w + x;
+                red[index] = sr / count / 255;
+                green[index] = sg / count / 255;
+                blue[index] = sb / count / 255;
+                input[index] = sp / count / 255;
+                foreground[index] = fg / count;
+                background[index] = bg / count;
+                known[index] = (fg + bg) / count;
+            }
+        }
+
+        const mean = (values) => this._boxMean(values, w, h, r);
+        const product = (a, b) => a.map((value, i) => value * b[i]);
+
+        // Average known foreground and background colors around each pixel; the window
+        // reaches across the band (unknown pixels are at most 2 * band from either side)
+        const sampleRadius = Math.max(r, Math.ceil(2 * band / scale) + 1);
+        const sample = (values) => this._boxMean(values, w, h, sampleRadius);
+        const fgShare = sample(foreground), bgShare = sample(background);
+        const fgR = sample(product(foreground, red)), fgG = sample(product(foreground, green)), fgB = sample(product(foreground, blue));
+        const bgR = sample(product(background, red)), bgG = sample(product(background, green)), bgB = sample(product(background, blue));
+        for (let i = 0; i < size; i++) {
+            if (known[i] === 1 || fgShare[i] === 0 || bgShare[i] === 0) continue;
+
+            const dR = fgR[i] / fgShare[i] - bgR[i] / bgShare[i];
+            const dG = fgG[i] / fgShare[i] - bgG[i] / bgShare[i];
+            const dB = fgB[i] / fgShare[i] - bgB[i] / bgShare[i];
+            const distanceSq = dR * dR + dG * dG + dB * dB;
+            if (distanceSq < 1e-3) continue; // Foreground and background look alike: keep the mask
+
+            const estimate = ((red[i] - bgR[i] / bgShare[i]) * dR
+                + (green[i] - bgG[i] / bgShare[i]) * dG
+                + (blue[i] - bgB[i] / bgShare[i]) * dB) / distanceSq;
+            input[i] = foreground[i] + (1 - known[i]) * Math.max(0, Math.min(1, estimate));
+        }
+
+        const meanR = mean(red), meanG = mean(green), meanB = mean(blue), meanP = mean(input);
+        const meanRR = mean(product(red, red)), meanRG = mean(product(red, green)), meanRB = mean(product(red, blue));
+        const meanGG = mean(product(green, green)), meanGB = mean(product(green, blue)), meanBB = mean(product(blue, blue));
+        const meanRP = mean(product(red, input)), meanGP = mean(product(green, input)), meanBP = mean(product(blue, input));
+
+        // Per window: alpha ~ a . color + b, solved with a regularized 3x3 covariance
+        const aR = new Float32Array(size);
+        const aG = new Float32Array(size);
+        const aB = new Float32Array(size);
+        const b = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            const covR = meanRP[i] - meanR[i] * meanP[i];
+            const covG = meanGP[i] - meanG[i] * meanP[i];
+            const covB = meanBP[i] - meanB[i] * meanP[i];
+
+            const rr = meanRR[i] - meanR[i] * meanR[i] + epsilon;
+            const rg = meanRG[i] - meanR[i] * meanG[i];
+            const rb = meanRB[i] - meanR[i] * meanB[i];
+            const gg = meanGG[i] - meanG[i] * meanG[i] + epsilon;
+            const gb = meanGB[i] - meanG[i] * meanB[i];
+            const bb = meanBB[i] - meanB[i] * meanB[i] + epsilon;
+
+            // Inverse of the symmetric covariance via cofactors
+            const i00 = gg * bb - gb * gb;
+            const i01 = rb * gb - rg * bb;
+            const i02 = rg * gb - rb * gg;
+            const i11 = rr * bb - rb * rb;
+            const i12 = rg * rb - rr * gb;
+            const i22 = rr * gg - rg * rg;
+            const det = rr * i00 + rg * i01 + rb * i02;
+
+            aR[i] = (i00 * covR + i01 * covG + i02 * covB) / det;
+            aG[i] = (i01 * covR + i11 * covG + i12 * covB) / det;
+            aB[i] = (i02 * covR + i12 * covG + i22 * covB) / det;
+            b[i] = meanP[i] - aR[i] * meanR[i] - aG[i] * meanG[i] - aB[i] * meanB[i];
+        }
+
+        const meanAR = mean(aR), meanAG = mean(aG), meanAB = mean(aB), meanBias = mean(b);
+
+        // Bilinearly upsample the coefficients and apply them to the full-resolution colors
+        const output = new Float32Array(rect.width * rect.height);
+        for (let y = 0; y < rect.height; y++) {
+            const fy = Math.max(0, Math.min(h - 1, (y + 0.5) / scale - 0.5));
+            const y0 = Math.floor(fy);
+            const y1 = Math.min(h - 1, y0 + 1);
+            const ty = fy - y0;
+
+            for (let x = 0; x < rect.width; x++) {
+                const fx = Math.max(0, Math.min(w - 1, (x + 0.5) / scale - 0.5));
+                const x0 = Math.floor(fx);
+                const x1 = Math.min(w - 1, x0 + 1);
+                const tx = fx - x0;
+
+                const interpolate = (values) => {
+                    const top = values[y0 * w + x0] * (1 - tx) + values[y0 * w + x1] * tx;
+                    const bottom = values[y1 * w + x0] * (1 - tx) + values[y1 * w + x1] * tx;
+                    return top * (1 - ty) + bottom * ty;
+                };
+
+                const i = ((y + rect.y) * image.width + x + rect.x) * 4;
+                const value = interpolate(meanAR) * image.data[i] / 255
+                    + interpolate(meanAG) * image.data[i + 1] / 255
+                    + interpolate(meanAB) * image.data[i + 2] / 255
+                    + interpolate(meanBias);
+                output[y * rect.width + x] = Math.max(0, Math.min(1, value));
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Mean over a (2r+1)x(2r+1) window
+     * @private
+     */
+    _boxMean(values, width, height, radius) {
+        const buffer = new Float32Array(values.length);
+        const output = new Float32Array(values.length);
+        this._boxBlurLines(values, buffer, width, height, radius, true);
+        this._boxBlurLines(buffer, output, width, height, radius, false);
+        return output;
+    }
+
+    /**
+     * Expand one byte per pixel to a white-on-black mask
+     * @param {Uint8ClampedArray} alpha - Coverage, one byte per pixel
+     * @returns {ImageData} Grayscale mask
+     */
+    alphaToMask(alpha, width, height) {
+        const mask = new ImageData(width, height);
+        for (let i = 0; i < alpha.length; i++) {
+            const index = i * 4;
+            mask.data[index] = alpha[i];
+            mask.data[index + 1] = alpha[i];
+            mask.data[index + 2] = alpha[i];
+            mask.data[index + 3] = 255;
+        }
+        return mask;
+    }
+
+    /**
+     * Approximate a Gaussian blur of an alpha channel with three box blurs
+     * @param {Uint8ClampedArray} alpha - One byte per pixel
+     * @param {number} radius - Blur radius in pixels
+     * @returns {Uint8ClampedArray} Blurred alpha
+     */
+    blurAlpha(alpha, width, height, radius) {
+        // Box size for three passes matching a Gaussian with sigma = radius / 2
+        const sigma = radius / 2;
+        const boxRadius = Math.max(1, Math.round((Math.sqrt(4 * sigma * sigma + 1) - 1) / 2));
+
+        const current = Float32Array.from(alpha);
+        const buffer = new Float32Array(alpha.length);
+        for (let pass = 0; pass < 3; pass++) {
+            this._boxBlurLines(current, buffer, width, height, boxRadius, true);
+            this._boxBlurLines(buffer, current, width, height, boxRadius, false);
+        }
+
+        return Uint8ClampedArray.from(current);
+    }
+
+    /**
+     * Running-sum box blur along rows (horizontal) or columns, clamping at the edges
+     * @private
+     */
+    _boxBlurLines(source, target, width, height, radius, horizontal) {
+        const lines = horizontal ? height : width;
+        const length = horizontal ? width : height;
+        const step = horizontal ? 1 : width;
+        const size = radius * 2 + 1;
+
+        for (let line = 0; line < lines; line++) {
+            const start = horizontal ? line * width : line;
+            const at = (i) => source[start + Math.max(0, Math.min(length - 1, i)) * step];
+
+            let sum = 0;
+            for (let i = -radius; i <= radius; i++) {
+                sum += at(i);
+            }
+            for (let i = 0; i < length; i++) {
+                target[start + i * step] = sum / size;
+                sum += at(i + radius + 1) - at(i - radius);
+            }
+        }
+    }
+}
+
+// Export as global for use in other modules
+window.MatteFilters = MatteFilters;
@@ -0,0 +1,383 @@
+// js/models.js - Model registry and pluggable segmentation backends
+
+/**
+ * Build a Pascal-style colormap (bit-interleaved RGB) for any number of classes
+ * @param {number} count - Number of classes
+ * @returns {Array<Array<number>>} RGB triplets indexed by class
+ */
+function createDefaultColormap(count) {
+    const colormap = [];
+    for (let i = 0; i < count; i++) {
+        let r = 0, g = 0, b = 0;
+        let c = i;
+        for (let shift = 7; shift >= 0 && c > 0; shift--) {
+            r |= ((c >> 0) & 1) << shift;
+            g |= ((c >> 1) & 1) << shift;
+            b |= ((c >> 2) & 1) << shift;
+            c >>= 3;
+        }
+        colormap.push([r, g, b]);
+    }
+    return colormap;
+}
+
+/**
+ * Base class for segmentation backends.
+ * A backend owns its model and declares the label map, input size and colors it produces.
+ */
+class SegmentationBackend {
+    constructor(config) {
+        this.config = config;
+        this.id = config.id;
+        this.name = config.name || config.id;
+        this.type = config.type;
+        this.labels = config.labels || [];
+        this.colormap = config.colormap || createDefaultColormap(this.labels.length);
+        this.inputSize = config.inputSize || 513;
+        // Class treated as "nothing selected" by AI click (null when every class is selectable)
+        this.backgroundClass = config.backgroundClass !== undefined ? config.backgroundClass : 0;
+        this.model = null;
+    }
+
+    /**
+     * Load the underlying model
+     * @returns {Promise<Object>} Loaded model
+     */
+    async load() {
+        throw new Error(`Backend "${this.id}" does not implement load()`);
+    }
+
+    /**
+     * Run the model and return a class-index map at model resolution
+     * @param {tf.Tensor3D} imageTensor - RGB image tensor [height, width, 3]
+     * @returns {Promise<Object>} { segmentationMap: Uint8Array, width, height }
+     */
+    async predict(imageTensor) {
+        throw new Error(`Backend "${this.id}" does not implement predict()`);
+    }
+
+    get isLoaded() {
+        return this.model !== null;
+    }
+
+    /**
+     * Get the label for a class index
+     */
+    getLabel(classIndex) {
+        return this.labels[classIndex] || `class ${classIndex}`;
+    }
+
+    /**
+     * Get the RGB color for a class index
+     */
+    getColor(classIndex) {
+        return this.colormap[classIndex] || [255, 255, 255];
+    }
+
+    /**
+     * Build a { label: [r, g, b] } legend for the classes present in a class map
+     */
+    getLegend(segmentationMap) {
+        const present = new Set(segmentationMap);
+        const legend = {};
+        Array.from(present).sort((a, b) => a - b).forEach(classIndex => {
+            legend[this.getLabel(classIndex)] = this.getColor(classIndex);
+        });
+        return legend;
+    }
+
+    /**
+     * Convert a class-index tensor to a plain result object and dispose it
+     * @protected
+     */
+    async _tensorToClassMap(classTensor) {
+        const [height, width] = classTensor.shape;
+        const values = await classTensor.data();
+        classTensor.dispose();
+        return {
+            segmentationMap: Uint8Array.from(values),
+            width: width,
+            height: height
+        };
+    }
+
+    /**
+     * Get a structured-cloneable config to recreate this backend (e.g. inside the worker)
+     */
+    getConfig() {
+        return {
+            ...this.config,
+            id: this.id,
+            name: this.name,
+            type: this.type
+        };
+    }
+
+    /**
+     * Update declared labels and sizes from another copy of this backend
+     * @param {Object} info - Result of getInfo()
+     */
+    applyInfo(info) {
+        this.labels = info.labels;
+        this.colormap = info.colormap;
+        this.inputSize = info.inputSize;
+        this.backgroundClass = info.backgroundClass;
+    }
+
+    /**
+     * Get backend metadata
+     */
+    getInfo() {
+        return {
+            id: this.id,
+            name: this.name,
+            type: this.type,
+            inputSize: this.inputSize,
+            labels: this.labels,
+            colormap: this.colormap,
+            backgroundClass: this.backgroundClass
+        };
+    }
+
+    dispose() {
+        if (this.model && typeof this.model.dispose === 'function') {
+            this.model.dispose();
+        }
+        this.model = null;
+    }
+}
+
+/**
+ * DeepLab v3 backend from @tensorflow-models/deeplab (pascal, cityscapes or ade20k base)
+ */
+class DeepLabBackend extends SegmentationBackend {
+    constructor(config) {
+        super({
+            labels: deeplab.getLabels(config.base),
+            colormap: deeplab.getColormap(config.base),
+            inputSize: 513,
+            ...config,
+            type: 'deeplab'
+        });
+        this.base = config.base;
+        this.quantizationBytes = config.quantizationBytes || 2;
+    }
+
+    async load() {
+        this.model = await deeplab.load({
+            base: this.base,
+            quantizationBytes: this.quantizationBytes
+        });
+        return this.model;
+    }
+
+    async predict(imageTensor) {
+        // predict() resizes the input so the longest side matches the crop size
+        // and returns raw class indices (segment() would return a colored map)
+        const classTensor = this.model.predict(imageTensor);
+        return this._tensorToClassMap(classTensor);
+    }
+}
+
+/**
+ * Backend for a local TF.js graph model loaded from a URL or a selected folder.
+ * Optional metadata.json next to model.json may declare labels, colormap,
+ * inputSize, backgroundClass and normalization.
+ */
+class GraphModelBackend extends SegmentationBackend {
+    constructor(config) {
+        super({ ...config, type: 'graph' });
+        this.modelUrl = config.modelUrl || null;
+        this.files = config.files || null;
+        // 'none' feeds 0-255 pixels, 'unit' scales to 0-1, 'symmetric' scales to -1..1
+        this.normalization = config.normalization || 'none';
+        this.hasCustomColormap = Boolean(config.colormap);
+    }
+
+    async load() {
+        let metadata = null;
+        let modelSource = this.modelUrl;
+
+        if (this.files) {
+            const files = Array.from(this.files);
+            const modelJson = files.find(file => file.name === 'model.json');
+            if (!modelJson) {
+                throw new Error('Selected folder does not contain a model.json file');
+            }
+            const weightFiles = files.filter(file => file.name.endsWith('.bin'));
+            const metadataFile = files.find(file => file.name === 'metadata.json');
+            if (metadataFile) {
+                metadata = JSON.parse(await metadataFile.text());
+            }
+            modelSource = tf.io.browserFiles([modelJson, ...weightFiles]);
+        } else if (this.modelUrl) {
+            metadata = await this._fetchMetadata(this.modelUrl);
+        } else {
+            throw new Error('Graph model backend needs a model URL or folder');
+        }
+
+        if (metadata) {
+            this._applyMetadata(metadata);
+        }
+
+        this.model = await tf.loadGraphModel(modelSource);
+        return this.model;
+    }
+
+    /**
+     * Try to load metadata.json from the same directory as model.json
+     * @private
+     */
+    async _fetchMetadata(modelUrl) {
+        try {
+            const metadataUrl = new URL('metadata.json', new URL(modelUrl, self.location.href)).href;
+            const response = await fetch(metadataUrl);
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            console.warn('No metadata.json found for custom model:', error);
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _applyMetadata(metadata) {
+        if (Array.isArray(metadata.labels)) {
+            this.labels = metadata.labels;
+        }
+        if (Array.isArray(metadata.colormap)) {
+            this.colormap = metadata.colormap;
+            this.hasCustomColormap = true;
+        } else if (!this.hasCustomColormap) {
+            this.colormap = createDefaultColormap(this.labels.length);
+        }
+        if (metadata.inputSize) {
+            this.inputSize = metadata.inputSize;
+        }
+        if (metadata.backgroundClass !== undefined) {
+            this.backgroundClass = metadata.backgroundClass;
+        }
+        if (metadata.normalization) {
+            this.normalization = metadata.normalization;
+        }
+    }
+
+    async predict(imageTensor) {
+        const inputDtype = this.model.inputs[0].dtype;
+        const classTensor = tf.tidy(() => {
+            let input = tf.image.resizeBilinear(imageTensor, [this.inputSize, this.inputSize]);
+            if (this.normalization === 'unit') {
+                input = input.div(255);
+            } else if (this.normalization === 'symmetric') {
+                input = input.div(127.5).sub(1);
+            }
+            input = input.expandDims(0).cast(inputDtype === 'int32' ? 'int32' : 'float32');
+
+            let output = this.model.predict(input);
+            if (Array.isArray(output)) {
+                output = output[0];
+            }
+
+            // Logits [1, h, w, classes] -> argmax, class ids [1, h, w] -> squeeze
+            if (output.rank === 4 && output.shape[3] > 1) {
+                return output.argMax(-1).squeeze([0]);
+            }
+            return output.reshape([output.shape[1], output.shape[2]]).round().cast('int32');
+        });
+
+        return this._tensorToClassMap(classTensor);
+    }
+}
+
+/**
+ * Registry of available segmentation backends
+ */
+class ModelRegistry {
+    constructor() {
+        this.backends = new Map();
+        this.customCount = 0;
+
+        this.register({ id: 'pascal', name: 'Pascal VOC (objects)', type: 'deeplab', base: 'pascal' });
+        this.register({ id: 'cityscapes', name: 'Cityscapes (street scenes)', type: 'deeplab', base: 'cityscapes', backgroundClass: null });
+        this.register({ id: 'ade20k', name: 'ADE20K (indoor & products)', type: 'deeplab', base: 'ade20k' });
+    }
+
+    /**
+     * Register a backend from a config object
+     * @param {Object} config - { id, name, type: 'deeplab' | 'graph', ... }
+     * @returns {SegmentationBackend} Registered backend
+     */
+    register(config) {
+        let backend;
+        switch (config.type) {
+            case 'deeplab':
+                backend = new DeepLabBackend(config);
+                break;
+            case 'graph':
+                backend = new GraphModelBackend(config);
+                break;
+            default:
+                throw new Error(`Unknown model backend type: ${config.type}`);
+        }
+
+        this.backends.set(backend.id, backend);
+        return backend;
+    }
+
+    /**
+     * Register a custom TF.js graph model from a URL or folder of files
+     * @returns {SegmentationBackend} Registered backend
+     */
+    registerCustomModel(config) {
+        this.customCount++;
+        return this.register({
+            id: `custom-${this.customCount}`,
+            name: config.name || `Custom model ${this.customCount}`,
+            backgroundClass: null,
+            ...config,
+            // Resolve against the page so the worker loads the same URL
+            modelUrl: config.modelUrl ? new URL(config.modelUrl, self.location.href).href : undefined,
+            type: 'graph'
+        });
+    }
+
+    /**
+     * Remove a backend from the registry (e.g. a custom model that failed to load)
+     */
+    unregister(id) {
+        const backend = this.backends.get(id);
+        if (backend) {
+            backend.dispose();
+            this.backends.delete(id);
+        }
+    }
+
+    get(id) {
+        const backend = this.backends.get(id);
+        if (!backend) {
+            throw new Error(`Unknown segmentation model: ${id}`);
+        }
+        return backend;
+    }
+
+    has(id) {
+        return this.backends.has(id);
+    }
+
+    /**
+     * List registered backends
+     * @returns {Array<Object>} { id, name, type } entries
+     */
+    list() {
+        return Array.from(this.backends.values()).map(backend => ({
+            id: backend.id,
+            name: backend.name,
+            type: backend.type
+        }));
+    }
+}
+
+// Export as global for use in other modules (self is window on the page, the worker scope in the worker)
+self.ModelRegistry = ModelRegistry;
+self.SegmentationBackend = SegmentationBackend;
@@ -0,0 +1,232 @@
+// js/morphology.js - Distance transforms and morphology on binary masks
+
+class MaskMorphology {
+    /**
+     * Exact Euclidean distance from every pixel to the nearest set pixel
+     * (Felzenszwalb & Huttenlocher, separable in rows and columns)
+     * @param {Uint8Array} bits - 1 for set pixels, row-major
+     * @returns {Float32Array} Distance in pixels (Infinity when no pixel is set)
+     */
+    distanceTransform(bits, width, height) {
+        const size = Math.max(width, height);
+        const grid = new Float32Array(width * height);
+        for (let i = 0; i < grid.length; i++) {
+            grid[i] = bits[i] ? 0 : Infinity;
+        }
+
+        // Scratch buffers shared by all lines
+        const f = new Float32Array(size);
+        const d = new Float32Array(size);
+        const v = new Int32Array(size);
+        const z = new Float32Array(size + 1);
+
+        // Columns, then rows (squared distances)
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) f[y] = grid[y * width + x];
+            this._distance1D(f, height, d, v, z);
+            for (let y = 0; y < height; y++) grid[y * width + x] = d[y];
+        }
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) f[x] = grid[row + x];
+            this._distance1D(f, width, d, v, z);
+            for (let x = 0; x < width; x++) grid[row + x] = Math.sqrt(d[x]);
+        }
+
+        return grid;
+    }
+
+    /**
+     * Threshold a white-on-black mask (pixels at least half covered are set)
+     * @returns {Uint8Array} 1 for set pixels, row-major
+     */
+    maskToBits(mask) {
+        const bits = new Uint8Array(mask.width * mask.height);
+        for (let i = 0; i < bits.length; i++) {
+            bits[i] = mask.data[i * 4] >= 128 ? 1 : 0;
+        }
+        return bits;
+    }
+
+    /**
+     * Expand bits to a white-on-black mask
+     * @returns {ImageData} Binary mask
+     */
+    bitsToMask(bits, width, height) {
+        const mask = new ImageData(width, height);
+        for (let i = 0; i < bits.length; i++) {
+            const value = bits[i] ? 255 : 0;
+            const index = i * 4;
+            mask.data[index] = value;
+            mask.data[index + 1] = value;
+            mask.data[index + 2] = value;
+            mask.data[index + 3] = 255;
+        }
+        return mask;
+    }
+
+    /**
+     * Dilate: add every pixel within radius of the mask
+     */
+    grow(bits, width, height, radius) {
+        const distance = this.distanceTransform(bits, width, height);
+        const result = new Uint8Array(bits.length);
+        for (let i = 0; i < result.length; i++) {
+            result[i] = distance[i] <= radius ? 1 : 0;
+        }
+        return result;
+    }
+
+    /**
+     * Erode: drop every pixel within radius of the background
+     */
+    shrink(bits, width, height, radius) {
+        const inverse = new Uint8Array(bits.length);
+        for (let i = 0; i < inverse.length; i++) {
+            inverse[i] = 1 - bits[i];
+        }
+
+        const distance = this.distanceTransform(inverse, width, height);
+        const result = new Uint8Array(bits.length);
+        for (let i = 0; i < result.length; i++) {
+            result[i] = distance[i] > radius ? 1 : 0;
+        }
+        return result;
+    }
+
+    /**
+     * Shrink then grow: removes specks and thin protrusions narrower than 2 * radius
+     */
+    open(bits, width, height, radius) {
+        return this.grow(this.shrink(bits, width, height, radius), width, height, radius);
+    }
+
+    /**
+     * Grow then shrink: closes gaps and notches narrower than 2 * radius
+     */
+    close(bits, width, height, radius) {
+        return this.shrink(this.grow(bits, width, height, radius), width, height, radius);
+    }
+
+    /**
+     * Fill background regions that don't touch the image border (4-connected)
+     */
+    fillHoles(bits, width, height) {
+        // Flood the background from the border; what stays unreached is a hole
+        const outside = new Uint8Array(width * height);
+        const stack = [];
+        const visit = (index) => {
+            if (!bits[index] && !outside[index]) {
+                outside[index] = 1;
+                stack.push(index);
+            }
+        };
+        for (let x = 0; x < width; x++) {
+            visit(x);
+            visit((height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            visit(y * width);
+            visit(y * width + width - 1);
+        }
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const x = index % width;
+            if (x > 0) visit(index - 1);
+            if (x < width - 1) visit(index + 1);
+            if (index >= width) visit(index - width);
+            if (index < width * (height - 1)) visit(index + width);
+        }
+
+        for (let i = 0; i < outside.length; i++) {
+            outside[i] = 1 - outside[i];
+        }
+        return outside;
+    }
+
+    /**
+     * Remove connected regions (8-connected) smaller than minArea pixels
+     */
+    removeIslands(bits, width, height, minArea) {
+        const result = Uint8Array.from(bits);
+        const visited = new Uint8Array(width * height);
+        const region = new Int32Array(width * height);
+
+        for (let start = 0; start < bits.length; start++) {
+            if (!bits[start] || visited[start]) continue;
+
+            // Collect the region, then drop it if it's too small
+            let length = 0;
+            region[length++] = start;
+            visited[start] = 1;
+            for (let r = 0; r < length; r++) {
+                const index = region[r];
+                const x = index % width;
+                const y = (index - x) / width;
+                for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+                    for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                        const neighbor = ny * width + nx;
+                        if (bits[neighbor] && !visited[neighbor]) {
+                            visited[neighbor] = 1;
+                            region[length++] = neighbor;
+                        }
+                    }
+                }
+            }
+
+            if (length < minArea) {
+                for (let r = 0; r < length; r++) {
+                    result[region[r]] = 0;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Lower envelope of parabolas: squared distance transform of one line
+     * @private
+     */
+    _distance1D(f, n, d, v, z) {
+        let k = 0;
+        v[0] = 0;
+        z[0] = -Infinity;
+        z[1] = Infinity;
+
+        // Skip leading empty cells so the envelope starts at a finite parabola
+        let first = 0;
+        while (first < n && f[first] === Infinity) first++;
+        if (first === n) {
+            d.fill(Infinity, 0, n);
+            return;
+        }
+        v[0] = first;
+
+        for (let q = first + 1; q < n; q++) {
+            if (f[q] === Infinity) continue;
+            let s;
+            while (true) {
+                const p = v[k];
+                s = ((f[q] + q * q) - (f[p] + p * p)) / (2 * q - 2 * p);
+                if (s > z[k]) break;
+                k--;
+            }
+            k++;
+            v[k] = q;
+            z[k] = s;
+            z[k + 1] = Infinity;
+        }
+
+        k = 0;
+        for (let q = 0; q < n; q++) {
+            while (z[k + 1] < q) k++;
+            const p = v[k];
+            d[q] = (q - p) * (q - p) + f[p];
+        }
+    }
+}
+
+// Export as global for use in other modules
+window.MaskMorphology = MaskMorphology;
@@ -0,0 +1,282 @@
+// js/project.js - Portable .maskproj project files (ZIP of image, layer masks, history and AI analysis)
+
+class ProjectFile {
+    /**
+     * A project is a ZIP with a project.json manifest next to:
+     *   image/<file name>   original image
+     *   layers/<n>.png      one white-on-black coverage mask per layer
+     *   history.bin         undo entries' run-length encoded bytes (offsets in the manifest)
+     *   segmentation.png    cached AI class map (class index in every channel), if any
+     */
+    constructor() {
+        this.format = 'maskproj';
+        this.version = 1;
+        this.extension = '.maskproj';
+
+        // Run-length codec of session layers and history entries
+        this.codec = new MaskHistory();
+    }
+
+    /**
+     * Check a file name for the project extension
+     */
+    isProjectFile(file) {
+        return file.name.toLowerCase().endsWith(this.extension);
+    }
+
+    /**
+     * Pack an editing session into a project file
+     * @param {Object} project - { image: original File, width, height,
+     *   session: MaskTools.exportSession(), segmentation: whole-image result or null,
+     *   classes: ImageSegmentation.getClassCoverage() entries, layerClasses: Map layerId -> class label,
+     *   settings: tool settings }
+     * @returns {Promise<Blob>} ZIP archive
+     */
+    async create(project) {
+        this._requireZip();
+        const { width, height, session } = project;
+        const zip = new JSZip();
+
+        const imagePath = `image/${project.image.name}`;
+        zip.file(imagePath, project.image);
+
+        const layers = [];
+        for (let i = 0; i < session.layers.length; i++) {
+            const layer = session.layers[i];
+            const path = `layers/${String(i + 1).padStart(2, '0')}.png`;
+            const alpha = this.codec.decode(layer.alpha, width * height);
+            zip.file(path, await this._encodePng(this._grayToImageData(alpha, width, height)));
+
+            layers.push({
+                id: layer.id,
+                name: layer.name,
+                color: layer.color,
+                visible: layer.visible,
+                locked: layer.locked,
+                category: project.layerClasses.get(layer.id) || null,
+                file: path
+            });
+        }
+
+        // History: scalars in the manifest, byte arrays concatenated into one file
+        const chunks = [];
+        let offset = 0;
+        const addChunk = (bytes) => {
+            chunks.push(bytes);
+            offset += bytes.length;
+            return [offset - bytes.length, bytes.length];
+        };
+        const entries = session.history.entries.map(entry => ({
+            ...entry,
+            before: addChunk(entry.before),
+            after: addChunk(entry.after),
+            stroke: entry.stroke ? { ...entry.stroke, bits: addChunk(entry.stroke.bits) } : null
+        }));
+        const historyBytes = new Uint8Array(offset);
+        offset = 0;
+        chunks.forEach(bytes => {
+            historyBytes.set(bytes, offset);
+            offset += bytes.length;
+        });
+        zip.file('history.bin', historyBytes);
+
+        let segmentation = null;
+        if (project.segmentation) {
+            const result = project.segmentation;
+            zip.file('segmentation.png', await this._encodePng(result.imageData));
+            segmentation = {
+                file: 'segmentation.png',
+                backendId: result.backendId || null,
+                backgroundClass: result.backgroundClass !== undefined ? result.backgroundClass : null,
+                tiled: Boolean(result.tiled),
+                legend: result.legend || null,
+                classes: project.classes.map(entry => ({
+                    classIndex: entry.classIndex,
+                    label: entry.label,
+                    color: entry.color,
+                    pixels: entry.pixels,
+                    coverage: entry.coverage,
+                    isBackground: entry.isBackground
+                }))
+            };
+        }
+
+        const manifest = {
+            format: this.format,
+            version: this.version,
+            saved: new Date().toISOString(),
+            image: { file: imagePath, name: project.image.name, type: project.image.type, width, height },
+            layers,
+            activeLayerId: session.activeLayerId,
+            history: { file: 'history.bin', position: session.history.position, entries },
+            segmentation,
+            settings: project.settings || null
+        };
+        zip.file('project.json', JSON.stringify(manifest, null, 2));
+
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    }
+
+    /**
+     * Read a project file
+     * @param {File} file - .maskproj file
+     * @returns {Promise<Object>} { manifest, image: File, session: for MaskTools.importSession(),
+     *   segmentation: whole-image result or null, settings }
+     */
+    async open(file) {
+        this._requireZip();
+        const zip = await JSZip.loadAsync(file);
+
+        const manifestFile = zip.file('project.json');
+        if (!manifestFile) {
+            throw new Error('Not a project file (missing project.json).');
+        }
+        const manifest = JSON.parse(await manifestFile.async('string'));
+        if (manifest.format !== this.format) {
+            throw new Error('Not a project file (unknown format).');
+        }
+        if (manifest.version > this.version) {
+            throw new Error('This project was saved by a newer version of the tool.');
+        }
+
+        const { width, height } = manifest.image;
+        const imageBlob = await this._readEntry(zip, manifest.image.file, 'blob');
+        const image = new File([imageBlob], manifest.image.name, { type: manifest.image.type });
+
+        const layers = [];
+        for (const layer of manifest.layers) {
+            const mask = await this._decodePng(await this._readEntry(zip, layer.file, 'blob'), width, height);
+            const alpha = new Uint8Array(width * height);
+            for (let i = 0; i < alpha.length; i++) {
+                alpha[i] = mask.data[i * 4];
+            }
+            layers.push({
+                id: layer.id,
+                name: layer.name,
+                color: layer.color,
+                visible: layer.visible,
+                locked: layer.locked,
+                alpha: this.codec.encode(alpha)
+            });
+        }
+
+        const historyBytes = await this._readEntry(zip, manifest.history.file, 'uint8array');
+        const slice = ([start, length]) => historyBytes.slice(start, start + length);
+        const entries = manifest.history.entries.map(entry => ({
+            ...entry,
+            before: slice(entry.before),
+            after: slice(entry.after),
+            stroke: entry.stroke ? { ...entry.stroke, bits: slice(entry.stroke.bits) } : null
+        }));
+
+        let segmentation = null;
+        if (manifest.segmentation) {
+            const saved = manifest.segmentation;
+            segmentation = {
+                imageData: await this._decodePng(await this._readEntry(zip, saved.file, 'blob'), width, height),
+                legend: saved.legend,
+                width,
+                height,
+                tiled: saved.tiled,
+                backendId: saved.backendId,
+                backgroundClass: saved.backgroundClass
+            };
+        }
+
+        return {
+            manifest,
+            image,
+            session: {
+                layers,
+                activeLayerId: manifest.activeLayerId,
+                history: { entries, position: manifest.history.position }
+            },
+            segmentation,
+            settings: manifest.settings
+        };
+    }
+
+    /**
+     * @private
+     */
+    _requireZip() {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('ZIP support is not available. Check your network connection and reload.');
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _readEntry(zip, path, type) {
+        const entry = zip.file(path);
+        if (!entry) {
+            throw new Error(`The project file is incomplete (missing ${path}).`);
+        }
+        return entry.async(type);
+    }
+
+    /**
+     * @private
+     */
+    _grayToImageData(values, width, height) {
+        const imageData = new ImageData(width, height);
+        const data = imageData.data;
+        for (let i = 0; i < values.length; i++) {
+            data[i * 4] = values[i];
+            data[i * 4 + 1] = values[i];
+            data[i * 4 + 2] = values[i];
+            data[i * 4 + 3] = 255;
+        }
+        return imageData;
+    }
+
+    /**
+     * @private
+     */
+    _encodePng(imageData) {
+        const canvas = this._createCanvas(imageData.width, imageData.height);
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Failed to encode image'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Decode a PNG without color conversion so stored values come back exactly
+     * @private
+     */
+    async _decodePng(blob, width, height) {
+        const bitmap = await createImageBitmap(blob, { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+        if (bitmap.width !== width || bitmap.height !== height) {
+            bitmap.close();
+            throw new Error('The project file is damaged (mask size differs from the image).');
+        }
+
+        const canvas = this._createCanvas(width, height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    /**
+     * @private
+     */
+    _createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+}
+
+// Export as global for use in other modules
+window.ProjectFile = ProjectFile;
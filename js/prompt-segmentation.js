@@ -0,0 +1,368 @@
+// js/prompt-segmentation.js - Click-prompted interactive segmentation (SAM / RITM style)
+
+class PromptSegmentation {
+    /**
+     * @param {Object} options - Model configuration
+     * @param {string} options.runtime - 'auto', 'onnx' (SAM encoder/decoder) or 'tfjs' (click-map model)
+     * @param {string} options.encoderUrl - SAM image encoder (ONNX)
+     * @param {string} options.decoderUrl - SAM prompt decoder (ONNX)
+     * @param {string} options.tfjsModelUrl - TF.js graph model taking RGB + positive/negative click maps
+     * @param {string} options.ortUrl - ONNX Runtime Web script, loaded the first time the tool is used
+     * See "Point-prompt models" in README.md for the expected model files.
+     */
+    constructor(options = {}) {
+        this.runtime = options.runtime || 'auto';
+        this.encoderUrl = options.encoderUrl || 'models/sam/encoder.onnx';
+        this.decoderUrl = options.decoderUrl || 'models/sam/decoder.onnx';
+        this.tfjsModelUrl = options.tfjsModelUrl || 'models/click/model.json';
+        this.ortUrl = options.ortUrl || 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.1/dist/ort.min.js';
+
+        // SAM works on a 1024px longest-side frame and 256px low-res masks
+        this.samInputSize = 1024;
+        this.samMaskSize = 256;
+        this.pixelMean = [123.675, 116.28, 103.53];
+        this.pixelStd = [58.395, 57.12, 57.375];
+
+        // Click-map model settings
+        this.clickInputSize = options.clickInputSize || 320;
+        this.clickRadius = options.clickRadius || 5;
+        this.threshold = options.threshold !== undefined ? options.threshold : 0.5;
+
+        this.activeRuntime = null;
+        this.encoder = null;
+        this.decoder = null;
+        this.clickModel = null;
+        this.isModelLoaded = false;
+        this.loadingPromise = null;
+
+        // Per-image state
+        this.imageWidth = 0;
+        this.imageHeight = 0;
+        this.imageEmbedding = null;
+        this.imageTensor = null;
+        this.points = [];
+        this.lowResMask = null;
+    }
+
+    /**
+     * Load the prompt model (lazily, on first use of the tool)
+     * @returns {Promise} Model loading promise
+     */
+    async initializeModel() {
+        if (this.loadingPromise) {
+            return this.loadingPromise;
+        }
+
+        this.loadingPromise = this._loadModel().catch(error => {
+            // Allow a retry after a failed load
+            this.loadingPromise = null;
+            throw error;
+        });
+        return this.loadingPromise;
+    }
+
+    /**
+     * @private
+     */
+    async _loadModel() {
+        if (this.runtime === 'auto' || this.runtime === 'onnx') {
+            try {
+                await this._loadOnnxRuntime();
+                console.log('Loading SAM encoder/decoder...');
+                this.encoder = await ort.InferenceSession.create(this.encoderUrl);
+                this.decoder = await ort.InferenceSession.create(this.decoderUrl);
+                this.activeRuntime = 'onnx';
+                this.isModelLoaded = true;
+                console.log('SAM prompt model loaded successfully');
+                return;
+            } catch (error) {
+                if (this.runtime === 'onnx') {
+                    console.error('Failed to load SAM model:', error);
+                    throw new Error('Failed to load the point-prompt ONNX model.');
+                }
+                console.warn('SAM model unavailable, trying TF.js click model:', error);
+            }
+        }
+
+        try {
+            console.log('Loading TF.js click model...');
+            this.clickModel = await tf.loadGraphModel(this.tfjsModelUrl);
+            this.activeRuntime = 'tfjs';
+            this.isModelLoaded = true;
+            console.log('Click model loaded successfully');
+        } catch (error) {
+            console.error('Failed to load click model:', error);
+            throw new Error('Failed to load a point-prompt model. Place a SAM ONNX pair in models/sam/ or a TF.js click model in models/click/ (see "Point-prompt models" in the README).');
+        }
+    }
+
+    /**
+     * Add the ONNX Runtime Web script to the page unless it is already there
+     * @private
+     */
+    _loadOnnxRuntime() {
+        if (typeof ort !== 'undefined') {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.ortUrl;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                // Allow a retry on the next use
+                script.remove();
+                reject(new Error('Failed to load ONNX Runtime Web.'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Prepare the image for prompting (runs the SAM encoder once per image)
+     * @param {HTMLCanvasElement} canvas - Canvas containing the image
+     */
+    async setImage(canvas) {
+        if (!this.isModelLoaded) {
+            throw new Error('Prompt model not loaded.');
+        }
+
+        this.resetImage();
+        this.imageWidth = canvas.width;
+        this.imageHeight = canvas.height;
+
+        if (this.activeRuntime === 'onnx') {
+            this.imageEmbedding = await this._encodeImage(canvas);
+        } else {
+            this.imageTensor = tf.tidy(() => {
+                const pixels = tf.browser.fromPixels(canvas);
+                return tf.image.resizeBilinear(pixels, [this.clickInputSize, this.clickInputSize]).div(255);
+            });
+        }
+    }
+
+    /**
+     * Check whether an image has been prepared
+     */
+    hasImage() {
+        return this.imageEmbedding !== null || this.imageTensor !== null;
+    }
+
+    /**
+     * Run the SAM image encoder
+     * @private
+     */
+    async _encodeImage(canvas) {
+        const scale = this.samInputSize / Math.max(canvas.width, canvas.height);
+        const scaledWidth = Math.round(canvas.width * scale);
+        const scaledHeight = Math.round(canvas.height * scale);
+
+        // Resize longest side to 1024 and pad bottom/right with zeros
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = this.samInputSize;
+        tempCanvas.height = this.samInputSize;
+        const tempCtx = tempCanvas.getContext('2d');
+        tempCtx.drawImage(canvas, 0, 0, scaledWidth, scaledHeight);
+        const pixels = tempCtx.getImageData(0, 0, this.samInputSize, this.samInputSize).data;
+
+        // Normalize into a CHW float tensor
+        const planeSize = this.samInputSize * this.samInputSize;
+        const input = new Float32Array(3 * planeSize);
+        for (let y = 0; y < scaledHeight; y++) {
+            for (let x = 0; x < scaledWidth; x++) {
+                const i = y * this.samInputSize + x;
+                for (let c = 0; c < 3; c++) {
+                    input[c * planeSize + i] = (pixels[i * 4 + c] - this.pixelMean[c]) / this.pixelStd[c];
+                }
+            }
+        }
+
+        const feeds = {};
+        feeds[this.encoder.inputNames[0]] = new ort.Tensor('float32', input, [1, 3, this.samInputSize, this.samInputSize]);
+        const results = await this.encoder.run(feeds);
+        return results[this.encoder.outputNames[0]];
+    }
+
+    /**
+     * Add a prompt point
+     * @param {number} x - X coordinate in image pixels
+     * @param {number} y - Y coordinate in image pixels
+     * @param {boolean} positive - True for foreground, false for background
+     */
+    addPoint(x, y, positive = true) {
+        this.points.push({ x, y, positive });
+    }
+
+    /**
+     * Remove all prompt points and the previous mask
+     */
+    clearPoints() {
+        this.points = [];
+        this.lowResMask = null;
+    }
+
+    /**
+     * Drop the per-image state (call when a new image is loaded)
+     */
+    resetImage() {
+        this.clearPoints();
+        this.imageEmbedding = null;
+        if (this.imageTensor) {
+            this.imageTensor.dispose();
+            this.imageTensor = null;
+        }
+    }
+
+    /**
+     * Predict a mask from the current points
+     * @returns {Promise<ImageData>} Binary mask (white = selected) at image size
+     */
+    async predict() {
+        if (!this.hasImage()) {
+            throw new Error('No image prepared for point prompts.');
+        }
+        if (this.points.length === 0) {
+            return null;
+        }
+
+        return this.activeRuntime === 'onnx'
+            ? this._predictSam()
+            : this._predictClickModel();
+    }
+
+    /**
+     * Run the SAM decoder with the current points
+     * @private
+     */
+    async _predictSam() {
+        const scale = this.samInputSize / Math.max(this.imageWidth, this.imageHeight);
+
+        // Points plus the padding point SAM expects when no box is given
+        const count = this.points.length + 1;
+        const coords = new Float32Array(count * 2);
+        const labels = new Float32Array(count);
+        this.points.forEach((point, i) => {
+            coords[i * 2] = point.x * scale;
+            coords[i * 2 + 1] = point.y * scale;
+            labels[i] = point.positive ? 1 : 0;
+        });
+        labels[count - 1] = -1;
+
+        const maskInput = this.lowResMask || new Float32Array(this.samMaskSize * this.samMaskSize);
+
+        const feeds = {
+            image_embeddings: this.imageEmbedding,
+            point_coords: new ort.Tensor('float32', coords, [1, count, 2]),
+            point_labels: new ort.Tensor('float32', labels, [1, count]),
+            mask_input: new ort.Tensor('float32', maskInput, [1, 1, this.samMaskSize, this.samMaskSize]),
+            has_mask_input: new ort.Tensor('float32', new Float32Array([this.lowResMask ? 1 : 0]), [1]),
+            orig_im_size: new ort.Tensor('float32', new Float32Array([this.imageHeight, this.imageWidth]), [2])
+        };
+
+        const results = await this.decoder.run(feeds);
+
+        // Keep the low-res logits to refine the next prediction
+        this.lowResMask = new Float32Array(results.low_res_masks.data.slice(0, this.samMaskSize * this.samMaskSize));
+
+        // masks are logits at the original image size
+        return this._logitsToImageData(results.masks.data, this.imageWidth, this.imageHeight, 0);
+    }
+
+    /**
+     * Run the TF.js click model: input is RGB plus positive and negative click maps
+     * @private
+     */
+    async _predictClickModel() {
+        const size = this.clickInputSize;
+        const scaleX = size / this.imageWidth;
+        const scaleY = size / this.imageHeight;
+        const positiveMap = new Float32Array(size * size);
+        const negativeMap = new Float32Array(size * size);
+
+        // Rasterize each click as a small disk
+        const r = this.clickRadius;
+        this.points.forEach(point => {
+            const map = point.positive ? positiveMap : negativeMap;
+            const cx = Math.round(point.x * scaleX);
+            const cy = Math.round(point.y * scaleY);
+            for (let y = Math.max(0, cy - r); y <= Math.min(size - 1, cy + r); y++) {
+                for (let x = Math.max(0, cx - r); x <= Math.min(size - 1, cx + r); x++) {
+                    if ((x - cx) * (x - cx) + (y - cy) * (y - cy) <= r * r) {
+                        map[y * size + x] = 1;
+                    }
+                }
+            }
+        });
+
+        const probabilities = tf.tidy(() => {
+            const clicks = tf.stack([
+                tf.tensor2d(positiveMap, [size, size]),
+                tf.tensor2d(negativeMap, [size, size])
+            ], -1);
+            const input = tf.concat([this.imageTensor, clicks], -1).expandDims(0);
+            let output = this.clickModel.predict(input);
+            if (Array.isArray(output)) {
+                output = output[0];
+            }
+            return tf.image.resizeBilinear(output.reshape([size, size, 1]), [this.imageHeight, this.imageWidth]).squeeze();
+        });
+
+        const values = await probabilities.data();
+        probabilities.dispose();
+        return this._logitsToImageData(values, this.imageWidth, this.imageHeight, this.threshold);
+    }
+
+    /**
+     * Threshold a score map into a white-on-black mask
+     * @private
+     */
+    _logitsToImageData(values, width, height, threshold) {
+        const imageData = new ImageData(width, height);
+        const data = imageData.data;
+        for (let i = 0; i < width * height; i++) {
+            const value = values[i] > threshold ? 255 : 0;
+            const pixelIndex = i * 4;
+            data[pixelIndex] = value;
+            data[pixelIndex + 1] = value;
+            data[pixelIndex + 2] = value;
+            data[pixelIndex + 3] = 255;
+        }
+        return imageData;
+    }
+
+    /**
+     * Get prompt status information
+     */
+    getStatus() {
+        return {
+            isLoaded: this.isModelLoaded,
+            runtime: this.activeRuntime,
+            positivePoints: this.points.filter(point => point.positive).length,
+            negativePoints: this.points.filter(point => !point.positive).length
+        };
+    }
+
+    /**
+     * Dispose of models and per-image state
+     */
+    dispose() {
+        this.resetImage();
+        if (this.clickModel) {
+            this.clickModel.dispose();
+            this.clickModel = null;
+        }
+        if (this.encoder && typeof this.encoder.release === 'function') {
+            this.encoder.release();
+        }
+        if (this.decoder && typeof this.decoder.release === 'function') {
+            this.decoder.release();
+        }
+        this.encoder = null;
+        this.decoder = null;
+        this.isModelLoaded = false;
+        this.loadingPromise = null;
+    }
+}
+
+// Export as global for use in other modules
+window.PromptSegmentation = PromptSegmentation;
@@ -0,0 +1,94 @@
+// js/segmentation-worker.js - Web Worker running model loading and inference off the main thread
+//
+// Messages in:  { type: 'load', id, backend }   backend config from SegmentationBackend.getConfig()
+//               { type: 'segment', id, bitmap, tiling } ImageBitmap of the image (or crop) to segment
+//               { type: 'cancel', id }          id of a pending 'segment' request
+// Messages out: { type: 'progress', id, stage, progress }
+//               { type: 'result', id, result }
+//               { type: 'error', id, message, cancelled }
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js',
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/deeplab@0.2.1/dist/deeplab.min.js',
+    'models.js',
+    'segmentation.js'
+);
+
+const segmentation = new ImageSegmentation({ useWorker: false });
+const cancelledRequests = new Set();
+
+/**
+ * AbortSignal-like view of a request's cancellation state
+ */
+function createSignal(id) {
+    return {
+        get aborted() {
+            return cancelledRequests.has(id);
+        }
+    };
+}
+
+function postProgress(id, stage, progress) {
+    self.postMessage({ type: 'progress', id, stage, progress });
+}
+
+async function handleLoad(id, config) {
+    if (!segmentation.registry.has(config.id)) {
+        segmentation.registry.register(config);
+    }
+
+    postProgress(id, 'Loading AI model', 0);
+    await segmentation.setBackend(config.id);
+
+    self.postMessage({ type: 'result', id, result: segmentation.backend.getInfo() });
+}
+
+async function handleSegment(id, bitmap, tiling) {
+    try {
+        const result = await segmentation._runSegmentation(bitmap, {
+            tiling: tiling,
+            onProgress: (stage, progress) => postProgress(id, stage, progress),
+            signal: createSignal(id)
+        });
+
+        // Tensors cannot cross the worker boundary
+        delete result.originalTensor;
+
+        self.postMessage({ type: 'result', id, result }, [result.imageData.data.buffer]);
+    } finally {
+        bitmap.close();
+    }
+}
+
+self.onmessage = async (e) => {
+    const message = e.data;
+
+    if (message.type === 'cancel') {
+        cancelledRequests.add(message.id);
+        return;
+    }
+
+    try {
+        switch (message.type) {
+            case 'load':
+                await handleLoad(message.id, message.backend);
+                break;
+
+            case 'segment':
+                await handleSegment(message.id, message.bitmap, message.tiling);
+                break;
+
+            default:
+                throw new Error(`Unknown worker message: ${message.type}`);
+        }
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            id: message.id,
+            message: error.message,
+            cancelled: error.name === 'AbortError'
+        });
+    } finally {
+        cancelledRequests.delete(message.id);
+    }
+};
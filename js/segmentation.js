@@ -1,14 +1,22 @@
-// js/segmentation.js - Improved AI segmentation using core DeepLab only
+// js/segmentation.js - Improved AI segmentation with pluggable model backends
 
 class ImageSegmentation {
-    constructor() {
+    constructor(options = {}) {
+        this.registry = options.registry || new ModelRegistry();
+        this.backendId = options.backendId || 'pascal';
+        this.backend = null;
         this.model = null;
         this.isModelLoaded = false;
         this.loadingPromise = null;
         
-        // Cache for performance
-        this.lastImageData = null;
-        this.lastSegmentation = null;
+        // Run model loading and inference in a Web Worker when OffscreenCanvas is available
+        this.useWorker = options.useWorker !== undefined
+            ? options.useWorker
+            : typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+        this.workerUrl = options.workerUrl || 'js/segmentation-worker.js';
+        this.worker = null;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
     }
 
     /**
@@ -25,30 +33,233 @@ class ImageSegmentation {
     }
 
     /**
-     * Internal method to load the DeepLab model
+     * Internal method to load the selected model backend
      * @private
      */
     async _loadModel() {
+        const backend = this.registry.get(this.backendId);
+        
         try {
-            console.log('Loading DeepLab model...');
+            console.log(`Loading ${backend.name} model...`);
             
-            // Load the DeepLab v3 model from TensorFlow Hub
-            this.model = await deeplab.load({
-                base: 'pascal',
-                quantizationBytes: 2
-            });
+            if (this.useWorker) {
+                await this._loadInWorker(backend);
+            }
+            if (!this.useWorker) {
+                await backend.load();
+                this.model = backend.model;
+            }
             
+            this.backend = backend;
             this.isModelLoaded = true;
-            console.log('DeepLab model loaded successfully');
+            console.log(`${backend.name} model loaded successfully${this.useWorker ? ' in worker' : ''}`);
             
-            // Warm up the model
-            await this._warmUpModel();
+            // Warm up the model (the worker warms up its own copy)
+            if (!this.useWorker) {
+                await this._warmUpModel();
+            }
             
             return this.model;
         } catch (error) {
             console.error('Failed to load segmentation model:', error);
-            throw new Error('Failed to load AI segmentation model. Please refresh and try again.');
+            throw new Error(`Failed to load ${backend.name} model. Please refresh and try again.`);
+        }
+    }
+
+    /**
+     * Load a backend inside the worker, falling back to the main thread if the worker cannot start
+     * @private
+     */
+    async _loadInWorker(backend) {
+        try {
+            const info = await this._callWorker('load', { backend: backend.getConfig() });
+            // Custom models may have picked up labels and sizes from metadata.json
+            backend.applyInfo(info);
+        } catch (error) {
+            if (!error.workerFailed) {
+                throw error;
+            }
+            console.warn('Segmentation worker unavailable, running on main thread:', error);
+            this._terminateWorker();
+            this.useWorker = false;
+        }
+    }
+
+    /**
+     * Start the worker on first use
+     * @private
+     */
+    _ensureWorker() {
+        if (this.worker) return;
+        
+        this.worker = new Worker(this.workerUrl);
+        this.worker.onmessage = (e) => this._handleWorkerMessage(e.data);
+        this.worker.onerror = (e) => {
+            // Script or import failures - every pending request fails
+            const error = new Error(e.message || 'Segmentation worker failed');
+            error.workerFailed = true;
+            this.pendingRequests.forEach(request => request.reject(error));
+            this.pendingRequests.clear();
+        };
+    }
+
+    /**
+     * Send a request to the worker
+     * @private
+     * @param {string} type - Message type ('load' or 'segment')
+     * @param {Object} payload - Message data
+     * @param {Array} transfer - Transferable objects
+     * @param {Object} options - { onProgress, signal }
+     * @returns {Promise<Object>} Worker result
+     */
+    _callWorker(type, payload = {}, transfer = [], options = {}) {
+        this._ensureWorker();
+        const id = this.nextRequestId++;
+        
+        return new Promise((resolve, reject) => {
+            const signal = options.signal;
+            if (signal && signal.aborted) {
+                reject(this._createAbortError());
+                return;
+            }
+            
+            this.pendingRequests.set(id, { resolve, reject, onProgress: options.onProgress });
+            
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (!this.pendingRequests.has(id)) return;
+                    this.pendingRequests.delete(id);
+                    this.worker.postMessage({ type: 'cancel', id });
+                    reject(this._createAbortError());
+                }, { once: true });
+            }
+            
+            this.worker.postMessage({ type, id, ...payload }, transfer);
+        });
+    }
+
+    /**
+     * Route worker responses to their pending requests
+     * @private
+     */
+    _handleWorkerMessage(message) {
+        const request = this.pendingRequests.get(message.id);
+        if (!request) return; // Cancelled or unknown request
+        
+        switch (message.type) {
+            case 'progress':
+                if (request.onProgress) {
+                    request.onProgress(message.stage, message.progress);
+                }
+                break;
+                
+            case 'result':
+                this.pendingRequests.delete(message.id);
+                request.resolve(message.result);
+                break;
+                
+            case 'error': {
+                this.pendingRequests.delete(message.id);
+                const error = message.cancelled ? this._createAbortError() : new Error(message.message);
+                request.reject(error);
+                break;
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
         }
+        const error = this._createAbortError();
+        this.pendingRequests.forEach(request => request.reject(error));
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * @private
+     */
+    _createAbortError() {
+        return new DOMException('Segmentation cancelled', 'AbortError');
+    }
+
+    /**
+     * Throw if the caller cancelled the operation
+     * @private
+     */
+    _throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw this._createAbortError();
+        }
+    }
+
+    /**
+     * Switch to another registered model backend.
+     * The previous backend stays active if the new one fails to load.
+     * @param {string} backendId - Registry id of the backend
+     * @returns {Promise} Model loading promise
+     */
+    async setBackend(backendId) {
+        if (backendId === this.backendId && this.isModelLoaded) {
+            return this.model;
+        }
+        
+        // Let any in-flight load settle before swapping
+        if (this.loadingPromise) {
+            await this.loadingPromise.catch(() => {});
+        }
+        
+        const previous = this.backend;
+        this.backendId = backendId;
+        this.loadingPromise = null;
+        
+        try {
+            await this.initializeModel();
+        } catch (error) {
+            if (previous) {
+                this.backendId = previous.id;
+                this.loadingPromise = Promise.resolve(previous.model);
+            }
+            throw error;
+        }
+        
+        if (previous && previous !== this.backend) {
+            previous.dispose();
+        }
+        
+        return this.model;
+    }
+
+    /**
+     * Register a custom TF.js graph model
+     * @param {Object} config - { name, modelUrl } or { name, files }
+     * @returns {string} Registry id of the new backend
+     */
+    registerCustomModel(config) {
+        return this.registry.registerCustomModel(config).id;
+    }
+
+    /**
+     * Remove a custom model that is not currently active. Built-in models stay
+     * registered so a failed load can be retried.
+     * @param {string} backendId - Registry id of the backend
+     */
+    removeCustomModel(backendId) {
+        if (backendId.startsWith('custom-') && backendId !== this.backendId && this.registry.has(backendId)) {
+            this.registry.unregister(backendId);
+        }
+    }
+
+    /**
+     * List available model backends
+     * @returns {Array<Object>} { id, name, type } entries
+     */
+    getAvailableModels() {
+        return this.registry.list();
     }
 
     /**
@@ -58,14 +269,11 @@ class ImageSegmentation {
     async _warmUpModel() {
         try {
             // Create a properly sized dummy image for warm-up
-            const dummyImage = tf.zeros([513, 513, 3]);
-            const result = await this.model.segment(dummyImage);
+            const size = this.backend.inputSize;
+            const dummyImage = tf.zeros([size, size, 3], 'int32');
+            await this.backend.predict(dummyImage);
             dummyImage.dispose();
             
-            // Clean up warm-up result
-            if (result && typeof result.dispose === 'function') {
-                result.dispose();
-            }
             console.log('Model warmed up successfully');
         } catch (error) {
             console.warn('Model warm-up failed:', error);
@@ -75,71 +283,285 @@ class ImageSegmentation {
     /**
      * Segment the given image and return segmentation result
      * @param {HTMLCanvasElement} canvas - Canvas containing the image
-     * @returns {Promise<Object>} Segmentation results
+     * @param {Object} options - { onProgress(stage, progress), signal: AbortSignal, tiling: 'auto' | 'on' | 'off' }
+     * @returns {Promise<Object>} Segmentation results. Not cached here: the app keeps
+     *   each queue image's result with the image.
      */
-    async segmentImage(canvas) {
+    async segmentImage(canvas, options = {}) {
         if (!this.isModelLoaded) {
             throw new Error('Model not loaded. Please wait for initialization to complete.');
         }
 
         try {
             console.log('Starting image segmentation...');
+            return await this._segmentSource(canvas, null, options);
             
-            // Get image data for caching
-            const ctx = canvas.getContext('2d');
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            
-            // Check if we already processed this exact image
-            if (this.lastImageData && this._imageDataEqual(imageData, this.lastImageData)) {
-                console.log('Using cached segmentation result');
-                return this.lastSegmentation;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
             }
+            console.error('Segmentation failed:', error);
+            throw new Error(`Failed to segment image: ${error.message}`);
+        }
+    }
+
+    /**
+     * Segment only a rectangular region of the image.
+     * The crop is fed to the model on its own, so small objects get the full model resolution.
+     * @param {HTMLCanvasElement} canvas - Canvas containing the image
+     * @param {Object} rect - { x, y, width, height } in image pixels
+     * @param {Object} options - { onProgress(stage, progress), signal: AbortSignal }
+     * @returns {Promise<Object>} Segmentation results for the crop, with its rect
+     */
+    async segmentRegion(canvas, rect, options = {}) {
+        if (!this.isModelLoaded) {
+            throw new Error('Model not loaded. Please wait for initialization to complete.');
+        }
+
+        try {
+            console.log('Segmenting region:', rect);
             
-            // Convert canvas to tensor
-            const imageTensor = tf.browser.fromPixels(canvas);
-            console.log('Input image tensor shape:', imageTensor.shape);
-            
-            // Get predictions from model
-            const predictions = await this.model.segment(imageTensor);
-            console.log('Raw predictions:', predictions);
-            
-            // Clean up input tensor
-            imageTensor.dispose();
-            
-            // Process the results
-            const result = await this._processSegmentationResult(predictions, canvas.width, canvas.height);
-            
-            // Cache the results
-            this.lastImageData = imageData;
-            this.lastSegmentation = result;
-            
+            const result = await this._segmentSource(canvas, rect, options);
+            result.rect = rect;
             return result;
             
         } catch (error) {
-            console.error('Segmentation failed:', error);
-            throw new Error(`Failed to segment image: ${error.message}`);
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            console.error('Region segmentation failed:', error);
+            throw new Error(`Failed to segment region: ${error.message}`);
+        }
+    }
+
+    /**
+     * Segment a canvas (or a rect of it) in the worker or on the main thread
+     * @private
+     */
+    async _segmentSource(canvas, rect, options) {
+        if (this.useWorker) {
+            const bitmap = rect
+                ? await createImageBitmap(canvas, rect.x, rect.y, rect.width, rect.height)
+                : await createImageBitmap(canvas);
+            return this._callWorker('segment', { bitmap, tiling: options.tiling }, [bitmap], options);
+        }
+        
+        let source = canvas;
+        if (rect) {
+            source = this._createCanvas(rect.width, rect.height);
+            source.getContext('2d').drawImage(canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
         }
+        return this._runSegmentation(source, options);
     }
 
     /**
-     * Check if two ImageData objects are equal
+     * Run the active backend on an image source and process the class map to its size.
+     * This is what the worker executes for each 'segment' request.
+     * @param {HTMLCanvasElement|OffscreenCanvas|ImageBitmap} source - Image to segment
+     * @param {Object} options - { onProgress(stage, progress), signal, tiling }
+     */
+    async _runSegmentation(source, options = {}) {
+        if (this._shouldTile(source.width, source.height, options.tiling)) {
+            return this._runTiledSegmentation(source, options);
+        }
+        
+        const { onProgress, signal } = options;
+        const report = (stage, progress) => onProgress && onProgress(stage, progress);
+        
+        // Convert image to tensor
+        report('Preparing image', 0.1);
+        const imageTensor = tf.browser.fromPixels(source);
+        console.log('Input image tensor shape:', imageTensor.shape);
+        
+        // Get class-index predictions from the active backend
+        let predictions;
+        try {
+            this._throwIfAborted(signal);
+            report('Running AI model', 0.3);
+            predictions = await this.backend.predict(imageTensor);
+        } finally {
+            // Clean up input tensor
+            imageTensor.dispose();
+        }
+        predictions.legend = this.backend.getLegend(predictions.segmentationMap);
+        console.log('Raw predictions:', predictions);
+        
+        // Process the results
+        this._throwIfAborted(signal);
+        report('Processing result', 0.8);
+        const result = await this._processSegmentationResult(predictions, source.width, source.height);
+        result.backendId = this.backend.id;
+        result.backgroundClass = this.backend.backgroundClass;
+        
+        return result;
+    }
+
+    /**
+     * Decide whether an image is large enough to need tiled inference
      * @private
      */
-    _imageDataEqual(data1, data2) {
-        if (data1.width !== data2.width || data1.height !== data2.height) {
+    _shouldTile(width, height, tiling = 'auto') {
+        const longestSide = Math.max(width, height);
+        if (tiling === 'on') {
+            return longestSide > this.backend.inputSize;
+        }
+        if (tiling === 'off') {
             return false;
         }
+        // A single pass would shrink the image more than 4x
+        return longestSide > this.backend.inputSize * 4;
+    }
+
+    /**
+     * Segment a large image as overlapping tiles and stitch the class maps with overlap voting.
+     * Each tile is seen by the model at (close to) its native resolution, and every tile's
+     * class map is upsampled with nearest-neighbour so no in-between class values appear.
+     * @private
+     * @param {HTMLCanvasElement|OffscreenCanvas|ImageBitmap} source - Image to segment
+     * @param {Object} options - { onProgress, signal, tileSize, tileOverlap }
+     */
+    async _runTiledSegmentation(source, options = {}) {
+        const { onProgress, signal } = options;
+        const report = (stage, progress) => onProgress && onProgress(stage, progress);
+        const width = source.width;
+        const height = source.height;
+        
+        const tileSize = options.tileSize || this.backend.inputSize * 2;
+        const overlap = options.tileOverlap || Math.round(tileSize / 4);
+        const xOffsets = this._getTileOffsets(width, tileSize, overlap);
+        const yOffsets = this._getTileOffsets(height, tileSize, overlap);
+        const totalTiles = xOffsets.length * yOffsets.length;
+        console.log(`Tiled segmentation: ${totalTiles} tiles of ${tileSize}px with ${overlap}px overlap`);
+        
+        // Winning class and its remaining vote weight per pixel
+        const classMap = new Uint8Array(width * height);
+        const votes = new Float32Array(width * height);
+        
+        report('Preparing image', 0.05);
+        const imageTensor = tf.browser.fromPixels(source);
+        
+        try {
+            let tileIndex = 0;
+            for (const y0 of yOffsets) {
+                for (const x0 of xOffsets) {
+                    this._throwIfAborted(signal);
+                    report(`Segmenting tile ${tileIndex + 1} of ${totalTiles}`, 0.05 + 0.85 * tileIndex / totalTiles);
+                    
+                    const tileWidth = Math.min(tileSize, width - x0);
+                    const tileHeight = Math.min(tileSize, height - y0);
+                    const tile = imageTensor.slice([y0, x0, 0], [tileHeight, tileWidth, 3]);
+                    
+                    let prediction;
+                    try {
+                        prediction = await this.backend.predict(tile);
+                    } finally {
+                        tile.dispose();
+                    }
+                    
+                    this._voteTile(prediction, { x0, y0, tileWidth, tileHeight, tileSize }, width, height, classMap, votes);
+                    tileIndex++;
+                }
+            }
+        } finally {
+            imageTensor.dispose();
+        }
         
-        // Sample a few pixels for quick comparison
-        const sampleIndices = [0, Math.floor(data1.data.length / 4), data1.data.length - 4];
-        for (const idx of sampleIndices) {
-            for (let i = 0; i < 4; i++) {
-                if (data1.data[idx + i] !== data2.data[idx + i]) {
-                    return false;
+        this._throwIfAborted(signal);
+        report('Processing result', 0.9);
+        
+        // Store class values in all channels, as for single-pass results
+        const imageData = new ImageData(width, height);
+        const data = imageData.data;
+        for (let i = 0; i < classMap.length; i++) {
+            const pixelIndex = i * 4;
+            data[pixelIndex] = classMap[i];
+            data[pixelIndex + 1] = classMap[i];
+            data[pixelIndex + 2] = classMap[i];
+            data[pixelIndex + 3] = 255;
+        }
+        
+        return {
+            imageData: imageData,
+            segmentationMap: classMap,
+            legend: this.backend.getLegend(classMap),
+            width: width,
+            height: height,
+            tiled: true,
+            backendId: this.backend.id,
+            backgroundClass: this.backend.backgroundClass
+        };
+    }
+
+    /**
+     * Tile start offsets along one axis; the last tile is flush with the image edge
+     * @private
+     */
+    _getTileOffsets(length, tileSize, overlap) {
+        if (length <= tileSize) {
+            return [0];
+        }
+        
+        const stride = tileSize - overlap;
+        const offsets = [];
+        for (let position = 0; position + tileSize < length; position += stride) {
+            offsets.push(position);
+        }
+        offsets.push(length - tileSize);
+        return offsets;
+    }
+
+    /**
+     * Merge one tile's class map into the stitched map.
+     * Votes are weighted by distance from the tile's inner edges, where predictions are
+     * least reliable, and combined with a streaming weighted-majority (Boyer-Moore) vote
+     * so only one class and one weight are kept per pixel.
+     * @private
+     */
+    _voteTile(prediction, tile, width, height, classMap, votes) {
+        const { x0, y0, tileWidth, tileHeight, tileSize } = tile;
+        const map = prediction.segmentationMap;
+        const mapWidth = prediction.width;
+        const mapHeight = prediction.height;
+        const scaleX = mapWidth / tileWidth;
+        const scaleY = mapHeight / tileHeight;
+        
+        // Tile sides on the image border have no neighbour, so they don't reduce the weight
+        const hasTop = y0 > 0;
+        const hasBottom = y0 + tileHeight < height;
+        const hasLeft = x0 > 0;
+        const hasRight = x0 + tileWidth < width;
+        
+        for (let ty = 0; ty < tileHeight; ty++) {
+            const sy = Math.min(mapHeight - 1, Math.floor((ty + 0.5) * scaleY));
+            const edgeY = Math.min(
+                hasTop ? ty : tileSize,
+                hasBottom ? tileHeight - 1 - ty : tileSize
+            );
+            const rowOffset = (y0 + ty) * width + x0;
+            
+            for (let tx = 0; tx < tileWidth; tx++) {
+                const sx = Math.min(mapWidth - 1, Math.floor((tx + 0.5) * scaleX));
+                const edgeX = Math.min(
+                    hasLeft ? tx : tileSize,
+                    hasRight ? tileWidth - 1 - tx : tileSize
+                );
+                const weight = Math.min(edgeX, edgeY) + 1;
+                const classValue = map[sy * mapWidth + sx];
+                const i = rowOffset + tx;
+                
+                if (votes[i] === 0) {
+                    classMap[i] = classValue;
+                    votes[i] = weight;
+                } else if (classMap[i] === classValue) {
+                    votes[i] += weight;
+                } else if (weight > votes[i]) {
+                    classMap[i] = classValue;
+                    votes[i] = weight - votes[i];
+                } else {
+                    votes[i] -= weight;
                 }
             }
         }
-        return true;
     }
 
     /**
@@ -234,21 +656,31 @@ class ImageSegmentation {
         };
     }
 
+    /**
+     * Create a canvas, using OffscreenCanvas when there is no DOM (inside the worker)
+     * @private
+     */
+    _createCanvas(width, height) {
+        if (typeof document === 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
     /**
      * Resize ImageData to target dimensions
      * @private
      */
     _resizeImageData(imageData, targetWidth, targetHeight) {
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = imageData.width;
-        tempCanvas.height = imageData.height;
+        const tempCanvas = this._createCanvas(imageData.width, imageData.height);
         const tempCtx = tempCanvas.getContext('2d');
         
         tempCtx.putImageData(imageData, 0, 0);
         
-        const targetCanvas = document.createElement('canvas');
-        targetCanvas.width = targetWidth;
-        targetCanvas.height = targetHeight;
+        const targetCanvas = this._createCanvas(targetWidth, targetHeight);
         const targetCtx = targetCanvas.getContext('2d');
         
         targetCtx.imageSmoothingEnabled = false;
@@ -288,8 +720,9 @@ class ImageSegmentation {
             // Resize to target dimensions if needed
             let resizedTensor = processedTensor;
             if (processedTensor.shape[0] !== height || processedTensor.shape[1] !== width) {
+                // Nearest-neighbour: interpolating class indices would invent classes at boundaries
                 const expandedTensor = processedTensor.expandDims(-1);
-                resizedTensor = tf.image.resizeBilinear(expandedTensor, [height, width], true);
+                resizedTensor = tf.image.resizeNearestNeighbor(expandedTensor, [height, width]);
                 resizedTensor = resizedTensor.squeeze(-1);
                 expandedTensor.dispose();
             }
@@ -353,7 +786,7 @@ class ImageSegmentation {
         const maskData = new ImageData(width, height);
         const maskArray = maskData.data;
         
-        if (clickedClass === 0) {
+        if (clickedClass === segmentationResult.backgroundClass) {
             // Clicked on background - create empty mask
             console.log('Clicked on background, creating empty mask');
             for (let i = 0; i < maskArray.length; i += 4) {
@@ -371,6 +804,174 @@ class ImageSegmentation {
         return maskData;
     }
 
+    /**
+     * Classes present in a segmentation with their pixel coverage, largest first
+     * @param {Object} segmentationResult - Whole-image result from segmentImage()
+     * @returns {Array<Object>} { classIndex, label, color: [r, g, b], pixels, coverage (0-1), isBackground }
+     */
+    getClassCoverage(segmentationResult) {
+        const data = segmentationResult.imageData.data;
+        const counts = new Map();
+        for (let i = 0; i < data.length; i += 4) {
+            counts.set(data[i], (counts.get(data[i]) || 0) + 1);
+        }
+        
+        const backend = this._getResultBackend(segmentationResult);
+        const total = data.length / 4;
+        return Array.from(counts, ([classIndex, pixels]) => {
+            const label = backend.getLabel(classIndex);
+            const legend = segmentationResult.legend;
+            return {
+                classIndex,
+                label,
+                color: (legend && legend[label]) || backend.getColor(classIndex),
+                pixels,
+                coverage: pixels / total,
+                isBackground: classIndex === segmentationResult.backgroundClass
+            };
+        }).sort((a, b) => b.pixels - a.pixels);
+    }
+
+    /**
+     * Create a binary mask of every pixel of one class (all connected components)
+     * @param {Object} segmentationResult - Whole-image result from segmentImage()
+     * @param {number} classIndex - Class to select
+     * @returns {ImageData} Binary mask at image size
+     */
+    createClassMask(segmentationResult, classIndex) {
+        const { width, height, data } = segmentationResult.imageData;
+        const maskData = new ImageData(width, height);
+        const maskArray = maskData.data;
+        
+        for (let i = 0; i < data.length; i += 4) {
+            const value = data[i] === classIndex ? 255 : 0;
+            maskArray[i] = value;
+            maskArray[i + 1] = value;
+            maskArray[i + 2] = value;
+            maskArray[i + 3] = 255;
+        }
+        
+        return maskData;
+    }
+
+    /**
+     * Create a full-size binary mask from a region segmentation.
+     * Picks the dominant non-background class inside the box, favouring the box center.
+     * @param {Object} regionResult - Result of segmentRegion()
+     * @param {number} fullWidth - Width of the full image
+     * @param {number} fullHeight - Height of the full image
+     * @returns {ImageData|null} Binary mask, or null if the box only contains background
+     */
+    createBoxMask(regionResult, fullWidth, fullHeight) {
+        const { imageData, rect } = regionResult;
+        const width = imageData.width;
+        const height = imageData.height;
+        const data = imageData.data;
+        
+        // Weight votes by closeness to the center - the object is usually framed by the box
+        const scores = new Map();
+        const centerX = width / 2;
+        const centerY = height / 2;
+        for (let y = 0; y < height; y++) {
+            const dy = Math.abs(y - centerY) / centerY;
+            for (let x = 0; x < width; x++) {
+                const classValue = data[(y * width + x) * 4];
+                if (classValue === regionResult.backgroundClass) continue;
+                
+                const dx = Math.abs(x - centerX) / centerX;
+                const weight = 2 - Math.max(dx, dy);
+                scores.set(classValue, (scores.get(classValue) || 0) + weight);
+            }
+        }
+        
+        if (scores.size === 0) {
+            console.log('Box contains only background');
+            return null;
+        }
+        
+        let targetClass = null;
+        let bestScore = -1;
+        scores.forEach((score, classValue) => {
+            if (score > bestScore) {
+                bestScore = score;
+                targetClass = classValue;
+            }
+        });
+        console.log('Box select class:', targetClass);
+        
+        // Composite the crop mask back into a full-size mask at the box offset
+        const maskData = new ImageData(fullWidth, fullHeight);
+        const maskArray = maskData.data;
+        for (let i = 3; i < maskArray.length; i += 4) {
+            maskArray[i] = 255;
+        }
+        for (let y = 0; y < height; y++) {
+            const targetY = rect.y + y;
+            if (targetY < 0 || targetY >= fullHeight) continue;
+            
+            for (let x = 0; x < width; x++) {
+                const targetX = rect.x + x;
+                if (targetX < 0 || targetX >= fullWidth) continue;
+                
+                if (data[(y * width + x) * 4] === targetClass) {
+                    const pixelIdx = (targetY * fullWidth + targetX) * 4;
+                    maskArray[pixelIdx] = 255;
+                    maskArray[pixelIdx + 1] = 255;
+                    maskArray[pixelIdx + 2] = 255;
+                }
+            }
+        }
+        
+        return maskData;
+    }
+
+    /**
+     * Find the most common class under a mask (e.g. to name an exported annotation)
+     * @param {Object} segmentationResult - Whole-image result from segmentImage()
+     * @param {ImageData} mask - White-on-black mask at image size
+     * @returns {Object|null} { classIndex, label }, or null if the mask is empty or mostly background
+     */
+    getDominantClass(segmentationResult, mask) {
+        const imageData = segmentationResult.imageData;
+        if (imageData.width !== mask.width || imageData.height !== mask.height) {
+            return null;
+        }
+        
+        const counts = new Map();
+        for (let i = 0; i < mask.data.length; i += 4) {
+            if (mask.data[i] > 128) {
+                const classValue = imageData.data[i];
+                counts.set(classValue, (counts.get(classValue) || 0) + 1);
+            }
+        }
+        
+        let dominantClass = null;
+        let bestCount = 0;
+        counts.forEach((count, classValue) => {
+            if (count > bestCount) {
+                bestCount = count;
+                dominantClass = classValue;
+            }
+        });
+        
+        if (dominantClass === null || dominantClass === segmentationResult.backgroundClass) {
+            return null;
+        }
+        
+        const backend = this._getResultBackend(segmentationResult);
+        return { classIndex: dominantClass, label: backend.getLabel(dominantClass) };
+    }
+
+    /**
+     * Backend that produced a result (labels may differ from the active backend's)
+     * @private
+     */
+    _getResultBackend(segmentationResult) {
+        return this.registry.has(segmentationResult.backendId)
+            ? this.registry.get(segmentationResult.backendId)
+            : this.backend;
+    }
+
     /**
      * Find connected component using flood fill starting from click point
      * @private
@@ -413,17 +1014,17 @@ class ImageSegmentation {
      * @returns {Object} Model metadata
      */
     getModelInfo() {
+        const backend = this.backend || this.registry.get(this.backendId);
         return {
             isLoaded: this.isModelLoaded,
-            modelType: 'DeepLab v3',
-            baseModel: 'Pascal VOC',
+            backendId: backend.id,
+            modelType: backend.type === 'deeplab' ? 'DeepLab v3' : 'TF.js graph model',
+            baseModel: backend.name,
+            inputSize: backend.inputSize,
             features: ['Connected Components'],
-            supportedClasses: [
-                'background', 'aeroplane', 'bicycle', 'bird', 'boat', 
-                'bottle', 'bus', 'car', 'cat', 'chair', 'cow', 
-                'diningtable', 'dog', 'horse', 'motorbike', 'person',
-                'pottedplant', 'sheep', 'sofa', 'train', 'tvmonitor'
-            ]
+            supportedClasses: backend.labels,
+            colormap: backend.colormap,
+            backgroundClass: backend.backgroundClass
         };
     }
 
@@ -431,18 +1032,18 @@ class ImageSegmentation {
      * Dispose of the model to free memory
      */
     dispose() {
-        if (this.model && typeof this.model.dispose === 'function') {
-            this.model.dispose();
+        this._terminateWorker();
+        
+        if (this.backend) {
+            this.backend.dispose();
+            this.backend = null;
             this.model = null;
             this.isModelLoaded = false;
+            this.loadingPromise = null;
             console.log('Segmentation model disposed');
         }
-        
-        // Clear caches
-        this.lastImageData = null;
-        this.lastSegmentation = null;
     }
 }
 
-// Export as global for use in other modules
-window.ImageSegmentation = ImageSegmentation;
\ No newline at end of file
+// Export as global for use in other modules (self is window on the page, the worker scope in the worker)
+self.ImageSegmentation = ImageSegmentation;
\ No newline at end of file
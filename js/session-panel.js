@@ -0,0 +1,100 @@
+// js/session-panel.js - List of autosaved sessions with restore and delete
+
+class SessionPanel {
+    /**
+     * @param {HTMLElement} panelElement - Section hidden while there are no sessions
+     * @param {HTMLElement} listElement - List the session rows are rendered into
+     */
+    constructor(panelElement, listElement) {
+        this.panel = panelElement;
+        this.list = listElement;
+        this.sessions = [];
+        this.currentId = null; // Session open in the editor
+
+        // Callbacks set by the app: (id) => void
+        this.onRestore = null;
+        this.onDelete = null;
+    }
+
+    /**
+     * Show sessions from SessionStore.list()
+     * @param {string|null} currentId - Session open in the editor (can't be restored again)
+     */
+    setSessions(sessions, currentId = null) {
+        this.sessions = sessions;
+        this.currentId = currentId;
+        this.render();
+    }
+
+    render() {
+        this.panel.style.display = this.sessions.length > 0 ? '' : 'none';
+        this.list.innerHTML = '';
+        this.sessions.forEach(session => this.list.appendChild(this._createRow(session)));
+    }
+
+    /**
+     * @private
+     */
+    _createRow(session) {
+        const row = document.createElement('li');
+        row.className = 'session-item';
+        row.classList.toggle('current', session.id === this.currentId);
+
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'session-thumbnail';
+        thumbnail.alt = '';
+        if (session.thumbnail) {
+            thumbnail.src = session.thumbnail;
+        }
+
+        const info = document.createElement('div');
+        info.className = 'session-info';
+        const name = document.createElement('span');
+        name.className = 'session-name';
+        name.textContent = session.name;
+        name.title = `${session.name} (${session.width}×${session.height})`;
+        const details = document.createElement('span');
+        details.className = 'session-details';
+        details.textContent = `${session.edits} edit${session.edits === 1 ? '' : 's'} · ${this._formatTime(session.updated)}`;
+        info.append(name, details);
+
+        const restore = document.createElement('button');
+        restore.className = 'session-btn';
+        restore.textContent = session.id === this.currentId ? 'Open' : 'Restore';
+        restore.title = session.id === this.currentId ? 'This session is open' : 'Open this image with its masks and history';
+        restore.disabled = session.id === this.currentId;
+        restore.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onRestore) {
+                this.onRestore(session.id);
+            }
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'session-btn';
+        remove.textContent = 'Delete';
+        remove.title = 'Delete this saved session';
+        remove.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onDelete && confirm(`Delete the saved session for "${session.name}"?`)) {
+                this.onDelete(session.id);
+            }
+        });
+
+        row.append(thumbnail, info, restore, remove);
+        return row;
+    }
+
+    /**
+     * @private
+     */
+    _formatTime(time) {
+        const date = new Date(time);
+        return date.toDateString() === new Date().toDateString()
+            ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : date.toLocaleDateString();
+    }
+}
+
+// Export as global for use in other modules
+window.SessionPanel = SessionPanel;
@@ -0,0 +1,145 @@
+// js/session-store.js - Autosaved editing sessions (image, layers, history, tool settings) in IndexedDB
+
+class SessionStore {
+    /**
+     * Sessions are split over three object stores so listing them stays cheap:
+     * sessions (metadata and thumbnail), states (layers, history, settings) and images (original file).
+     * @param {Object} options - { dbName }
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'ai-segmentation-sessions';
+        this.version = 1;
+        this.dbPromise = null;
+    }
+
+    /**
+     * IndexedDB can be missing or blocked (e.g. some private browsing modes)
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * New unique session id
+     */
+    createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Metadata of all sessions, most recently updated first
+     * @returns {Promise<Array<Object>>} { id, name, width, height, edits, created, updated, thumbnail }
+     */
+    async list() {
+        const db = await this._open();
+        const sessions = await this._request(db.transaction('sessions').objectStore('sessions').getAll());
+        return sessions.sort((a, b) => b.updated - a.updated);
+    }
+
+    /**
+     * Store the image of a session (once, when the session is created)
+     * @param {string} id - Session id
+     * @param {Blob} image - Original image file
+     */
+    async saveImage(id, image) {
+        const db = await this._open();
+        const transaction = db.transaction('images', 'readwrite');
+        transaction.objectStore('images').put({ id, image });
+        await this._complete(transaction);
+    }
+
+    /**
+     * Write a session's metadata and state together
+     * @param {Object} meta - { id, name, width, height, edits, created, thumbnail }
+     * @param {Object} state - { mask: MaskTools.exportSession(), settings }
+     */
+    async save(meta, state) {
+        const db = await this._open();
+        const transaction = db.transaction(['sessions', 'states'], 'readwrite');
+        transaction.objectStore('sessions').put({ ...meta, updated: Date.now() });
+        transaction.objectStore('states').put({ id: meta.id, ...state });
+        await this._complete(transaction);
+    }
+
+    /**
+     * Read a whole session
+     * @returns {Promise<Object|null>} { meta, state, image }, or null if it doesn't exist
+     */
+    async load(id) {
+        const db = await this._open();
+        const transaction = db.transaction(['sessions', 'states', 'images']);
+        const [meta, state, image] = await Promise.all(['sessions', 'states', 'images']
+            .map(name => this._request(transaction.objectStore(name).get(id))));
+
+        if (!meta || !state || !image) return null;
+        return { meta, state, image: image.image };
+    }
+
+    /**
+     * Delete a session from all stores
+     */
+    async delete(id) {
+        const db = await this._open();
+        const transaction = db.transaction(['sessions', 'states', 'images'], 'readwrite');
+        ['sessions', 'states', 'images'].forEach(name => transaction.objectStore(name).delete(id));
+        await this._complete(transaction);
+    }
+
+    /**
+     * Open (and on first use create) the database
+     * @private
+     */
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.isAvailable()) {
+                    reject(new Error('IndexedDB is not available in this browser.'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    ['sessions', 'states', 'images'].forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, { keyPath: 'id' });
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Session storage is blocked by another tab.'));
+            });
+
+            // Allow retrying after a failure
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * @private
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Session storage transaction aborted.'));
+        });
+    }
+}
+
+// Export as global for use in other modules
+window.SessionStore = SessionStore;
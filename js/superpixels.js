@@ -0,0 +1,420 @@
+// js/superpixels.js - SLIC superpixel over-segmentation for edge-aligned manual selection
+
+class SuperpixelSegmenter {
+    /**
+     * @param {Object} options - { compactness, iterations, maxPixels: larger images are clustered downscaled }
+     */
+    constructor(options = {}) {
+        this.compactness = options.compactness || 10; // Color vs. distance weight
+        this.iterations = options.iterations || 10;
+        this.maxPixels = options.maxPixels || 1500000;
+        
+        // sRGB to linear lookup (one extra entry for interpolating up to 255)
+        this.linearTable = new Float32Array(257);
+        for (let v = 0; v <= 256; v++) {
+            const c = Math.min(255, v) / 255;
+            this.linearTable[v] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        }
+    }
+
+    /**
+     * Over-segment an image into superpixels
+     * @param {Uint8ClampedArray} pixels - RGBA image pixels
+     * @param {number} regionSize - Approximate superpixel width in pixels
+     * @returns {Object} { regionSize, width, height, count, labels, offsets, indices, bounds }
+     *   labels: superpixel per pixel; indices: pixel indices grouped by superpixel,
+     *   superpixel k owns indices[offsets[k]..offsets[k + 1]); bounds: minX, minY, maxX, maxY per superpixel
+     */
+    segment(pixels, width, height, regionSize) {
+        const scale = Math.max(1, Math.sqrt(width * height / this.maxPixels));
+        const w = Math.max(1, Math.round(width / scale));
+        const h = Math.max(1, Math.round(height / scale));
+        const size = Math.max(4, regionSize / scale);
+
+        const lab = this._toLab(this._downscale(pixels, width, height, w, h), w * h);
+        const clustered = this._cluster(lab, w, h, size);
+        const { labels: lowLabels, count } = this._enforceConnectivity(clustered, w, h, size);
+
+        let labels = lowLabels;
+        if (w !== width || h !== height) {
+            const centers = this._computeCenters(lab, lowLabels, count, w, h);
+            labels = this._upscale(lowLabels, centers, pixels, width, height, w, h, size);
+        }
+
+        return { regionSize, ...this._index(labels, count, width, height) };
+    }
+
+    /**
+     * Area-average the RGB channels to w x h
+     * @private
+     */
+    _downscale(pixels, width, height, w, h) {
+        const rgb = new Float32Array(w * h * 3);
+        if (w === width && h === height) {
+            for (let i = 0; i < w * h; i++) {
+                rgb[i * 3] = pixels[i * 4];
+                rgb[i * 3 + 1] = pixels[i * 4 + 1];
+                rgb[i * 3 + 2] = pixels[i * 4 + 2];
+            }
+            return rgb;
+        }
+
+        const counts = new Float32Array(w * h);
+        for (let y = 0; y < height; y++) {
+            const ty = Math.min(h - 1, Math.floor(y * h / height));
+            for (let x = 0; x < width; x++) {
+                const t = ty * w + Math.min(w - 1, Math.floor(x * w / width));
+                const i = (y * width + x) * 4;
+                rgb[t * 3] += pixels[i];
+                rgb[t * 3 + 1] += pixels[i + 1];
+                rgb[t * 3 + 2] += pixels[i + 2];
+                counts[t]++;
+            }
+        }
+        for (let t = 0; t < w * h; t++) {
+            const n = counts[t] || 1;
+            rgb[t * 3] /= n;
+            rgb[t * 3 + 1] /= n;
+            rgb[t * 3 + 2] /= n;
+        }
+        return rgb;
+    }
+
+    /**
+     * sRGB to CIELAB (D65)
+     * @private
+     */
+    _toLab(rgb, count) {
+        const lab = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            this._rgbToLab(rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2], lab, i * 3);
+        }
+        return lab;
+    }
+
+    /**
+     * Convert one color, writing L, a, b at out[offset..offset + 2]
+     * @private
+     */
+    _rgbToLab(r, g, b, out, offset) {
+        const table = this.linearTable;
+        const linear = (c) => {
+            const i = Math.floor(c);
+            return table[i] + (table[i + 1] - table[i]) * (c - i);
+        };
+        const lr = linear(r), lg = linear(g), lb = linear(b);
+        const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+        const fx = f((lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047);
+        const fy = f(lr * 0.2126 + lg * 0.7152 + lb * 0.0722);
+        const fz = f((lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883);
+        out[offset] = 116 * fy - 16;
+        out[offset + 1] = 500 * (fx - fy);
+        out[offset + 2] = 200 * (fy - fz);
+    }
+
+    /**
+     * SLIC: k-means in (L, a, b, x, y) with each center searching a 2S x 2S window
+     * @private
+     */
+    _cluster(lab, w, h, size) {
+        const gridX = Math.max(1, Math.round(w / size));
+        const gridY = Math.max(1, Math.round(h / size));
+        const k = gridX * gridY;
+        const centers = new Float64Array(k * 5); // L, a, b, x, y
+
+        // Grid seeds, moved to the lowest gradient in their 3x3 neighborhood
+        const gradient = (x, y) => {
+            const right = y * w + Math.min(w - 1, x + 1), left = y * w + Math.max(0, x - 1);
+            const down = Math.min(h - 1, y + 1) * w + x, up = Math.max(0, y - 1) * w + x;
+            let sum = 0;
+            for (let c = 0; c < 3; c++) {
+                sum += (lab[right * 3 + c] - lab[left * 3 + c]) ** 2 + (lab[down * 3 + c] - lab[up * 3 + c]) ** 2;
+            }
+            return sum;
+        };
+        for (let gy = 0; gy < gridY; gy++) {
+            for (let gx = 0; gx < gridX; gx++) {
+                let cx = Math.min(w - 1, Math.floor((gx + 0.5) * w / gridX));
+                let cy = Math.min(h - 1, Math.floor((gy + 0.5) * h / gridY));
+                let best = gradient(cx, cy);
+                const x0 = cx, y0 = cy;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const x = x0 + dx, y = y0 + dy;
+                        if (x < 0 || y < 0 || x >= w || y >= h) continue;
+                        const g = gradient(x, y);
+                        if (g < best) {
+                            best = g;
+                            cx = x;
+                            cy = y;
+                        }
+                    }
+                }
+                const c = (gy * gridX + gx) * 5;
+                const i = cy * w + cx;
+                centers[c] = lab[i * 3];
+                centers[c + 1] = lab[i * 3 + 1];
+                centers[c + 2] = lab[i * 3 + 2];
+                centers[c + 3] = cx;
+                centers[c + 4] = cy;
+            }
+        }
+
+        const labels = new Int32Array(w * h);
+        const distances = new Float32Array(w * h);
+        const spatialWeight = (this.compactness / size) ** 2;
+        const sums = new Float64Array(k * 6);
+
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            distances.fill(Infinity);
+            for (let n = 0; n < k; n++) {
+                const c = n * 5;
+                const x0 = Math.max(0, Math.floor(centers[c + 3] - size));
+                const x1 = Math.min(w, Math.ceil(centers[c + 3] + size));
+                const y0 = Math.max(0, Math.floor(centers[c + 4] - size));
+                const y1 = Math.min(h, Math.ceil(centers[c + 4] + size));
+                for (let y = y0; y < y1; y++) {
+                    const dy = y - centers[c + 4];
+                    for (let x = x0; x < x1; x++) {
+                        const i = y * w + x;
+                        const dl = lab[i * 3] - centers[c];
+                        const da = lab[i * 3 + 1] - centers[c + 1];
+                        const db = lab[i * 3 + 2] - centers[c + 2];
+                        const dx = x - centers[c + 3];
+                        const d = dl * dl + da * da + db * db + (dx * dx + dy * dy) * spatialWeight;
+                        if (d < distances[i]) {
+                            distances[i] = d;
+                            labels[i] = n;
+                        }
+                    }
+                }
+            }
+
+            // Move centers to the mean of their pixels
+            sums.fill(0);
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    const i = y * w + x;
+                    const s = labels[i] * 6;
+                    sums[s] += lab[i * 3];
+                    sums[s + 1] += lab[i * 3 + 1];
+                    sums[s + 2] += lab[i * 3 + 2];
+                    sums[s + 3] += x;
+                    sums[s + 4] += y;
+                    sums[s + 5]++;
+                }
+            }
+            for (let n = 0; n < k; n++) {
+                const count = sums[n * 6 + 5];
+                if (count === 0) continue;
+                for (let c = 0; c < 5; c++) {
+                    centers[n * 5 + c] = sums[n * 6 + c] / count;
+                }
+            }
+        }
+
+        return labels;
+    }
+
+    /**
+     * Relabel connected components; fragments under a quarter of the target size join a neighbor
+     * @private
+     */
+    _enforceConnectivity(labels, w, h, size) {
+        const minSize = Math.max(1, Math.floor(size * size / 4));
+        const result = new Int32Array(w * h).fill(-1);
+        const queue = new Int32Array(w * h);
+        let count = 0;
+
+        for (let start = 0; start < w * h; start++) {
+            if (result[start] >= 0) continue;
+
+            // Raster order: the left or upper neighbor is already labeled
+            const sx = start % w;
+            let adjacent = -1;
+            if (sx > 0) {
+                adjacent = result[start - 1];
+            } else if (start >= w) {
+                adjacent = result[start - w];
+            }
+
+            const original = labels[start];
+            result[start] = count;
+            queue[0] = start;
+            let length = 1;
+            for (let head = 0; head < length; head++) {
+                const i = queue[head];
+                const x = i % w;
+                const neighbors = [
+                    x > 0 ? i - 1 : -1,
+                    x < w - 1 ? i + 1 : -1,
+                    i >= w ? i - w : -1,
+                    i < w * (h - 1) ? i + w : -1
+                ];
+                for (const j of neighbors) {
+                    if (j >= 0 && result[j] < 0 && labels[j] === original) {
+                        result[j] = count;
+                        queue[length++] = j;
+                    }
+                }
+            }
+
+            if (length < minSize && adjacent >= 0) {
+                for (let q = 0; q < length; q++) {
+                    result[queue[q]] = adjacent;
+                }
+            } else {
+                count++;
+            }
+        }
+
+        return { labels: result, count };
+    }
+
+    /**
+     * Mean Lab color and position of every superpixel
+     * @private
+     */
+    _computeCenters(lab, labels, count, w, h) {
+        const centers = new Float64Array(count * 5);
+        const counts = new Float64Array(count);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const i = y * w + x;
+                const c = labels[i] * 5;
+                centers[c] += lab[i * 3];
+                centers[c + 1] += lab[i * 3 + 1];
+                centers[c + 2] += lab[i * 3 + 2];
+                centers[c + 3] += x;
+                centers[c + 4] += y;
+                counts[labels[i]]++;
+            }
+        }
+        for (let n = 0; n < count; n++) {
+            for (let c = 0; c < 5; c++) {
+                centers[n * 5 + c] /= counts[n] || 1;
+            }
+        }
+        return centers;
+    }
+
+    /**
+     * Upsample labels; pixels in cells next to a boundary pick the closest
+     * neighboring superpixel by their own color, so edges stay at full resolution
+     * @private
+     */
+    _upscale(lowLabels, centers, pixels, width, height, w, h, size) {
+        const labels = new Int32Array(width * height);
+        const spatialWeight = (this.compactness / size) ** 2;
+        const candidates = [];
+        const color = new Float32Array(3);
+        
+        // Cells with a differently labeled 8-neighbor
+        const boundary = new Uint8Array(w * h);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const own = lowLabels[y * w + x];
+                for (let ny = Math.max(0, y - 1); ny <= Math.min(h - 1, y + 1) && !boundary[y * w + x]; ny++) {
+                    for (let nx = Math.max(0, x - 1); nx <= Math.min(w - 1, x + 1); nx++) {
+                        if (lowLabels[ny * w + nx] !== own) {
+                            boundary[y * w + x] = 1;
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+
+        for (let y = 0; y < height; y++) {
+            const fy = (y + 0.5) * h / height - 0.5;
+            const ly = Math.min(h - 1, Math.floor((y * h) / height));
+            for (let x = 0; x < width; x++) {
+                const lx = Math.min(w - 1, Math.floor((x * w) / width));
+                const index = y * width + x;
+                const own = lowLabels[ly * w + lx];
+                if (!boundary[ly * w + lx]) {
+                    labels[index] = own;
+                    continue;
+                }
+
+                candidates.length = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = ly + dy;
+                    if (ny < 0 || ny >= h) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = lx + dx;
+                        if (nx < 0 || nx >= w) continue;
+                        const label = lowLabels[ny * w + nx];
+                        if (label !== own && !candidates.includes(label)) {
+                            candidates.push(label);
+                        }
+                    }
+                }
+
+                const fx = (x + 0.5) * w / width - 0.5;
+                candidates.push(own);
+                const i = index * 4;
+                this._rgbToLab(pixels[i], pixels[i + 1], pixels[i + 2], color, 0);
+                const [l, a, b] = color;
+                let best = own;
+                let bestDistance = Infinity;
+                for (const label of candidates) {
+                    const c = label * 5;
+                    const dx = fx - centers[c + 3];
+                    const dy = fy - centers[c + 4];
+                    const d = (l - centers[c]) ** 2 + (a - centers[c + 1]) ** 2 + (b - centers[c + 2]) ** 2
+                        + (dx * dx + dy * dy) * spatialWeight;
+                    if (d < bestDistance) {
+                        bestDistance = d;
+                        best = label;
+                    }
+                }
+                labels[index] = best;
+            }
+        }
+
+        return labels;
+    }
+
+    /**
+     * Group pixel indices by superpixel and compute bounding boxes
+     * @private
+     */
+    _index(labels, count, width, height) {
+        const offsets = new Int32Array(count + 1);
+        for (let i = 0; i < labels.length; i++) {
+            offsets[labels[i] + 1]++;
+        }
+        for (let n = 0; n < count; n++) {
+            offsets[n + 1] += offsets[n];
+        }
+
+        const indices = new Int32Array(labels.length);
+        const fill = offsets.slice(0, count);
+        const bounds = new Int32Array(count * 4);
+        for (let n = 0; n < count; n++) {
+            bounds[n * 4] = width;
+            bounds[n * 4 + 1] = height;
+            bounds[n * 4 + 2] = -1;
+            bounds[n * 4 + 3] = -1;
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const n = labels[i];
+                indices[fill[n]++] = i;
+                const b = n * 4;
+                if (x < bounds[b]) bounds[b] = x;
+                if (y < bounds[b + 1]) bounds[b + 1] = y;
+                if (x > bounds[b + 2]) bounds[b + 2] = x;
+                if (y > bounds[b + 3]) bounds[b + 3] = y;
+            }
+        }
+
+        return { width, height, count, labels, offsets, indices, bounds };
+    }
+}
+
+// Export as global for use in other modules
+window.SuperpixelSegmenter = SuperpixelSegmenter;
@@ -3,11 +3,14 @@
 class MaskTools {
     constructor(canvasContainer, maskCanvas, overlayCanvas) {
         this.canvasContainer = canvasContainer;
-        this.maskCanvas = maskCanvas;
+        this.displayCanvas = maskCanvas;
         this.overlayCanvas = overlayCanvas;
-        this.maskCtx = maskCanvas.getContext('2d');
         this.overlayCtx = overlayCanvas.getContext('2d');
         
+        // Named mask layers; drawing goes to the active layer (see maskCanvas/maskCtx)
+        this.layers = new LayerManager(maskCanvas);
+        this.onLockedLayer = null; // Callback set by the app when an edit hits a locked layer
+        
         // Enhanced magnifier setup - larger and positioned away from cursor
         this.magnifier = document.getElementById('magnifier');
         this.magnifierCanvas = document.getElementById('magnifierCanvas');
@@ -23,17 +26,60 @@ class MaskTools {
         // Tool state
         this.currentTool = 'click';
         this.brushSize = 25;
+        this.brushHardness = 1; // 0 = fully soft edge, 1 = hard edge
+        this.brushOpacity = 1;
+        this.featherRadius = 0; // Edge blur for AI selections, in pixels
         this.isDrawing = false;
         this.isDragging = false;
         
-        // History for undo/redo
-        this.history = [];
-        this.historyStep = -1;
-        this.maxHistorySize = 20;
-        
-        // Lasso tool state
+        // Magic wand: max per-channel color difference (0-255) and flood mode
+        this.wandTolerance = 32;
+        this.wandContiguous = true;
+        this.imageCanvas = null; // Set by the app for tools that sample image colors
+        this.imagePixels = null; // Cached image pixels (see getImagePixels)
+        
+        // Superpixel tool: SuperpixelSegmenter result set by the app; a drag adds or removes throughout
+        this.superpixels = null;
+        this.superpixelAdd = true;
+        this.visitedSuperpixels = null;
+        this.hoverSuperpixel = -1;
+        
+        // Selection color on layer canvases; alpha is the coverage
+        this.maskColor = 'rgb(0, 180, 20)';
+        this.filters = new MatteFilters();
+        
+        // Brush stroke buffers (see beginStroke)
+        this.strokeBase = null;
+        this.strokeCanvas = null;
+        this.strokeCtx = null;
+        this.strokeAlpha = null;
+        this.strokeBounds = null;
+        
+        // Undo/redo as diffs of the edited layer. Brush and erase entries also
+        // keep the stroke's footprint for GrabCut constraints.
+        this.history = new MaskHistory();
+        this.historyPreviewOrigin = null; // Position to return to while previewing another state
+        this.onHistoryChange = null; // Callback set by the app when entries or the position change
+        
+        // Lasso tool state: anchors, plus the edge-following path after each anchor in magnetic mode
         this.lassoPoints = [];
+        this.lassoPaths = [];
         this.isLassoActive = false;
+        this.lassoMagnetic = false;
+        this.liveWire = null; // Built on first magnetic use
+        
+        // Lasso editing: dragging records freehand points; a closed lasso can be edited until committed
+        this.lassoClosed = false;
+        this.lassoFreehand = false; // Points were added by dragging during the current press
+        this.activeVertex = -1; // Vertex being dragged
+        this.hoverVertex = -1;
+        this.freehandSpacing = 4; // Minimum distance between freehand points, in screen pixels
+        
+        // Box select state
+        this.boxStart = null;
+        this.boxEnd = null;
+        this.boxSubtract = false;
+        this.onBoxSelect = null; // Callback set by the app: (rect, { subtract }) => void
         
         // Mouse/touch tracking
         this.lastPoint = null;
@@ -47,9 +93,39 @@ class MaskTools {
         this.handleTouchMove = this.handleTouchMove.bind(this);
         this.handleTouchEnd = this.handleTouchEnd.bind(this);
         this.handleDoubleClick = this.handleDoubleClick.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
+        this.handlePointerEnter = this.handlePointerEnter.bind(this);
+        this.handleContextMenu = this.handleContextMenu.bind(this);
         
         this.setupEventListeners();
-        this.saveState(); // Save initial state
+        this.resetHistory();
+    }
+
+    /**
+     * Canvas of the active layer (what the tools draw on)
+     */
+    get maskCanvas() {
+        return this.layers.getActiveLayer().canvas;
+    }
+
+    /**
+     * Context of the active layer
+     */
+    get maskCtx() {
+        return this.layers.getActiveLayer().ctx;
+    }
+
+    /**
+     * Check whether the active layer accepts edits, notifying the app if not
+     */
+    canEditActiveLayer() {
+        if (!this.layers.getActiveLayer().locked) {
+            return true;
+        }
+        if (this.onLockedLayer) {
+            this.onLockedLayer(this.layers.getActiveLayer());
+        }
+        return false;
     }
 
     /**
@@ -60,19 +136,8 @@ class MaskTools {
         this.overlayCanvas.addEventListener('mousedown', this.handlePointerDown);
         this.overlayCanvas.addEventListener('mousemove', this.handlePointerMove);
         this.overlayCanvas.addEventListener('mouseup', this.handlePointerUp);
-        this.overlayCanvas.addEventListener('mouseleave', (e) => {
-            this.handlePointerUp();
-            // Hide magnifier when leaving canvas
-            if (['brush', 'erase', 'lasso', 'lasso-erase'].includes(this.currentTool)) {
-                this.hideMagnifier();
-            }
-        });
-        this.overlayCanvas.addEventListener('mouseenter', () => {
-            // Show magnifier when entering canvas with precision tools
-            if (['brush', 'erase', 'lasso', 'lasso-erase'].includes(this.currentTool)) {
-                this.showMagnifier();
-            }
-        });
+        this.overlayCanvas.addEventListener('mouseleave', this.handlePointerLeave);
+        this.overlayCanvas.addEventListener('mouseenter', this.handlePointerEnter);
         this.overlayCanvas.addEventListener('dblclick', this.handleDoubleClick);
         
         // Touch events for mobile support
@@ -81,7 +146,36 @@ class MaskTools {
         this.overlayCanvas.addEventListener('touchend', this.handleTouchEnd, { passive: false });
         
         // Prevent context menu on right-click
-        this.overlayCanvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        this.overlayCanvas.addEventListener('contextmenu', this.handleContextMenu);
+    }
+
+    /**
+     * Handle the pointer leaving the canvas
+     */
+    handlePointerLeave() {
+        this.handlePointerUp();
+        if (this.currentTool === 'superpixel') {
+            this.hoverSuperpixel = -1;
+            this.clearOverlay();
+        }
+        // Hide magnifier when leaving canvas
+        if (this.isPrecisionTool(this.currentTool)) {
+            this.hideMagnifier();
+        }
+    }
+
+    /**
+     * Handle the pointer entering the canvas
+     */
+    handlePointerEnter() {
+        // Show magnifier when entering canvas with precision tools
+        if (this.isPrecisionTool(this.currentTool)) {
+            this.showMagnifier();
+        }
+    }
+
+    handleContextMenu(e) {
+        e.preventDefault();
     }
 
     /**
@@ -89,6 +183,16 @@ class MaskTools {
      */
     handleTouchStart(e) {
         e.preventDefault();
+        
+        // A second finger pinch-zooms the viewport; end the one-finger action
+        if (e.touches.length > 1) {
+            if (this.lastTouchPos) {
+                this.lastTouchPos = null;
+                this.handlePointerUp();
+            }
+            return;
+        }
+        
         const touch = e.touches[0];
         const rect = this.overlayCanvas.getBoundingClientRect();
         const point = {
@@ -105,7 +209,7 @@ class MaskTools {
      */
     handleTouchMove(e) {
         e.preventDefault();
-        if (!this.lastTouchPos) return;
+        if (!this.lastTouchPos || e.touches.length > 1) return;
         
         const touch = e.touches[0];
         const rect = this.overlayCanvas.getBoundingClientRect();
@@ -130,8 +234,34 @@ class MaskTools {
      * Handle double-click events (for lasso completion)
      */
     handleDoubleClick(e) {
-        if ((this.currentTool === 'lasso' || this.currentTool === 'lasso-erase') && this.isLassoActive) {
-            this.completeLasso();
+        if ((this.currentTool === 'lasso' || this.currentTool === 'lasso-erase') && this.isLassoActive && !this.lassoClosed) {
+            this.closeLasso();
+        }
+    }
+
+    /**
+     * Handle keys for the active tool
+     * @returns {boolean} True if the key was used
+     */
+    handleKeyDown(e) {
+        if (!this.isLassoActive) return false;
+        
+        switch (e.key) {
+            case 'Enter':
+                this.completeLasso();
+                return true;
+            case 'Escape':
+                this.cancelLasso();
+                return true;
+            case 'Delete':
+            case 'Backspace':
+                if (this.lassoClosed && this.hoverVertex !== -1) {
+                    this.deleteLassoVertex(this.hoverVertex);
+                    return true;
+                }
+                return false;
+            default:
+                return false;
         }
     }
 
@@ -148,24 +278,58 @@ class MaskTools {
                 break;
                 
             case 'brush':
+                if (!this.canEditActiveLayer()) break;
                 this.isDrawing = true;
-                this.lastPoint = point;
+                this.beginStroke();
                 this.drawBrushStroke(point, false);
+                this.lastPoint = point;
                 break;
                 
             case 'erase':
+                if (!this.canEditActiveLayer()) break;
                 this.isDrawing = true;
-                this.lastPoint = point;
+                this.beginStroke();
                 this.drawBrushStroke(point, true);
+                this.lastPoint = point;
                 break;
                 
             case 'lasso':
             case 'lasso-erase':
+                if (this.lassoClosed) {
+                    this.startVertexEdit(point, isRightClick || e.altKey);
+                    break;
+                }
                 if (!this.isLassoActive) {
+                    if (!this.canEditActiveLayer()) break;
                     this.startLasso(point);
                 } else {
                     this.addLassoPoint(point);
                 }
+                // Dragging from here records a freehand outline
+                this.isDrawing = true;
+                this.lassoFreehand = false;
+                break;
+                
+            case 'wand':
+                this.selectByColor(point, { subtract: Boolean(e.ctrlKey || e.metaKey) });
+                break;
+                
+            case 'superpixel': {
+                const label = this.getSuperpixelAt(point);
+                if (label === -1 || !this.canEditActiveLayer()) break;
+                // Clicking a selected superpixel removes it; Ctrl always removes
+                this.superpixelAdd = !(e.ctrlKey || e.metaKey) && !this.isSuperpixelSelected(label);
+                this.visitedSuperpixels = new Set([label]);
+                this.isDrawing = true;
+                this.setSuperpixel(label, this.superpixelAdd);
+                break;
+            }
+                
+            case 'box':
+                this.boxStart = this.clampPoint(point);
+                this.boxEnd = this.boxStart;
+                this.boxSubtract = Boolean(e.ctrlKey || e.metaKey);
+                this.isDrawing = true;
                 break;
         }
     }
@@ -176,9 +340,11 @@ class MaskTools {
     handlePointerMove(e) {
         const point = e.point || this.getMousePos(e);
         
-        // Update magnifier for precision tools - pass the original event
-        if (['brush', 'erase', 'lasso', 'lasso-erase'].includes(this.currentTool)) {
-            this.updateMagnifier(point, e);
+        // Update magnifier for precision tools - pass the original event.
+        // While a lasso vertex is dragged the magnifier follows the vertex.
+        if (this.isPrecisionTool(this.currentTool)) {
+            const vertex = this.activeVertex !== -1 ? this.clampPoint(point) : point;
+            this.updateMagnifier(vertex, e);
         }
         
         // Update cursor preview
@@ -201,8 +367,36 @@ class MaskTools {
                 
             case 'lasso':
             case 'lasso-erase':
-                if (this.isLassoActive) {
-                    this.updateLassoPreview(point);
+                if (this.lassoClosed) {
+                    this.updateVertexEdit(point);
+                } else if (this.isLassoActive) {
+                    const lastPoint = this.lassoPoints[this.lassoPoints.length - 1];
+                    const spacing = this.freehandSpacing * this.getCanvasScale();
+                    if (this.isDrawing && Math.hypot(point.x - lastPoint.x, point.y - lastPoint.y) >= spacing) {
+                        this.addFreehandPoint(point);
+                    } else {
+                        this.updateLassoPreview(point);
+                    }
+                }
+                break;
+                
+            case 'superpixel': {
+                const label = this.getSuperpixelAt(point);
+                if (this.isDrawing && label !== -1 && !this.visitedSuperpixels.has(label)) {
+                    this.visitedSuperpixels.add(label);
+                    this.setSuperpixel(label, this.superpixelAdd);
+                }
+                if (label !== this.hoverSuperpixel) {
+                    this.hoverSuperpixel = label;
+                    this.drawSuperpixelOutline(label);
+                }
+                break;
+            }
+                
+            case 'box':
+                if (this.isDrawing && this.boxStart) {
+                    this.boxEnd = this.clampPoint(point);
+                    this.drawBoxPreview();
                 }
                 break;
         }
@@ -218,13 +412,49 @@ class MaskTools {
                 if (this.isDrawing) {
                     this.isDrawing = false;
                     this.lastPoint = null;
-                    this.saveState();
+                    const stroke = this.getStrokeFootprint(this.currentTool === 'erase');
+                    this.endStroke();
+                    this.saveState({
+                        type: 'brush',
+                        params: {
+                            size: this.brushSize,
+                            hardness: this.brushHardness,
+                            opacity: this.brushOpacity,
+                            erase: this.currentTool === 'erase'
+                        },
+                        stroke
+                    });
                 }
                 break;
                 
             case 'lasso':
             case 'lasso-erase':
-                // Lasso completion is handled by double-click
+                // Lasso completion is handled by double-click and Enter
+                if (this.activeVertex !== -1) {
+                    this.finishVertexEdit();
+                } else if (this.isDrawing) {
+                    this.isDrawing = false;
+                    if (this.lassoFreehand && this.isMagneticLasso()) {
+                        // Continue edge snapping from the end of the freehand part
+                        this.liveWire.setSeed(this.lassoPoints[this.lassoPoints.length - 1]);
+                    }
+                    this.lassoFreehand = false;
+                }
+                break;
+                
+            case 'superpixel':
+                if (this.isDrawing) {
+                    this.isDrawing = false;
+                    this.visitedSuperpixels = null;
+                    this.saveState({ type: 'superpixel', params: { subtract: !this.superpixelAdd } });
+                }
+                break;
+                
+            case 'box':
+                if (this.isDrawing) {
+                    this.isDrawing = false;
+                    this.completeBox();
+                }
                 break;
         }
         
@@ -244,39 +474,376 @@ class MaskTools {
     }
 
     /**
-     * Draw brush stroke on mask canvas with enhanced opacity
+     * Canvas pixels per screen pixel (for hit testing at a constant on-screen size)
+     */
+    getCanvasScale() {
+        const rect = this.overlayCanvas.getBoundingClientRect();
+        return rect.width > 0 ? this.overlayCanvas.width / rect.width : 1;
+    }
+
+    /**
+     * Clamp a point to the canvas bounds
+     */
+    clampPoint(point) {
+        return {
+            x: Math.max(0, Math.min(this.overlayCanvas.width, point.x)),
+            y: Math.max(0, Math.min(this.overlayCanvas.height, point.y))
+        };
+    }
+
+    /**
+     * Check whether a tool uses the magnifier
+     */
+    isPrecisionTool(tool) {
+        return ['brush', 'erase', 'lasso', 'lasso-erase', 'box'].includes(tool);
+    }
+
+    /**
+     * Start a brush stroke: keep the layer as it was and an empty stroke buffer.
+     * The stroke is drawn into the buffer at full strength and applied to the layer
+     * at the brush opacity, so overlapping segments of one stroke don't build up.
+     */
+    beginStroke() {
+        const layer = this.layers.getActiveLayer();
+        const { width, height } = layer.canvas;
+        
+        this.strokeBase = document.createElement('canvas');
+        this.strokeBase.width = width;
+        this.strokeBase.height = height;
+        this.strokeBase.getContext('2d').drawImage(layer.canvas, 0, 0);
+        
+        this.strokeCanvas = document.createElement('canvas');
+        this.strokeCanvas.width = width;
+        this.strokeCanvas.height = height;
+        this.strokeCtx = this.strokeCanvas.getContext('2d');
+        this.strokeAlpha = new Uint8ClampedArray(width * height);
+        this.strokeBounds = null;
+    }
+
+    /**
+     * Release the stroke buffers
+     */
+    endStroke() {
+        this.strokeBase = null;
+        this.strokeCanvas = null;
+        this.strokeCtx = null;
+        this.strokeAlpha = null;
+        this.strokeBounds = null;
+    }
+
+    /**
+     * Pixels the current stroke covers at least half
+     * @param {boolean} isErase - Whether the stroke erases
+     * @returns {Object|null} { erase, x, y, width, height, bits } or null for an empty stroke
+     */
+    getStrokeFootprint(isErase) {
+        if (!this.strokeAlpha || !this.strokeBounds) return null;
+        
+        const { x, y, width, height } = this.strokeBounds;
+        const canvasWidth = this.strokeCanvas.width;
+        const bits = new Uint8Array(width * height);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                bits[row * width + col] = this.strokeAlpha[(row + y) * canvasWidth + col + x] >= 128 ? 1 : 0;
+            }
+        }
+        return { erase: isErase, x, y, width, height, bits: this.history.encode(bits) };
+    }
+
+    /**
+     * Hard constraints from the brush and erase strokes still in the layer's history
+     * (undone strokes don't count; later strokes override earlier ones)
+     * @param {number} layerId - Layer id, defaults to the active layer
+     * @returns {Uint8Array} Per pixel: 0 none, 1 brushed, 2 erased
+     */
+    getStrokeConstraints(layerId = this.layers.getActiveLayer().id) {
+        const { width, height } = this.maskCanvas;
+        const constraints = new Uint8Array(width * height);
+        
+        this.history.getAppliedEntries().forEach(entry => {
+            const stroke = entry.stroke;
+            if (entry.layerId !== layerId || !stroke) return;
+            
+            const value = stroke.erase ? 2 : 1;
+            const bits = this.history.decode(stroke.bits, stroke.width * stroke.height);
+            for (let row = 0; row < stroke.height; row++) {
+                for (let col = 0; col < stroke.width; col++) {
+                    if (bits[row * stroke.width + col]) {
+                        constraints[(row + stroke.y) * width + col + stroke.x] = value;
+                    }
+                }
+            }
+        });
+        return constraints;
+    }
+
+    /**
+     * Draw a brush segment from the last point (or a dab) with the brush hardness and opacity
      */
     drawBrushStroke(point, isErase = false) {
-        this.maskCtx.save();
+        if (!this.strokeAlpha) {
+            this.beginStroke();
+        }
         
-        if (isErase) {
-            // For erasing, remove from mask
-            this.maskCtx.globalCompositeOperation = 'destination-out';
+        const rect = this.drawStrokeSegment(this.lastPoint || point, point);
+        if (!rect) return;
+        
+        // Track the stroke's extent for its history footprint
+        if (this.strokeBounds) {
+            const b = this.strokeBounds;
+            const x = Math.min(b.x, rect.x);
+            const y = Math.min(b.y, rect.y);
+            this.strokeBounds = {
+                x, y,
+                width: Math.max(b.x + b.width, rect.x + rect.width) - x,
+                height: Math.max(b.y + b.height, rect.y + rect.height) - y
+            };
         } else {
-            // For adding, use darker and more opaque green
-            this.maskCtx.globalCompositeOperation = 'source-over';
-            this.maskCtx.fillStyle = 'rgba(0, 180, 20, 0.98)'; // Darker, more opaque green
-            this.maskCtx.strokeStyle = 'rgba(0, 180, 20, 0.98)';
+            this.strokeBounds = rect;
+        }
+        
+        // Rebuild the touched area: layer before the stroke plus the stroke buffer
+        const ctx = this.maskCtx;
+        ctx.save();
+        ctx.clearRect(rect.x, rect.y, rect.width, rect.height);
+        ctx.drawImage(this.strokeBase, rect.x, rect.y, rect.width, rect.height, rect.x, rect.y, rect.width, rect.height);
+        ctx.globalCompositeOperation = isErase ? 'destination-out' : 'source-over';
+        ctx.globalAlpha = this.brushOpacity;
+        ctx.drawImage(this.strokeCanvas, rect.x, rect.y, rect.width, rect.height, rect.x, rect.y, rect.width, rect.height);
+        ctx.restore();
+        
+        this.layers.scheduleComposite();
+    }
+
+    /**
+     * Add a round-capped segment to the stroke buffer. Coverage falls off over
+     * the outer (1 - hardness) of the radius and overlapping parts keep the maximum.
+     * @returns {Object|null} Changed rectangle { x, y, width, height }
+     */
+    drawStrokeSegment(from, to) {
+        const { width, height } = this.strokeCanvas;
+        const radius = this.brushSize / 2;
+        // Hard brushes keep a one pixel antialiased edge
+        const falloff = Math.max(1, radius * (1 - this.brushHardness));
+        
+        const x0 = Math.max(0, Math.floor(Math.min(from.x, to.x) - radius));
+        const y0 = Math.max(0, Math.floor(Math.min(from.y, to.y) - radius));
+        const x1 = Math.min(width, Math.ceil(Math.max(from.x, to.x) + radius));
+        const y1 = Math.min(height, Math.ceil(Math.max(from.y, to.y) + radius));
+        if (x1 <= x0 || y1 <= y0) return null;
+        
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const lengthSq = dx * dx + dy * dy;
+        const region = this.strokeCtx.createImageData(x1 - x0, y1 - y0);
+        const data = region.data;
+        
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                // Distance from the pixel center to the segment
+                const px = x + 0.5 - from.x;
+                const py = y + 0.5 - from.y;
+                const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq)) : 0;
+                const distance = Math.hypot(px - t * dx, py - t * dy);
+                
+                const index = y * width + x;
+                const edge = Math.max(0, Math.min(1, (radius - distance) / falloff));
+                const coverage = Math.round(edge * edge * (3 - 2 * edge) * 255);
+                if (coverage > this.strokeAlpha[index]) {
+                    this.strokeAlpha[index] = coverage;
+                }
+                
+                const i = ((y - y0) * (x1 - x0) + (x - x0)) * 4;
+                data[i + 1] = 180;
+                data[i + 2] = 20;
+                data[i + 3] = this.strokeAlpha[index];
+            }
+        }
+        
+        this.strokeCtx.putImageData(region, x0, y0);
+        return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    }
+
+    /**
+     * Get the image pixels, read once per image
+     * @returns {Uint8ClampedArray} RGBA pixels of imageCanvas
+     */
+    getImagePixels() {
+        if (!this.imagePixels) {
+            const { width, height } = this.imageCanvas;
+            const imageCtx = this.imageCanvas.getContext('2d', { willReadFrequently: true });
+            this.imagePixels = imageCtx.getImageData(0, 0, width, height).data;
         }
+        return this.imagePixels;
+    }
+
+    /**
+     * Superpixel under a point
+     * @returns {number} Superpixel index, or -1 without superpixels or outside the image
+     */
+    getSuperpixelAt(point) {
+        const superpixels = this.superpixels;
+        if (!superpixels) return -1;
+        
+        const x = Math.floor(point.x);
+        const y = Math.floor(point.y);
+        if (x < 0 || y < 0 || x >= superpixels.width || y >= superpixels.height) return -1;
+        return superpixels.labels[y * superpixels.width + x];
+    }
+
+    /**
+     * Whether most of a superpixel is selected on the active layer
+     */
+    isSuperpixelSelected(label) {
+        const { offsets, indices, bounds, width } = this.superpixels;
+        const x0 = bounds[label * 4];
+        const y0 = bounds[label * 4 + 1];
+        const rectWidth = bounds[label * 4 + 2] - x0 + 1;
+        const rectHeight = bounds[label * 4 + 3] - y0 + 1;
+        const data = this.maskCtx.getImageData(x0, y0, rectWidth, rectHeight).data;
+        
+        let selected = 0;
+        for (let j = offsets[label]; j < offsets[label + 1]; j++) {
+            const x = indices[j] % width;
+            const y = (indices[j] - x) / width;
+            if (data[((y - y0) * rectWidth + x - x0) * 4 + 3] >= this.layers.selectionThreshold) {
+                selected++;
+            }
+        }
+        return selected * 2 > offsets[label + 1] - offsets[label];
+    }
+
+    /**
+     * Select or deselect every pixel of a superpixel on the active layer
+     */
+    setSuperpixel(label, selected) {
+        const { offsets, indices, bounds, width } = this.superpixels;
+        if (offsets[label + 1] === offsets[label]) return;
+        
+        const x0 = bounds[label * 4];
+        const y0 = bounds[label * 4 + 1];
+        const rectWidth = bounds[label * 4 + 2] - x0 + 1;
+        const rectHeight = bounds[label * 4 + 3] - y0 + 1;
+        const region = this.maskCtx.getImageData(x0, y0, rectWidth, rectHeight);
+        const data = region.data;
+        
+        for (let j = offsets[label]; j < offsets[label + 1]; j++) {
+            const x = indices[j] % width;
+            const y = (indices[j] - x) / width;
+            const i = ((y - y0) * rectWidth + x - x0) * 4;
+            data[i] = 0;
+            data[i + 1] = selected ? 180 : 0;
+            data[i + 2] = selected ? 20 : 0;
+            data[i + 3] = selected ? 255 : 0;
+        }
+        
+        this.maskCtx.putImageData(region, x0, y0);
+        this.layers.scheduleComposite();
+    }
+
+    /**
+     * Outline a superpixel on the overlay (pixels next to another superpixel)
+     */
+    drawSuperpixelOutline(label) {
+        this.clearOverlay();
+        if (label === -1) return;
+        
+        const { labels, offsets, indices, width, height } = this.superpixels;
+        // At least one screen pixel thick when the canvas is displayed scaled down
+        const size = Math.max(1, Math.round(this.getCanvasScale()));
+        
+        this.overlayCtx.save();
+        this.overlayCtx.fillStyle = '#f59e0b';
+        this.overlayCtx.beginPath();
+        for (let j = offsets[label]; j < offsets[label + 1]; j++) {
+            const index = indices[j];
+            const x = index % width;
+            const y = (index - x) / width;
+            const isEdge = x === 0 || y === 0 || x === width - 1 || y === height - 1
+                || labels[index - 1] !== label || labels[index + 1] !== label
+                || labels[index - width] !== label || labels[index + width] !== label;
+            if (isEdge) {
+                this.overlayCtx.rect(x, y, size, size);
+            }
+        }
+        this.overlayCtx.fill();
+        this.overlayCtx.restore();
+    }
+
+    /**
+     * Magic wand: select pixels whose color is within the tolerance of the clicked pixel
+     * @param {Object} point - Clicked point in canvas pixels
+     * @param {Object} options - { subtract: remove from the selection instead of adding }
+     */
+    selectByColor(point, options = {}) {
+        if (!this.imageCanvas || !this.canEditActiveLayer()) return;
+        
+        const { width, height } = this.imageCanvas;
+        const pixels = this.getImagePixels();
+        
+        const x = Math.min(width - 1, Math.max(0, Math.floor(point.x)));
+        const y = Math.min(height - 1, Math.max(0, Math.floor(point.y)));
+        const seed = (y * width + x) * 4;
+        const seedR = pixels[seed];
+        const seedG = pixels[seed + 1];
+        const seedB = pixels[seed + 2];
+        const tolerance = this.wandTolerance;
+        
+        const matches = (index) => {
+            const i = index * 4;
+            return Math.abs(pixels[i] - seedR) <= tolerance
+                && Math.abs(pixels[i + 1] - seedG) <= tolerance
+                && Math.abs(pixels[i + 2] - seedB) <= tolerance;
+        };
         
-        if (this.lastPoint) {
-            // Draw line from last point to current point
-            this.maskCtx.lineWidth = this.brushSize;
-            this.maskCtx.lineCap = 'round';
-            this.maskCtx.lineJoin = 'round';
+        const selected = new Uint8Array(width * height);
+        if (this.wandContiguous) {
+            // 4-connected flood fill from the clicked pixel
+            const stack = new Int32Array(width * height);
+            let length = 0;
+            stack[length++] = y * width + x;
+            selected[y * width + x] = 1;
             
-            this.maskCtx.beginPath();
-            this.maskCtx.moveTo(this.lastPoint.x, this.lastPoint.y);
-            this.maskCtx.lineTo(point.x, point.y);
-            this.maskCtx.stroke();
+            while (length > 0) {
+                const index = stack[--length];
+                const px = index % width;
+                const neighbors = [
+                    px > 0 ? index - 1 : -1,
+                    px < width - 1 ? index + 1 : -1,
+                    index >= width ? index - width : -1,
+                    index < width * (height - 1) ? index + width : -1
+                ];
+                for (const neighbor of neighbors) {
+                    if (neighbor >= 0 && !selected[neighbor] && matches(neighbor)) {
+                        selected[neighbor] = 1;
+                        stack[length++] = neighbor;
+                    }
+                }
+            }
         } else {
-            // Draw circle at single point
-            this.maskCtx.beginPath();
-            this.maskCtx.arc(point.x, point.y, this.brushSize / 2, 0, 2 * Math.PI);
-            this.maskCtx.fill();
+            for (let i = 0; i < selected.length; i++) {
+                selected[i] = matches(i) ? 1 : 0;
+            }
         }
         
-        this.maskCtx.restore();
+        const mask = new ImageData(width, height);
+        for (let i = 0; i < selected.length; i++) {
+            const value = selected[i] ? 255 : 0;
+            mask.data[i * 4] = value;
+            mask.data[i * 4 + 1] = value;
+            mask.data[i * 4 + 2] = value;
+            mask.data[i * 4 + 3] = 255;
+        }
+        
+        const action = {
+            type: 'magic-wand',
+            params: { tolerance, contiguous: this.wandContiguous, subtract: Boolean(options.subtract) }
+        };
+        if (options.subtract) {
+            this.subtractMask(mask, action);
+        } else {
+            this.applySegmentation(mask, true, action);
+        }
     }
 
     /**
@@ -284,7 +851,12 @@ class MaskTools {
      */
     startLasso(point) {
         this.isLassoActive = true;
+        this.lassoClosed = false;
         this.lassoPoints = [point];
+        this.lassoPaths = [];
+        if (this.isMagneticLasso()) {
+            this.getLiveWire().setSeed(point);
+        }
         this.drawLassoPoint(point);
     }
 
@@ -292,21 +864,274 @@ class MaskTools {
      * Add point to lasso selection
      */
     addLassoPoint(point) {
+        // Magnetic mode keeps the edge path from the previous anchor
+        const path = this.isMagneticLasso() ? this.liveWire.pathTo(point) : null;
+        this.lassoPaths.push(path);
         this.lassoPoints.push(point);
+        if (this.isMagneticLasso()) {
+            this.liveWire.setSeed(point);
+        }
+        this.drawLassoPreview();
+    }
+
+    /**
+     * Add a point while dragging (freehand segments are straight, even in magnetic mode)
+     */
+    addFreehandPoint(point) {
+        this.lassoFreehand = true;
+        this.lassoPaths.push(null);
+        this.lassoPoints.push({ x: point.x, y: point.y, freehand: true });
+        this.drawLassoPreview();
+    }
+
+    /**
+     * Close the lasso and switch to editing its vertices
+     */
+    closeLasso() {
+        // A double-click also adds its two clicks as points; drop near-duplicates
+        const minDistance = 2 * this.getCanvasScale();
+        for (let i = this.lassoPoints.length - 1; i > 0; i--) {
+            const a = this.lassoPoints[i];
+            const b = this.lassoPoints[i - 1];
+            if (Math.hypot(a.x - b.x, a.y - b.y) < minDistance) {
+                this.lassoPoints.splice(i, 1);
+                this.lassoPaths.splice(i - 1, 1);
+            }
+        }
+        
+        if (this.lassoPoints.length < 3) {
+            this.cancelLasso();
+            return;
+        }
+        
+        // Magnetic mode closes along the edges too
+        const closingPath = this.isMagneticLasso() ? this.liveWire.pathTo(this.lassoPoints[0]) : null;
+        this.lassoPaths.push(closingPath);
+        this.lassoClosed = true;
+        this.isDrawing = false;
+        this.drawLassoPreview();
+    }
+
+    /**
+     * Find the vertex under a point
+     * @returns {number} Vertex index or -1
+     */
+    findLassoVertex(point) {
+        const radius = 10 * this.getCanvasScale();
+        let found = -1;
+        let bestDistance = radius;
+        this.lassoPoints.forEach((vertex, i) => {
+            const distance = Math.hypot(vertex.x - point.x, vertex.y - point.y);
+            if (distance <= bestDistance) {
+                bestDistance = distance;
+                found = i;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Find the edge under a point
+     * @returns {number} Index of the edge's first vertex or -1
+     */
+    findLassoEdge(point) {
+        const radius = 8 * this.getCanvasScale();
+        let found = -1;
+        let bestDistance = radius;
+        
+        for (let i = 0; i < this.lassoPoints.length; i++) {
+            const next = (i + 1) % this.lassoPoints.length;
+            const path = this.lassoPaths[i] || [this.lassoPoints[i], this.lassoPoints[next]];
+            for (let j = 1; j < path.length; j++) {
+                const distance = this.distanceToSegment(point, path[j - 1], path[j]);
+                if (distance <= bestDistance) {
+                    bestDistance = distance;
+                    found = i;
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Distance from a point to a line segment
+     */
+    distanceToSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0
+            ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq))
+            : 0;
+        return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+    }
+
+    /**
+     * Press on a closed lasso: drag a vertex, insert one on an edge, or delete one
+     * @param {boolean} remove - Delete the vertex under the point (right-click or Alt+click)
+     */
+    startVertexEdit(point, remove) {
+        const vertex = this.findLassoVertex(point);
+        
+        if (remove) {
+            if (vertex !== -1) {
+                this.deleteLassoVertex(vertex);
+            }
+            return;
+        }
+        
+        if (vertex !== -1) {
+            this.activeVertex = vertex;
+        } else {
+            const edge = this.findLassoEdge(point);
+            if (edge === -1) return;
+            
+            // Split the edge; both halves are recomputed when the drag ends
+            this.lassoPoints.splice(edge + 1, 0, this.clampPoint(point));
+            this.lassoPaths.splice(edge, 1, null, null);
+            this.activeVertex = edge + 1;
+        }
+        
+        this.hoverVertex = this.activeVertex;
+        this.drawLassoPreview();
+    }
+
+    /**
+     * Drag the active vertex, or highlight the vertex under the pointer
+     */
+    updateVertexEdit(point) {
+        if (this.activeVertex !== -1) {
+            const count = this.lassoPoints.length;
+            this.lassoPoints[this.activeVertex] = this.clampPoint(point);
+            // Adjacent edges are straight while dragging
+            this.lassoPaths[(this.activeVertex - 1 + count) % count] = null;
+            this.lassoPaths[this.activeVertex] = null;
+            this.drawLassoPreview();
+            return;
+        }
+        
+        const vertex = this.findLassoVertex(point);
+        if (vertex !== this.hoverVertex) {
+            this.hoverVertex = vertex;
+            this.drawLassoPreview();
+        }
+    }
+
+    /**
+     * End a vertex drag, snapping its edges to the image in magnetic mode
+     */
+    finishVertexEdit() {
+        const vertex = this.activeVertex;
+        this.activeVertex = -1;
+        
+        if (this.isMagneticLasso()) {
+            const count = this.lassoPoints.length;
+            const previous = (vertex - 1 + count) % count;
+            this.lassoPaths[previous] = this.findEdgePath(previous);
+            this.lassoPaths[vertex] = this.findEdgePath(vertex);
+        }
+        this.drawLassoPreview();
+    }
+
+    /**
+     * Live-wire path from a vertex to the next one
+     * @returns {Array<Object>|null} Path, or null if the vertices are too far apart
+     */
+    findEdgePath(index) {
+        const next = (index + 1) % this.lassoPoints.length;
+        this.liveWire.setSeed(this.lassoPoints[index]);
+        return this.liveWire.pathTo(this.lassoPoints[next]);
+    }
+
+    /**
+     * Remove a vertex from a closed lasso (at least three are kept)
+     */
+    deleteLassoVertex(index) {
+        const count = this.lassoPoints.length;
+        if (count <= 3) return;
+        
+        const previous = (index - 1 + count) % count;
+        this.lassoPoints.splice(index, 1);
+        this.lassoPaths.splice(index, 1);
+        
+        // The merged edge starts at the previous vertex
+        const merged = index === 0 ? this.lassoPoints.length - 1 : previous;
+        this.lassoPaths[merged] = this.isMagneticLasso() ? this.findEdgePath(merged) : null;
+        
+        this.hoverVertex = -1;
         this.drawLassoPreview();
     }
 
+    /**
+     * Turn edge snapping for the lasso tools on or off
+     */
+    setLassoMagnetic(enabled) {
+        this.lassoMagnetic = enabled;
+        if (this.isLassoActive) {
+            this.cancelLasso();
+        }
+    }
+
+    /**
+     * Check whether lasso segments follow image edges
+     */
+    isMagneticLasso() {
+        return this.lassoMagnetic && Boolean(this.imageCanvas);
+    }
+
+    /**
+     * Get the live-wire path finder for this image, building its edge costs on first use
+     */
+    getLiveWire() {
+        if (!this.liveWire) {
+            const { width, height } = this.imageCanvas;
+            this.liveWire = new LiveWire(this.getImagePixels(), width, height);
+        }
+        return this.liveWire;
+    }
+
+    /**
+     * Get the lasso outline: anchors joined by straight lines or their edge paths
+     * @param {Array<Object>|null} closingPath - Path from the last anchor back to the first
+     * @returns {Array<Object>} Outline points
+     */
+    getLassoOutline(closingPath = null) {
+        const outline = [this.lassoPoints[0]];
+        for (let i = 1; i < this.lassoPoints.length; i++) {
+            const path = this.lassoPaths[i - 1];
+            if (path) {
+                outline.push(...path.slice(1, -1));
+            }
+            outline.push(this.lassoPoints[i]);
+        }
+        
+        // A closed lasso keeps its closing path after the last vertex
+        const closing = this.lassoClosed ? this.lassoPaths[this.lassoPoints.length - 1] : closingPath;
+        if (closing) {
+            outline.push(...closing.slice(1, -1));
+        }
+        return outline;
+    }
+
     /**
      * Complete lasso selection with enhanced colors
      */
     completeLasso() {
-        if (this.lassoPoints.length < 3) {
+        // The layer may have been locked (or switched to a locked one) while editing
+        if (this.lassoPoints.length < 3 || !this.canEditActiveLayer()) {
             this.cancelLasso();
             return;
         }
         
         // Determine if we're adding or erasing based on tool
         const isErase = this.currentTool === 'lasso-erase';
+        const isMagnetic = this.isMagneticLasso();
+        
+        // Magnetic mode closes along the edges too
+        const closingPath = !this.lassoClosed && isMagnetic
+            ? this.liveWire.pathTo(this.lassoPoints[0])
+            : null;
+        const outline = this.getLassoOutline(closingPath);
         
         this.maskCtx.save();
         
@@ -314,17 +1139,17 @@ class MaskTools {
             // For lasso erase, use destination-out to remove from existing mask
             this.maskCtx.globalCompositeOperation = 'destination-out';
         } else {
-            // For regular lasso, use darker and more opaque green
+            // For regular lasso, fill with full coverage
             this.maskCtx.globalCompositeOperation = 'source-over';
-            this.maskCtx.fillStyle = 'rgba(0, 180, 20, 0.98)'; // Darker, more opaque green
+            this.maskCtx.fillStyle = this.maskColor;
         }
         
         // Draw the lasso selection
         this.maskCtx.beginPath();
-        this.maskCtx.moveTo(this.lassoPoints[0].x, this.lassoPoints[0].y);
+        this.maskCtx.moveTo(outline[0].x, outline[0].y);
         
-        for (let i = 1; i < this.lassoPoints.length; i++) {
-            this.maskCtx.lineTo(this.lassoPoints[i].x, this.lassoPoints[i].y);
+        for (let i = 1; i < outline.length; i++) {
+            this.maskCtx.lineTo(outline[i].x, outline[i].y);
         }
         
         this.maskCtx.closePath();
@@ -332,7 +1157,7 @@ class MaskTools {
         this.maskCtx.restore();
         
         this.cancelLasso();
-        this.saveState();
+        this.saveState({ type: 'lasso', params: { subtract: isErase, magnetic: isMagnetic } });
     }
 
     /**
@@ -340,7 +1165,13 @@ class MaskTools {
      */
     cancelLasso() {
         this.isLassoActive = false;
+        this.lassoClosed = false;
+        this.lassoFreehand = false;
+        this.activeVertex = -1;
+        this.hoverVertex = -1;
+        this.isDrawing = false;
         this.lassoPoints = [];
+        this.lassoPaths = [];
         this.clearOverlay();
     }
 
@@ -352,6 +1183,8 @@ class MaskTools {
         
         if (this.lassoPoints.length < 2) return;
         
+        const outline = this.getLassoOutline();
+        
         this.overlayCtx.save();
         // Use different colors for different tools with much bigger lines
         if (this.currentTool === 'lasso-erase') {
@@ -363,17 +1196,26 @@ class MaskTools {
         this.overlayCtx.setLineDash([12, 8]);
         
         this.overlayCtx.beginPath();
-        this.overlayCtx.moveTo(this.lassoPoints[0].x, this.lassoPoints[0].y);
+        this.overlayCtx.moveTo(outline[0].x, outline[0].y);
         
-        for (let i = 1; i < this.lassoPoints.length; i++) {
-            this.overlayCtx.lineTo(this.lassoPoints[i].x, this.lassoPoints[i].y);
+        for (let i = 1; i < outline.length; i++) {
+            this.overlayCtx.lineTo(outline[i].x, outline[i].y);
+        }
+        if (this.lassoClosed) {
+            this.overlayCtx.closePath();
         }
         
         this.overlayCtx.stroke();
         this.overlayCtx.restore();
         
-        // Draw points
-        this.lassoPoints.forEach(point => this.drawLassoPoint(point));
+        // Draw points; freehand points only get handles once the lasso is closed
+        this.lassoPoints.forEach((point, i) => {
+            if (this.lassoClosed) {
+                this.drawLassoVertex(point, i === this.hoverVertex || i === this.activeVertex);
+            } else if (!point.freehand) {
+                this.drawLassoPoint(point);
+            }
+        });
     }
 
     /**
@@ -382,20 +1224,38 @@ class MaskTools {
     updateLassoPreview(point) {
         this.drawLassoPreview();
         
-        // Draw line to current mouse position with much bigger preview line
+        // Draw line (or the edge path in magnetic mode) to the current mouse position
+        const lastPoint = this.lassoPoints[this.lassoPoints.length - 1];
+        const path = (this.isMagneticLasso() && this.liveWire.pathTo(point)) || [lastPoint, point];
+        
         this.overlayCtx.save();
         this.overlayCtx.strokeStyle = '#6b7280';
         this.overlayCtx.lineWidth = 4;
         this.overlayCtx.setLineDash([8, 6]);
         
         this.overlayCtx.beginPath();
-        const lastPoint = this.lassoPoints[this.lassoPoints.length - 1];
-        this.overlayCtx.moveTo(lastPoint.x, lastPoint.y);
-        this.overlayCtx.lineTo(point.x, point.y);
+        this.overlayCtx.moveTo(path[0].x, path[0].y);
+        for (let i = 1; i < path.length; i++) {
+            this.overlayCtx.lineTo(path[i].x, path[i].y);
+        }
         this.overlayCtx.stroke();
         this.overlayCtx.restore();
     }
 
+    /**
+     * Draw an editable vertex of a closed lasso as a small hollow square,
+     * leaving the pixel under it visible in the magnifier
+     */
+    drawLassoVertex(point, highlighted) {
+        const size = (highlighted ? 7 : 5) * this.getCanvasScale();
+        
+        this.overlayCtx.save();
+        this.overlayCtx.strokeStyle = highlighted ? '#f59e0b' : '#ffffff';
+        this.overlayCtx.lineWidth = 2 * this.getCanvasScale();
+        this.overlayCtx.strokeRect(point.x - size, point.y - size, size * 2, size * 2);
+        this.overlayCtx.restore();
+    }
+
     /**
      * Draw a lasso point
      */
@@ -418,6 +1278,67 @@ class MaskTools {
         this.overlayCtx.restore();
     }
 
+    /**
+     * Get the current box as an integer pixel rectangle
+     */
+    getBoxRect() {
+        if (!this.boxStart || !this.boxEnd) return null;
+        
+        const x = Math.floor(Math.min(this.boxStart.x, this.boxEnd.x));
+        const y = Math.floor(Math.min(this.boxStart.y, this.boxEnd.y));
+        return {
+            x: x,
+            y: y,
+            width: Math.ceil(Math.max(this.boxStart.x, this.boxEnd.x)) - x,
+            height: Math.ceil(Math.max(this.boxStart.y, this.boxEnd.y)) - y
+        };
+    }
+
+    /**
+     * Draw box preview on overlay canvas
+     */
+    drawBoxPreview() {
+        this.clearOverlay();
+        
+        const rect = this.getBoxRect();
+        if (!rect) return;
+        
+        this.overlayCtx.save();
+        this.overlayCtx.strokeStyle = this.boxSubtract ? '#ef4444' : '#10b981';
+        this.overlayCtx.fillStyle = this.boxSubtract ? 'rgba(239, 68, 68, 0.1)' : 'rgba(16, 185, 129, 0.1)';
+        this.overlayCtx.lineWidth = 4;
+        this.overlayCtx.setLineDash([12, 8]);
+        this.overlayCtx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        this.overlayCtx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        this.overlayCtx.restore();
+    }
+
+    /**
+     * Finish the box and hand it to the app for segmentation
+     */
+    completeBox() {
+        const rect = this.getBoxRect();
+        const subtract = this.boxSubtract;
+        this.cancelBox();
+        
+        // Ignore accidental clicks without a drag
+        if (!rect || rect.width < 8 || rect.height < 8) return;
+        
+        if (this.onBoxSelect) {
+            this.onBoxSelect(rect, { subtract });
+        }
+    }
+
+    /**
+     * Cancel box selection
+     */
+    cancelBox() {
+        this.boxStart = null;
+        this.boxEnd = null;
+        this.isDrawing = false;
+        this.clearOverlay();
+    }
+
     /**
      * Update cursor preview based on current tool
      */
@@ -462,13 +1383,17 @@ class MaskTools {
         if ((this.currentTool === 'lasso' || this.currentTool === 'lasso-erase') && this.isLassoActive) {
             this.cancelLasso();
         }
+        if (this.currentTool === 'box' && this.boxStart) {
+            this.cancelBox();
+        }
         
         this.currentTool = tool;
+        this.hoverSuperpixel = -1;
         this.updateCursor();
         this.clearOverlay();
         
         // Show/hide magnifier based on tool
-        if (['brush', 'erase', 'lasso', 'lasso-erase'].includes(tool)) {
+        if (this.isPrecisionTool(tool)) {
             this.showMagnifier();
         } else {
             this.hideMagnifier();
@@ -482,6 +1407,52 @@ class MaskTools {
         this.brushSize = Math.max(5, Math.min(200, size));
     }
 
+    /**
+     * Set brush hardness in percent (0 = soft edge, 100 = hard edge)
+     */
+    setBrushHardness(percent) {
+        this.brushHardness = Math.max(0, Math.min(100, percent)) / 100;
+    }
+
+    /**
+     * Set brush opacity in percent
+     */
+    setBrushOpacity(percent) {
+        this.brushOpacity = Math.max(1, Math.min(100, percent)) / 100;
+    }
+
+    /**
+     * Set the magic wand tolerance (max per-channel difference, 0-255)
+     */
+    setWandTolerance(tolerance) {
+        this.wandTolerance = Math.max(0, Math.min(255, tolerance));
+    }
+
+    /**
+     * Select only connected pixels (true) or every similar pixel in the image (false)
+     */
+    setWandContiguous(contiguous) {
+        this.wandContiguous = contiguous;
+    }
+
+    /**
+     * Set the superpixels for the superpixel tool (SuperpixelSegmenter result)
+     */
+    setSuperpixels(superpixels) {
+        this.superpixels = superpixels;
+        this.hoverSuperpixel = -1;
+        if (this.currentTool === 'superpixel') {
+            this.clearOverlay();
+        }
+    }
+
+    /**
+     * Set the edge feather radius for AI selections, in pixels
+     */
+    setFeatherRadius(radius) {
+        this.featherRadius = Math.max(0, radius);
+    }
+
     /**
      * Update cursor style based on current tool
      */
@@ -614,7 +1585,7 @@ class MaskTools {
         // Draw mask layer with enhanced visibility
         compositeCtx.globalAlpha = 0.7;
         compositeCtx.globalCompositeOperation = 'screen';
-        compositeCtx.drawImage(this.maskCanvas, 0, 0);
+        compositeCtx.drawImage(this.displayCanvas, 0, 0);
         
         // Draw overlay layer
         compositeCtx.globalAlpha = 1.0;
@@ -659,8 +1630,8 @@ class MaskTools {
             this.magnifierCtx.lineTo(centerX, centerY + 12);
             this.magnifierCtx.stroke();
             
-        } else if (this.currentTool === 'lasso' || this.currentTool === 'lasso-erase') {
-            // Draw crosshair for lasso tools - 20% larger
+        } else if (this.currentTool === 'lasso' || this.currentTool === 'lasso-erase' || this.currentTool === 'box') {
+            // Draw crosshair for lasso and box tools - 20% larger
             this.magnifierCtx.strokeStyle = this.currentTool === 'lasso-erase' ? '#ef4444' : '#10b981';
             this.magnifierCtx.lineWidth = 2.4; // 20% larger (was 2)
             this.magnifierCtx.setLineDash([4.8, 4.8]); // 20% larger dashes (was 4, 4)
@@ -692,77 +1663,167 @@ class MaskTools {
     }
 
     /**
-     * Save current mask state to history
+     * Save the active layer's state to history (as a diff against its previous state)
+     * @param {Object} details - { type: action type (e.g. 'brush', 'ai-click'), params: its settings
+     *   (HistoryPanel.getLabel turns both into the panel text), stroke: brush/erase footprint
+     *   from getStrokeFootprint }
      */
-    saveState() {
-        // Remove any redo states if we're not at the end
-        if (this.historyStep < this.history.length - 1) {
-            this.history = this.history.slice(0, this.historyStep + 1);
-        }
+    saveState(details = {}) {
+        // An edit while previewing continues from the previewed state
+        this.historyPreviewOrigin = null;
         
-        // Add new state
-        const imageData = this.maskCtx.getImageData(
-            0, 0, 
-            this.maskCanvas.width, 
-            this.maskCanvas.height
-        );
-        this.history.push(imageData);
-        
-        // Limit history size
-        if (this.history.length > this.maxHistorySize) {
-            this.history.shift();
-        } else {
-            this.historyStep++;
+        const layer = this.layers.getActiveLayer();
+        if (this.history.record(layer.id, this.layers.readAlpha(layer.id), layer.canvas.width, details)) {
+            this._notifyHistoryChange();
         }
+        this.layers.composite();
+    }
+
+    /**
+     * Start a new history from the layers' current content
+     */
+    resetHistory() {
+        this.history.clear();
+        this.historyPreviewOrigin = null;
+        this.layers.layers.forEach(layer => this.history.setBaseline(layer.id, this.layers.readAlpha(layer.id)));
+        this.layers.composite();
+        this._notifyHistoryChange();
     }
 
     /**
      * Undo last action
      */
     undo() {
-        if (this.historyStep > 0) {
-            this.historyStep--;
-            const imageData = this.history[this.historyStep];
-            this.maskCtx.putImageData(imageData, 0, 0);
-            return true;
-        }
-        return false;
+        this.endHistoryPreview();
+        const change = this.history.undo();
+        if (!change) return false;
+        
+        this._applyHistoryChange(change);
+        this._notifyHistoryChange();
+        return true;
     }
 
     /**
      * Redo last undone action
      */
     redo() {
-        if (this.historyStep < this.history.length - 1) {
-            this.historyStep++;
-            const imageData = this.history[this.historyStep];
-            this.maskCtx.putImageData(imageData, 0, 0);
-            return true;
+        this.endHistoryPreview();
+        const change = this.history.redo();
+        if (!change) return false;
+        
+        this._applyHistoryChange(change);
+        this._notifyHistoryChange();
+        return true;
+    }
+
+    /**
+     * Undo or redo to a history position
+     * @param {number} position - Number of applied entries (0 is the oldest kept state)
+     */
+    jumpToHistory(position) {
+        this.historyPreviewOrigin = null;
+        this.history.goTo(position).forEach(change => this._applyHistoryChange(change));
+        this._notifyHistoryChange();
+    }
+
+    /**
+     * Show the layers as they were at a history position until endHistoryPreview()
+     */
+    previewHistory(position) {
+        if (this.historyPreviewOrigin === null) {
+            this.historyPreviewOrigin = this.history.position;
         }
-        return false;
+        this.history.goTo(position).forEach(change => this._applyHistoryChange(change));
+    }
+
+    /**
+     * Return from a history preview to the current state
+     */
+    endHistoryPreview() {
+        if (this.historyPreviewOrigin === null) return;
+        
+        this.history.goTo(this.historyPreviewOrigin).forEach(change => this._applyHistoryChange(change));
+        this.historyPreviewOrigin = null;
+    }
+
+    /**
+     * @private
+     */
+    _notifyHistoryChange() {
+        if (this.onHistoryChange) {
+            this.onHistoryChange();
+        }
+    }
+
+    /**
+     * Write a history change (alpha of a rectangle) back to its layer
+     * @private
+     */
+    _applyHistoryChange(change) {
+        const layer = this.layers.getLayer(change.layerId);
+        if (!layer) return;
+        
+        this.layers.writeAlpha(layer.id, change.alpha, change.rect);
+        this.layers.composite();
+    }
+
+    /**
+     * Add a new empty layer and make it active
+     * @returns {Object} New layer
+     */
+    addLayer(options) {
+        const layer = this.layers.addLayer(options);
+        this.layers.composite();
+        return layer;
+    }
+
+    /**
+     * Start over with empty layers named like another image's (keeps the label set across images)
+     * @param {Array<Object>} definitions - Result of LayerManager.getDefinitions()
+     */
+    setLayerDefinitions(definitions) {
+        this.layers.applyDefinitions(definitions);
+        this.resetHistory();
+    }
+
+    /**
+     * Remove a layer. This can't be undone, so its history entries are dropped.
+     * @returns {boolean} True if removed
+     */
+    removeLayer(layerId) {
+        if (!this.layers.removeLayer(layerId)) return false;
+        
+        this.history.removeLayer(layerId);
+        this._notifyHistoryChange();
+        return true;
     }
 
     /**
      * Clear the entire mask
      */
     clearMask() {
+        if (!this.canEditActiveLayer()) return;
+        
         this.maskCtx.clearRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
-        this.saveState();
+        this.saveState({ type: 'clear', params: {} });
     }
 
     /**
-     * Apply AI segmentation result to mask with enhanced colors
+     * Apply a segmentation mask to the active layer, feathering its edges
+     * @param {ImageData} imageData - White-on-black mask; gray levels are partial coverage
+     * @param {boolean} additive - Add to the layer instead of replacing it
+     * @param {Object} options - { feather: edge blur radius in px, defaults to featherRadius,
+     *   type, params: history action (see saveState) }
      */
-    applySegmentation(imageData, additive = true) {
+    applySegmentation(imageData, additive = true, options = {}) {
+        if (!this.canEditActiveLayer()) return;
+        
         if (!additive) {
-            this.clearMask();
+            this.maskCtx.clearRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
         }
         
-        // Convert white mask to darker, more opaque green for display
-        const greenImageData = this.convertToGreenOverlay(imageData);
-        
-        this.maskCtx.save();
-        this.maskCtx.globalCompositeOperation = additive ? 'lighter' : 'source-over';
+        const feather = options.feather !== undefined ? options.feather : this.featherRadius;
+        const greenImageData = this.convertToGreenOverlay(this.filters.featherMask(imageData, feather));
         
         // Create temporary canvas
         const tempCanvas = document.createElement('canvas');
@@ -771,72 +1832,146 @@ class MaskTools {
         const tempCtx = tempCanvas.getContext('2d');
         tempCtx.putImageData(greenImageData, 0, 0);
         
-        // Draw to mask canvas
+        // Draw to mask canvas; coverage combines like overlapping paint
+        this.maskCtx.drawImage(tempCanvas, 0, 0);
+        
+        this.saveState({ type: options.type || 'add-selection', params: options.params || {} });
+    }
+
+    /**
+     * Remove a white-on-black mask from the active layer (gray levels remove partially)
+     * @param {Object} options - { type, params: history action (see saveState) }
+     */
+    subtractMask(imageData, options = {}) {
+        if (!this.canEditActiveLayer()) return;
+        
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = imageData.width;
+        tempCanvas.height = imageData.height;
+        tempCanvas.getContext('2d').putImageData(this.convertToGreenOverlay(imageData), 0, 0);
+        
+        this.maskCtx.save();
+        this.maskCtx.globalCompositeOperation = 'destination-out';
         this.maskCtx.drawImage(tempCanvas, 0, 0);
         this.maskCtx.restore();
         
-        this.saveState();
+        this.saveState({ type: options.type || 'remove-selection', params: options.params || {} });
+    }
+
+    /**
+     * Replace the active layer with a white-on-black mask and save the state
+     * @param {ImageData} imageData - Mask at layer size; gray levels are partial coverage
+     * @param {Object} options - { type, params: history action (see saveState) }
+     */
+    setMaskData(imageData, options = {}) {
+        if (!this.canEditActiveLayer()) return;
+        
+        this.maskCtx.putImageData(this.convertToGreenOverlay(imageData), 0, 0);
+        this.saveState({ type: options.type || 'edit-mask', params: options.params || {} });
     }
 
     /**
-     * Convert white mask to enhanced dark green overlay for better visibility
+     * Convert a white-on-black mask to layer pixels: mask green with the gray level as alpha
      */
     convertToGreenOverlay(imageData) {
         const data = new Uint8ClampedArray(imageData.data);
         
         for (let i = 0; i < data.length; i += 4) {
-            if (data[i] > 128) { // If white (selected)
-                data[i] = 0;       // R - no red
-                data[i + 1] = 180; // G - darker green (reduced from 255)
-                data[i + 2] = 20;  // B - less blue for darker appearance
-                data[i + 3] = 250; // A - more opaque (increased from 240)
-            } else {
-                data[i + 3] = 0; // Fully transparent for non-selected areas
-            }
+            const coverage = data[i];
+            data[i] = 0;            // R - no red
+            data[i + 1] = 180;      // G - darker green
+            data[i + 2] = 20;       // B - less blue for darker appearance
+            data[i + 3] = coverage; // A - selection strength
         }
         
         return new ImageData(data, imageData.width, imageData.height);
     }
 
     /**
-     * Get the current mask as pure binary ImageData (for download)
+     * Get the active layer as white-on-black ImageData (for download)
+     * @param {boolean} soft - Keep partial coverage as gray levels instead of thresholding
      */
-    getMaskData() {
-        const imageData = this.maskCtx.getImageData(
-            0, 0,
-            this.maskCanvas.width,
-            this.maskCanvas.height
-        );
+    getMaskData(soft = false) {
+        const id = this.layers.activeLayerId;
+        return soft ? this.layers.getLayerMatte(id) : this.layers.getLayerMask(id);
+    }
+
+    /**
+     * Check whether any layer has coverage
+     */
+    hasContent() {
+        return this.layers.layers.some(layer => {
+            const alpha = this.history.snapshots.get(layer.id) || this.layers.readAlpha(layer.id);
+            return alpha.some(value => value > 0);
+        });
+    }
+
+    /**
+     * Layers and history as plain data for storing a session (see SessionStore)
+     * or a queue image that isn't open
+     * @returns {Object} { layers: [{ id, name, color, visible, locked, alpha }], activeLayerId, history }
+     *   with alpha run-length encoded
+     */
+    exportSession() {
+        // While a history row is previewed, save the state the preview returns to.
+        // Only the history moves; the layers keep showing the preview.
+        const previewPosition = this.history.position;
+        if (this.historyPreviewOrigin !== null) {
+            this.history.goTo(this.historyPreviewOrigin);
+        }
         
-        // Convert to pure binary (any green becomes white, rest becomes black)
-        const data = imageData.data;
-        for (let i = 0; i < data.length; i += 4) {
-            // Check if pixel has green component (our selection indicator)
-            const hasGreen = data[i + 1] > 50; // Green channel
-            
-            // Convert to pure binary
-            const value = hasGreen ? 255 : 0;
-            data[i] = value;     // R
-            data[i + 1] = value; // G
-            data[i + 2] = value; // B
-            data[i + 3] = 255;   // A
+        const session = {
+            layers: this.layers.layers.map(layer => ({
+                id: layer.id,
+                name: layer.name,
+                color: layer.color,
+                visible: layer.visible,
+                locked: layer.locked,
+                // The history snapshot is the layer's current alpha
+                alpha: this.history.encode(this.history.snapshots.get(layer.id) || this.layers.readAlpha(layer.id))
+            })),
+            activeLayerId: this.layers.activeLayerId,
+            history: this.history.serialize()
+        };
+        
+        if (this.historyPreviewOrigin !== null) {
+            this.history.goTo(previewPosition);
         }
+        return session;
+    }
+
+    /**
+     * Restore layers and history saved with exportSession() (same image size)
+     */
+    importSession(session) {
+        const { width, height } = this.layers;
+        this.historyPreviewOrigin = null;
+        this.layers.restoreDefinitions(session.layers);
+        this.history.restore(session.history);
+        
+        session.layers.forEach(saved => {
+            const alpha = this.history.decode(saved.alpha, width * height);
+            this.layers.writeAlpha(saved.id, alpha);
+            this.history.setBaseline(saved.id, alpha);
+        });
         
-        return imageData;
+        this.layers.setActiveLayer(session.activeLayerId);
+        this.layers.composite();
+        this._notifyHistoryChange();
     }
 
     /**
      * Check if undo is available
      */
     canUndo() {
-        return this.historyStep > 0;
+        return this.history.canUndo();
     }
 
     /**
      * Check if redo is available
      */
     canRedo() {
-        return this.historyStep < this.history.length - 1;
+        return this.history.canRedo();
     }
 
     /**
@@ -846,6 +1981,8 @@ class MaskTools {
         return {
             currentTool: this.currentTool,
             brushSize: this.brushSize,
+            brushHardness: this.brushHardness,
+            brushOpacity: this.brushOpacity,
             canUndo: this.canUndo(),
             canRedo: this.canRedo(),
             isLassoActive: this.isLassoActive,
@@ -858,30 +1995,14 @@ class MaskTools {
      * Resize canvases (call when image is loaded)
      */
     resize(width, height) {
-        // Save current mask if exists
-        const currentMask = this.getMaskData();
-        
-        // Resize canvases
-        this.maskCanvas.width = width;
-        this.maskCanvas.height = height;
+        this.displayCanvas.width = width;
+        this.displayCanvas.height = height;
         this.overlayCanvas.width = width;
         this.overlayCanvas.height = height;
         
-        // Restore mask if it existed
-        if (currentMask.width > 0 && currentMask.height > 0) {
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = currentMask.width;
-            tempCanvas.height = currentMask.height;
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCtx.putImageData(currentMask, 0, 0);
-            
-            this.maskCtx.drawImage(tempCanvas, 0, 0, width, height);
-        }
-        
-        // Reset history
-        this.history = [];
-        this.historyStep = -1;
-        this.saveState();
+        // Scale layer content to the new size
+        this.layers.resize(width, height);
+        this.resetHistory();
     }
 
     /**
@@ -895,14 +2016,23 @@ class MaskTools {
         this.overlayCanvas.removeEventListener('mousedown', this.handlePointerDown);
         this.overlayCanvas.removeEventListener('mousemove', this.handlePointerMove);
         this.overlayCanvas.removeEventListener('mouseup', this.handlePointerUp);
+        this.overlayCanvas.removeEventListener('mouseleave', this.handlePointerLeave);
+        this.overlayCanvas.removeEventListener('mouseenter', this.handlePointerEnter);
         this.overlayCanvas.removeEventListener('dblclick', this.handleDoubleClick);
+        this.overlayCanvas.removeEventListener('contextmenu', this.handleContextMenu);
         this.overlayCanvas.removeEventListener('touchstart', this.handleTouchStart);
         this.overlayCanvas.removeEventListener('touchmove', this.handleTouchMove);
         this.overlayCanvas.removeEventListener('touchend', this.handleTouchEnd);
         
-        // Clear history
-        this.history = [];
+        // Release layer canvases and history (queue images keep exportSession() copies)
+        this.layers.dispose();
+        this.endStroke();
+        this.history = new MaskHistory();
         this.lassoPoints = [];
+        this.lassoPaths = [];
+        this.imagePixels = null;
+        this.liveWire = null;
+        this.superpixels = null;
     }
 }
 
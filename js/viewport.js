@@ -0,0 +1,392 @@
+// js/viewport.js - Zoom and pan of the editing canvases (wheel/pinch zoom, space/middle-drag pan, minimap)
+
+class Viewport {
+    /**
+     * The canvases keep the image resolution and are placed with a CSS transform.
+     * Tools map pointer positions through getBoundingClientRect(), which includes it.
+     * @param {HTMLElement} container - Element the canvases are clipped to
+     * @param {Array<HTMLCanvasElement>} canvases - Stacked image, mask and overlay canvases
+     * @param {HTMLCanvasElement} minimapCanvas - Thumbnail with the visible area outlined
+     */
+    constructor(container, canvases, minimapCanvas) {
+        this.container = container;
+        this.canvases = canvases;
+        this.minimapCanvas = minimapCanvas;
+        this.minimapCtx = minimapCanvas.getContext('2d');
+        this.minimapSize = 160; // Longest side of the minimap in CSS pixels
+        this.thumbnail = null;
+
+        this.imageWidth = 0;
+        this.imageHeight = 0;
+        this.zoom = 1; // Screen pixels per image pixel
+        this.panX = 0; // Image origin in container pixels
+        this.panY = 0;
+        this.maxZoom = 32;
+        this.fitted = true; // Refit when the container resizes
+        this.padding = 20;
+
+        this.isSpaceDown = false;
+        this.isHovered = false;
+        this.pan = null; // { startX, startY, panX, panY, button } while dragging
+        this.pinch = null; // { distance, zoom, imageX, imageY } while pinching
+        this.isMinimapDragging = false;
+        this.suppressClick = false;
+
+        // Callback set by the app when the zoom or position changes
+        this.onChange = null;
+
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.container.addEventListener('wheel', this.handleWheel, { passive: false });
+
+        // Capture phase: a pan drag must not reach the tools on the overlay canvas
+        this.container.addEventListener('mousedown', this.handleMouseDown, true);
+        this.container.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                e.stopPropagation();
+            }
+        }, true);
+        this.container.addEventListener('mouseenter', () => {
+            this.isHovered = true;
+        });
+        this.container.addEventListener('mouseleave', () => {
+            this.isHovered = false;
+        });
+        window.addEventListener('mousemove', this.handleMouseMove);
+        window.addEventListener('mouseup', this.handleMouseUp);
+        document.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('keyup', this.handleKeyUp);
+        window.addEventListener('resize', this.handleResize);
+
+        this.container.addEventListener('touchstart', this.handleTouchStart, { passive: false });
+        this.container.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+        this.container.addEventListener('touchend', this.handleTouchEnd);
+        this.container.addEventListener('touchcancel', this.handleTouchEnd);
+
+        this.minimapCanvas.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.isMinimapDragging = true;
+            this.centerOnMinimap(e);
+        });
+    }
+
+    /**
+     * Size the canvases for a new image and fit it in the view
+     * @param {HTMLCanvasElement} imageCanvas - Drawn image, used for the minimap thumbnail
+     */
+    setImage(imageCanvas) {
+        this.imageWidth = imageCanvas.width;
+        this.imageHeight = imageCanvas.height;
+
+        this.canvases.forEach(canvas => {
+            canvas.style.width = this.imageWidth + 'px';
+            canvas.style.height = this.imageHeight + 'px';
+        });
+
+        const scale = this.minimapSize / Math.max(this.imageWidth, this.imageHeight);
+        this.thumbnail = document.createElement('canvas');
+        this.thumbnail.width = Math.max(1, Math.round(this.imageWidth * scale));
+        this.thumbnail.height = Math.max(1, Math.round(this.imageHeight * scale));
+        this.thumbnail.getContext('2d').drawImage(imageCanvas, 0, 0, this.thumbnail.width, this.thumbnail.height);
+        this.minimapCanvas.width = this.thumbnail.width;
+        this.minimapCanvas.height = this.thumbnail.height;
+
+        this.fit();
+    }
+
+    /**
+     * Zoom that shows the whole image (never above 100%)
+     */
+    getFitZoom() {
+        const width = this.container.clientWidth - 2 * this.padding;
+        const height = this.container.clientHeight - 2 * this.padding;
+        if (!this.imageWidth || width <= 0 || height <= 0) return 1;
+
+        return Math.min(1, width / this.imageWidth, height / this.imageHeight);
+    }
+
+    /**
+     * Show the whole image, centered
+     */
+    fit() {
+        this.zoom = this.getFitZoom();
+        this.fitted = true;
+        this.update();
+    }
+
+    /**
+     * Set the zoom, keeping the point under a container position in place
+     * @param {number} zoom - Screen pixels per image pixel (1 is 100%)
+     * @param {number} x - Container x, defaults to the center
+     * @param {number} y - Container y, defaults to the center
+     */
+    setZoom(zoom, x = this.container.clientWidth / 2, y = this.container.clientHeight / 2) {
+        const minZoom = Math.min(this.getFitZoom(), 1) / 4;
+        const newZoom = Math.max(minZoom, Math.min(this.maxZoom, zoom));
+
+        // Image point under (x, y) stays there
+        this.panX = x - (x - this.panX) * newZoom / this.zoom;
+        this.panY = y - (y - this.panY) * newZoom / this.zoom;
+        this.zoom = newZoom;
+        this.fitted = false;
+        this.update();
+    }
+
+    /**
+     * Multiply the zoom (e.g. 1.25 for the zoom in button)
+     */
+    zoomBy(factor, x, y) {
+        this.setZoom(this.zoom * factor, x, y);
+    }
+
+    /**
+     * Wheel zooms around the cursor; trackpad pinch arrives as ctrl+wheel with small deltas
+     */
+    handleWheel(e) {
+        if (!this.imageWidth) return;
+        e.preventDefault();
+
+        const delta = e.deltaMode === 0 ? e.deltaY : e.deltaY * 25;
+        const point = this._toContainer(e.clientX, e.clientY);
+        this.zoomBy(Math.exp(-delta * 0.002), point.x, point.y);
+    }
+
+    /**
+     * Middle button, or left button with space held, starts a pan
+     */
+    handleMouseDown(e) {
+        const onImage = e.target === this.container || this.canvases.includes(e.target);
+        if (!onImage || !this.imageWidth || !(e.button === 1 || (e.button === 0 && this.isSpaceDown))) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        this.pan = { startX: e.clientX, startY: e.clientY, panX: this.panX, panY: this.panY, button: e.button };
+        this.container.classList.add('dragging');
+    }
+
+    handleMouseMove(e) {
+        if (this.isMinimapDragging) {
+            this.centerOnMinimap(e);
+            return;
+        }
+        if (!this.pan) return;
+
+        this.panX = this.pan.panX + e.clientX - this.pan.startX;
+        this.panY = this.pan.panY + e.clientY - this.pan.startY;
+        this.fitted = false;
+        this.update();
+    }
+
+    handleMouseUp() {
+        this.isMinimapDragging = false;
+        if (!this.pan) return;
+
+        // The left button's click would otherwise reach the click tool
+        if (this.pan.button === 0) {
+            this.suppressClick = true;
+            setTimeout(() => {
+                this.suppressClick = false;
+            }, 0);
+        }
+        this.pan = null;
+        this.container.classList.remove('dragging');
+    }
+
+    /**
+     * Space held over the canvas turns left-drag into panning
+     */
+    handleKeyDown(e) {
+        if (e.code !== 'Space' || !this.isHovered || !this.imageWidth || this._isTyping(e)) return;
+
+        e.preventDefault();
+        if (!this.isSpaceDown) {
+            this.isSpaceDown = true;
+            this.container.classList.add('panning');
+        }
+    }
+
+    handleKeyUp(e) {
+        if (e.code !== 'Space' || !this.isSpaceDown) return;
+
+        e.preventDefault();
+        this.isSpaceDown = false;
+        this.container.classList.remove('panning');
+    }
+
+    /**
+     * Two fingers pinch-zoom and pan; one finger is left to the tools
+     */
+    handleTouchStart(e) {
+        if (e.touches.length !== 2 || !this.imageWidth) return;
+        e.preventDefault();
+
+        const { distance, x, y } = this._getPinch(e.touches);
+        this.pinch = {
+            distance,
+            zoom: this.zoom,
+            imageX: (x - this.panX) / this.zoom,
+            imageY: (y - this.panY) / this.zoom
+        };
+    }
+
+    handleTouchMove(e) {
+        if (!this.pinch || e.touches.length !== 2) return;
+        e.preventDefault();
+
+        const { distance, x, y } = this._getPinch(e.touches);
+        const minZoom = Math.min(this.getFitZoom(), 1) / 4;
+        this.zoom = Math.max(minZoom, Math.min(this.maxZoom, this.pinch.zoom * distance / this.pinch.distance));
+
+        // The image point first under the fingers follows their midpoint
+        this.panX = x - this.pinch.imageX * this.zoom;
+        this.panY = y - this.pinch.imageY * this.zoom;
+        this.fitted = false;
+        this.update();
+    }
+
+    handleTouchEnd(e) {
+        if (e.touches.length < 2) {
+            this.pinch = null;
+        }
+    }
+
+    handleResize() {
+        if (!this.imageWidth) return;
+
+        if (this.fitted) {
+            this.fit();
+        } else {
+            this.update();
+        }
+    }
+
+    /**
+     * Center the view on the image point under the pointer in the minimap
+     */
+    centerOnMinimap(e) {
+        const rect = this.minimapCanvas.getBoundingClientRect();
+        const imageX = (e.clientX - rect.left) / rect.width * this.imageWidth;
+        const imageY = (e.clientY - rect.top) / rect.height * this.imageHeight;
+
+        this.panX = this.container.clientWidth / 2 - imageX * this.zoom;
+        this.panY = this.container.clientHeight / 2 - imageY * this.zoom;
+        this.fitted = false;
+        this.update();
+    }
+
+    /**
+     * Apply the zoom and position to the canvases and redraw the minimap
+     */
+    update() {
+        this._clampPan();
+
+        const transform = `translate(${this.panX}px, ${this.panY}px) scale(${this.zoom})`;
+        // Show image pixels as squares when zoomed in far enough to edit them
+        const rendering = this.zoom >= 2 ? 'pixelated' : 'auto';
+        this.canvases.forEach(canvas => {
+            canvas.style.transform = transform;
+            canvas.style.imageRendering = rendering;
+        });
+
+        this.drawMinimap();
+
+        if (this.onChange) {
+            this.onChange(this.zoom);
+        }
+    }
+
+    /**
+     * Thumbnail with the visible area outlined; hidden while the whole image is visible
+     */
+    drawMinimap() {
+        const viewWidth = this.container.clientWidth;
+        const viewHeight = this.container.clientHeight;
+        const visible = {
+            x: Math.max(0, -this.panX / this.zoom),
+            y: Math.max(0, -this.panY / this.zoom),
+            right: Math.min(this.imageWidth, (viewWidth - this.panX) / this.zoom),
+            bottom: Math.min(this.imageHeight, (viewHeight - this.panY) / this.zoom)
+        };
+        const showsAll = visible.x <= 0 && visible.y <= 0
+            && visible.right >= this.imageWidth && visible.bottom >= this.imageHeight;
+
+        this.minimapCanvas.parentElement.style.display = this.thumbnail && !showsAll ? '' : 'none';
+        if (!this.thumbnail || showsAll) return;
+
+        const ctx = this.minimapCtx;
+        const scale = this.thumbnail.width / this.imageWidth;
+        ctx.drawImage(this.thumbnail, 0, 0);
+        ctx.strokeStyle = '#f59e0b';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(
+            visible.x * scale + 1,
+            visible.y * scale + 1,
+            Math.max(2, (visible.right - visible.x) * scale - 2),
+            Math.max(2, (visible.bottom - visible.y) * scale - 2)
+        );
+    }
+
+    /**
+     * Center an image smaller than the view; otherwise keep its edges at or past the view's
+     * @private
+     */
+    _clampPan() {
+        const clamp = (pan, size, view) => {
+            const scaled = size * this.zoom;
+            if (scaled <= view) return (view - scaled) / 2;
+            return Math.max(view - scaled, Math.min(0, pan));
+        };
+        this.panX = clamp(this.panX, this.imageWidth, this.container.clientWidth);
+        this.panY = clamp(this.panY, this.imageHeight, this.container.clientHeight);
+    }
+
+    /**
+     * @private
+     */
+    _toContainer(clientX, clientY) {
+        const rect = this.container.getBoundingClientRect();
+        return {
+            x: clientX - rect.left - this.container.clientLeft,
+            y: clientY - rect.top - this.container.clientTop
+        };
+    }
+
+    /**
+     * @private
+     */
+    _getPinch(touches) {
+        const a = this._toContainer(touches[0].clientX, touches[0].clientY);
+        const b = this._toContainer(touches[1].clientX, touches[1].clientY);
+        return {
+            distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2
+        };
+    }
+
+    /**
+     * @private
+     */
+    _isTyping(e) {
+        const tag = e.target.tagName;
+        return tag === 'TEXTAREA' || tag === 'SELECT' || (tag === 'INPUT' && !['range', 'checkbox', 'radio'].includes(e.target.type));
+    }
+}
+
+// Export as global for use in other modules
+window.Viewport = Viewport;